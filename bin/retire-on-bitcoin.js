@@ -0,0 +1,4 @@
+#!/usr/bin/env node
+import { runCli } from '../src/cli/retireOnBitcoin.js';
+
+process.exitCode = runCli(process.argv.slice(2), { stdout: process.stdout, stderr: process.stderr });
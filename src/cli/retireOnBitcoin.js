@@ -0,0 +1,202 @@
+// Command-line front end for the projection engine. runCli takes the arguments and output
+// streams instead of reading process globals, so it can be tested without spawning Node.
+import { runScenario } from '../utils/projectionEngine.js';
+import {
+  DEFAULT_INPUTS,
+  INPUT_SCHEMA,
+  InputValidationError,
+  parseScenarioQuery,
+  parseScenarioValue,
+  serializeScenarioQuery,
+  validateInputs
+} from '../utils/scenarioInputs.js';
+import { buildProjectionJson } from '../utils/projectionExport.js';
+import { CURRENCIES, createFormatters } from '../utils/currency.js';
+
+// Shorthand options for the inputs people change most; everything else goes through --set
+const OPTION_INPUTS = {
+  '--btc': 'bitcoinAmount',
+  '--price': 'bitcoinPrice',
+  '--currency': 'currency',
+  '--years': 'years',
+  '--interest': 'interestRate',
+  '--initial-growth': 'initialGrowthRate',
+  '--final-growth': 'terminalGrowthRate',
+  '--inflation': 'inflationRate',
+  '--max-ltv': 'maxLTV',
+  '--expenses': 'annualExpenses'
+};
+
+export const USAGE = `Usage: retire-on-bitcoin --price <amount> [options]
+
+Projects borrowing against bitcoin to fund retirement, year by year.
+
+Options:
+  --btc <amount>            Bitcoin held (default ${DEFAULT_INPUTS.bitcoinAmount})
+  --price <amount>          Starting bitcoin price (required)
+  --currency <code>         Currency of every amount: ${Object.keys(CURRENCIES).join(', ')} (default ${DEFAULT_INPUTS.currency})
+  --years <n>               Years to simulate (default ${DEFAULT_INPUTS.years})
+  --interest <percent>      Loan interest rate (default ${DEFAULT_INPUTS.interestRate})
+  --initial-growth <pct>    First-year bitcoin growth rate (default ${DEFAULT_INPUTS.initialGrowthRate})
+  --final-growth <pct>      Long-run bitcoin growth rate (default ${DEFAULT_INPUTS.terminalGrowthRate})
+  --inflation <percent>     Expense inflation (default ${DEFAULT_INPUTS.inflationRate})
+  --max-ltv <percent>       Highest LTV the optimal spending search allows (default ${DEFAULT_INPUTS.maxLTV})
+  --expenses <amount>       Spend this much in the first year instead of the optimal amount
+  --monthly                 Simulate month by month
+  --scenario <link|query>   Start from a shared scenario link or its query string
+  --set <input>=<value>     Set any calculator input by name, e.g. --set withdrawalStrategy=sell
+  --json                    Print JSON instead of a table
+  --help                    Show this message
+`;
+
+/**
+ * Turns command-line arguments into calculator inputs. Returns { inputs, json, help } or
+ * throws an InputValidationError describing every bad option.
+ */
+export const parseCliArgs = (args) => {
+  const overrides = {};
+  const issues = [];
+  let json = false;
+  let help = false;
+
+  const setInput = (field, raw, option) => {
+    try {
+      overrides[field] = parseScenarioValue(raw, INPUT_SCHEMA[field]);
+    } catch (error) {
+      issues.push({ field: option, message: error.message });
+    }
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    const [option, inlineValue] = arg.startsWith('--') && arg.includes('=') && !arg.startsWith('--set=')
+      ? [arg.slice(0, arg.indexOf('=')), arg.slice(arg.indexOf('=') + 1)]
+      : [arg, undefined];
+    const takeValue = () => {
+      if (inlineValue !== undefined) return inlineValue;
+      if (i + 1 >= args.length) {
+        issues.push({ field: option, message: 'needs a value' });
+        return null;
+      }
+      return args[++i];
+    };
+
+    if (option === '--json') {
+      json = true;
+    } else if (option === '--help' || option === '-h') {
+      help = true;
+    } else if (option === '--monthly') {
+      overrides.timeResolution = 'monthly';
+    } else if (OPTION_INPUTS[option]) {
+      const raw = takeValue();
+      if (raw !== null) setInput(OPTION_INPUTS[option], raw, option);
+      if (option === '--expenses') overrides.useOptimalExpenses = false;
+    } else if (option === '--scenario') {
+      const raw = takeValue();
+      if (raw === null) continue;
+      const query = raw.includes('?') ? raw.slice(raw.indexOf('?') + 1) : raw;
+      const params = new URLSearchParams(query);
+      const scenario = parseScenarioQuery(query);
+      scenario.errors.forEach(message => issues.push({ field: '--scenario', message }));
+      // Only the inputs the link actually sets, so options given before it keep their values
+      Object.keys(INPUT_SCHEMA)
+        .filter(field => params.has(field))
+        .forEach(field => { overrides[field] = scenario.inputs[field]; });
+    } else if (arg === '--set' || arg.startsWith('--set=')) {
+      const raw = arg === '--set' ? takeValue() : arg.slice('--set='.length);
+      if (raw === null) continue;
+      const [field, ...rest] = raw.split('=');
+      if (!INPUT_SCHEMA[field] || rest.length === 0) {
+        issues.push({ field: '--set', message: `"${raw}" must be <input>=<value> with a calculator input name` });
+      } else {
+        setInput(field, rest.join('='), field);
+      }
+    } else {
+      issues.push({ field: arg, message: 'is not a recognised option' });
+    }
+  }
+
+  if (issues.length > 0) throw new InputValidationError(issues);
+  return { inputs: overrides, json, help };
+};
+
+const padCell = (text, width) => text.padStart(width);
+
+const formatAmount = (value, formatMoney) => (
+  Number.isFinite(value) ? formatMoney(Math.round(value)) : '∞'
+);
+
+const formatLTV = (value) => (Number.isFinite(value) ? `${value}%` : '∞');
+
+const TABLE_COLUMNS = [
+  { label: 'Year', value: row => String(row.year) },
+  { label: 'Growth', value: row => `${row.growthRate}%` },
+  { label: 'BTC Price', value: (row, formatMoney) => formatAmount(row.bitcoinPriceStart, formatMoney) },
+  { label: 'BTC Held', value: row => row.bitcoinAmount.toFixed(4) },
+  { label: 'Expenses', value: (row, formatMoney) => formatAmount(row.annualExpenses, formatMoney) },
+  { label: 'Debt', value: (row, formatMoney) => formatAmount(row.totalDebt, formatMoney) },
+  { label: 'Net Worth', value: (row, formatMoney) => formatAmount(row.netWorth, formatMoney) },
+  { label: 'LTV', value: row => formatLTV(row.ltvRatio) }
+];
+
+/**
+ * Renders the projection as a fixed-width text table with a short summary underneath,
+ * with amounts written in `currency`
+ */
+export const formatProjectionTable = ({ projections, annualExpenses, optimalExpenses }, currency = 'USD') => {
+  const { formatMoney } = createFormatters(currency);
+  const cells = projections.map(row => TABLE_COLUMNS.map(column => column.value(row, formatMoney)));
+  const widths = TABLE_COLUMNS.map((column, index) => (
+    Math.max(column.label.length, ...cells.map(row => row[index].length))
+  ));
+  const line = (values) => values.map((value, index) => padCell(value, widths[index])).join('  ');
+  const finalRow = projections[projections.length - 1];
+  // Phased spending can start after year 1, and the amount shown is that year's
+  const spendingYear = projections.find(row => row.annualExpenses > 0)?.year ?? 1;
+  const expensesLabel = spendingYear > 1 ? `Year-${spendingYear} expenses` : 'First-year expenses';
+
+  return [
+    line(TABLE_COLUMNS.map(column => column.label)),
+    line(widths.map(width => '-'.repeat(width))),
+    ...cells.map(line),
+    '',
+    `${optimalExpenses !== null ? `Optimal ${expensesLabel.toLowerCase()}` : expensesLabel}: ${formatAmount(annualExpenses, formatMoney)}`,
+    `Peak LTV: ${formatLTV(Math.max(...projections.map(p => p.ltvRatio)))}`,
+    `Left to heirs: ${formatAmount(finalRow.estateValue, formatMoney)} (${finalRow.estateBitcoin.toFixed(4)} BTC)`
+  ].join('\n');
+};
+
+/**
+ * Runs the CLI with the given arguments, writing to `stdout`/`stderr` (anything with a
+ * write method). Returns the process exit code: 0 on success, 1 for invalid options.
+ */
+export const runCli = (args, { stdout, stderr }) => {
+  let options;
+  let inputs;
+  try {
+    options = parseCliArgs(args);
+    if (options.help) {
+      stdout.write(USAGE);
+      return 0;
+    }
+    inputs = validateInputs(options.inputs);
+  } catch (error) {
+    if (!(error instanceof InputValidationError)) throw error;
+    stderr.write(`${error.message}\n\nRun with --help for the list of options.\n`);
+    return 1;
+  }
+
+  const run = runScenario(inputs);
+  if (options.json) {
+    stdout.write(`${buildProjectionJson({
+      inputs,
+      annualExpenses: run.annualExpenses,
+      generatedAt: new Date().toISOString(),
+      scenarioQuery: serializeScenarioQuery(inputs),
+      projections: run.projections
+    })}\n`);
+  } else {
+    stdout.write(`${formatProjectionTable(run, inputs.currency)}\n`);
+  }
+  return 0;
+};
@@ -0,0 +1,72 @@
+import { describe, expect, it } from 'vitest';
+import { runCli } from './retireOnBitcoin.js';
+
+const run = (args) => {
+  const output = { stdout: '', stderr: '' };
+  const exitCode = runCli(args, {
+    stdout: { write: text => { output.stdout += text; } },
+    stderr: { write: text => { output.stderr += text; } }
+  });
+  return { exitCode, ...output };
+};
+
+describe('retire-on-bitcoin CLI', () => {
+  it('prints the projection table', () => {
+    const { exitCode, stdout } = run(['--btc', '3', '--price', '100000']);
+    expect(exitCode).toBe(0);
+    const lines = stdout.split('\n');
+    expect(lines[0]).toMatch(/^Year\s+Growth\s+BTC Price\s+BTC Held\s+Expenses\s+Debt\s+Net Worth\s+LTV$/);
+    expect(lines[2]).toMatch(/^\s+1\s+60%\s+\$100,000\s+3\.0000\s+\$106,860\s+\$106,860\s+\$373,140\s+36%$/);
+    expect(stdout).toContain('Optimal first-year expenses: $106,860');
+    expect(stdout).toContain('Peak LTV: 50%');
+  });
+
+  it('prints JSON with --json', () => {
+    const { exitCode, stdout } = run(['--btc', '3', '--price', '100000', '--json']);
+    expect(exitCode).toBe(0);
+    const report = JSON.parse(stdout);
+    expect(report.annualExpensesUsed).toBe(106860);
+    expect(report.inputs.bitcoinAmount).toBe(3);
+    expect(report.projections).toHaveLength(20);
+    expect(report.scenarioQuery).toContain('bitcoinPrice=100000');
+  });
+
+  it('accepts --option=value, --expenses and --set', () => {
+    const { stdout } = run(['--price=100000', '--years=5', '--expenses', '80000', '--set', 'withdrawalStrategy=sell', '--json']);
+    const report = JSON.parse(stdout);
+    expect(report.inputs).toMatchObject({ years: 5, annualExpenses: 80000, useOptimalExpenses: false, withdrawalStrategy: 'sell' });
+    expect(report.projections).toHaveLength(5);
+  });
+
+  it('writes amounts in the chosen currency', () => {
+    const { exitCode, stdout } = run(['--btc', '3', '--price', '100000', '--currency', 'EUR']);
+    expect(exitCode).toBe(0);
+    expect(stdout.replace(/\s/g, ' ')).toContain('Optimal first-year expenses: 106.860 €');
+  });
+
+  it('starts from a shared scenario link', () => {
+    const { stdout } = run(['--scenario', 'https://example.com/RetireOnBitcoin/?bitcoinAmount=2&maxLTV=40', '--price', '90000', '--json']);
+    expect(JSON.parse(stdout).inputs).toMatchObject({ bitcoinAmount: 2, maxLTV: 40, bitcoinPrice: 90000 });
+  });
+
+  it('reports every invalid option and exits with 1', () => {
+    const { exitCode, stdout, stderr } = run(['--btc', 'lots', '--years', '500', '--frobnicate']);
+    expect(exitCode).toBe(1);
+    expect(stdout).toBe('');
+    expect(stderr).toContain('--btc is not a number');
+    expect(stderr).toContain('--years must be between 1 and 100');
+    expect(stderr).toContain('--frobnicate is not a recognised option');
+  });
+
+  it('requires a price', () => {
+    const { exitCode, stderr } = run(['--btc', '3']);
+    expect(exitCode).toBe(1);
+    expect(stderr).toContain('bitcoinPrice is required');
+  });
+
+  it('prints usage with --help', () => {
+    const { exitCode, stdout } = run(['--help']);
+    expect(exitCode).toBe(0);
+    expect(stdout).toContain('Usage: retire-on-bitcoin --price <amount> [options]');
+  });
+});
@@ -1,172 +1,92 @@
-import React, { useState, useEffect, useMemo, useRef } from 'react';
-import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import React, { createContext, useContext, useState, useEffect, useMemo, useRef, useCallback } from 'react';
+import { ComposedChart, Line, Area, Bar, ReferenceDot, ReferenceLine, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, Brush } from 'recharts';
+import {
+  GROWTH_MODELS,
+  generateScenarioGrowthRates,
+  INTEREST_RATE_MODES,
+  generateInterestRates,
+  INTEREST_METHODS,
+  LOAN_ALLOCATION_RULES,
+  TAX_BRACKETS,
+  WITHDRAWAL_STRATEGIES,
+  END_OF_PLAN_OPTIONS,
+  CASH_FLOW_TYPES,
+  getExpensePhase,
+  getPhaseExpenses,
+  getFirstSpendingYear,
+  getFirstYearExpenses,
+  calculateLTV,
+  GOAL_SEEK_VARIABLES,
+  GOAL_SEEK_METRICS,
+  SENSITIVITY_VARIABLES,
+  SENSITIVITY_METRICS,
+  MAX_SENSITIVITY_STEPS,
+  getBacktestStartYears,
+  runScenario
+} from '../utils/projectionEngine';
+import { INPUT_SCHEMA, getInputIssues, getValueError, parseScenarioQuery, serializeScenarioQuery } from '../utils/scenarioInputs';
+import { buildProjectionCsv, buildProjectionJson, buildProjectionXlsx, downloadFile } from '../utils/projectionExport';
+import { CURRENCIES, createFormatters } from '../utils/currency';
+import {
+  PRICE_PROVIDERS,
+  formatPriceAge,
+  getPriceQuote,
+  loadPriceFeedSettings,
+  storePriceFeedSettings
+} from '../utils/priceFeed';
 
 // Utility functions
-/**
- * Generates yearly growth rates that linearly decrease from initial to final rate over 9 years,
- * then maintain the final rate thereafter
- */
-const generateGrowthRates = (initialRate, terminalRate, years) => {
-  const rates = [];
-  const transitionYears = 9; // 9 steps to reach terminal rate at year 10
-  const decay = (initialRate - terminalRate) / transitionYears;
-  
-  for (let year = 1; year <= years; year++) {
-    const rate = year < 10 ? 
-      Math.max(terminalRate, initialRate - (decay * (year - 1))) :
-      terminalRate;
-    rates.push({ year, rate: Math.round(rate * 100) / 100 });
-  }
-  return rates;
-};
-
-/**
- * Projects yearly portfolio value, debt, and LTV ratio based on input parameters
- */
-const calculateProjections = (inputs) => {
-  const projections = [];
-  let totalBorrowed = 0;
-  let totalInterest = 0;
-  let inflatedExpenses = inputs.annualExpenses;
-  let bitcoinValue = inputs.bitcoinPrice;
-
-  for (let i = 0; i < inputs.years; i++) {
-    const year = i + 1;
-    
-    // First calculate interest on existing debt
-    const newInterest = totalBorrowed * (inputs.interestRate/100);
-    totalInterest += newInterest;
-    
-    // Then add new borrowing
-    totalBorrowed += inflatedExpenses;
-    
-    // Get growth rate for this year
-    const growthRate = inputs.growthRates.find(g => g.year === year)?.rate || 
-      inputs.growthRates[inputs.growthRates.length - 1].rate;
-
-    // Apply growth for next year's starting price
-    const nextBitcoinValue = bitcoinValue * (1 + growthRate/100);
-
-    // Calculate portfolio value using end of year price
-    const portfolioValue = nextBitcoinValue * inputs.bitcoinAmount;
-    const totalDebt = totalBorrowed + totalInterest;
-    const netWorth = portfolioValue - totalDebt;
-    
-    // Calculate LTV using beginning of year price
-    const startYearPortfolioValue = bitcoinValue * inputs.bitcoinAmount;
-    const ltvRatio = (totalDebt / startYearPortfolioValue) * 100;
-
-    projections.push({
-      year,
-      growthRate,
-      bitcoinPriceStart: Math.round(bitcoinValue),
-      bitcoinPriceEnd: Math.round(nextBitcoinValue),
-      portfolioValue: Math.round(portfolioValue),
-      totalBorrowed: Math.round(totalBorrowed),
-      totalInterest: Math.round(totalInterest),
-      totalDebt: Math.round(totalDebt),
-      netWorth: Math.round(netWorth),
-      ltvRatio: Math.round(ltvRatio),
-      annualExpenses: Math.round(inflatedExpenses)
-    });
-
-    // Update bitcoinValue for next iteration
-    bitcoinValue = nextBitcoinValue;
 
-    // Increase expenses by inflation rate for next year
-    inflatedExpenses *= (1 + inputs.inflationRate/100);
-  }
+// Number and money formatters for the scenario's display currency (see createFormatters).
+// The calculator provides them; every component that shows amounts reads them here.
+const FormattersContext = createContext(createFormatters('USD'));
+const useFormatters = () => useContext(FormattersContext);
 
-  return projections;
+const formatLTV = (value) => {
+  return Number.isFinite(value) ? `${value}%` : '∞';
 };
 
-/**
- * Uses binary search to find maximum annual expenses that keep LTV ratio below maxLTV
- */
-const findOptimalAnnualExpenses = (inputs) => {
-  let low = 0;
-  let high = inputs.bitcoinPrice * inputs.bitcoinAmount;
-  let optimalExpenses = 0;
-  const maxLTV = inputs.maxLTV || 50; // Use custom maxLTV or default to 50
-  const PRECISION = 100;
-
-  while (high - low > PRECISION) {
-    const mid = (low + high) / 2;
-    const projections = calculateProjections({ ...inputs, annualExpenses: mid });
-    const maxLTVInProjections = Math.max(...projections.map(p => p.ltvRatio));
-
-    if (maxLTVInProjections <= maxLTV) {
-      optimalExpenses = mid;
-      low = mid;
-    } else {
-      high = mid;
-    }
-  }
-
-  return Math.round(optimalExpenses);
+const LIQUIDATION_LABELS = {
+  marginCall: 'Margin Call',
+  liquidation: 'Liquidation'
 };
 
-const formatNumber = (value) => {
-  if (value === undefined || value === null) return '0';
-  return value.toLocaleString('en-US');
-};
+// Starting price used only when no price source answers and none was saved before, so the
+// calculator has something to run on until the user enters the price
+const PLACEHOLDER_BITCOIN_PRICE = 100000;
 
-const parseFormattedNumber = (value) => {
-  return parseFloat(value.replace(/,/g, ''));
-};
+const SAVED_SCENARIOS_KEY = 'retireOnBitcoin.savedScenarios';
 
-const formatYAxisTick = (value) => {
-  if (value >= 1000000) {
-    return `$${(value / 1000000).toFixed(1)}M`;
+/**
+ * Reads the saved scenarios library from localStorage. Each scenario stores its inputs
+ * as a scenario query string so it goes through the same validation as a shared link.
+ */
+const loadSavedScenarios = () => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(SAVED_SCENARIOS_KEY) || '[]');
+    return Array.isArray(stored) ? stored.filter(s => s && s.id && s.name && typeof s.query === 'string') : [];
+  } catch (error) {
+    console.warn('Failed to load saved scenarios:', error);
+    return [];
   }
-  return `$${formatNumber(value)}`;
 };
 
-let lastSuccessfulFetch = 0;
-const FETCH_COOLDOWN_MS = 60000; // 1 minute in milliseconds
-
-const fetchBitcoinPrice = async () => {
-  const now = Date.now();
-  if (lastSuccessfulFetch && (now - lastSuccessfulFetch) < FETCH_COOLDOWN_MS) {
-    console.warn('Rate limited: Please wait a minute between price refreshes');
-    throw new Error('Rate limited: Please wait a minute between price refreshes');
-  }
-
+const storeSavedScenarios = (scenarios) => {
   try {
-    // Using CoinGecko's public CORS-enabled API endpoint
-    const response = await fetch('https://api.coingecko.com/api/v3/coins/bitcoin?localization=false&tickers=false&market_data=true&community_data=false&developer_data=false&sparkline=false', {
-      method: 'GET',
-      headers: {
-        'Accept': 'application/json',
-      }
-    });
-    
-    if (response.status === 429) {
-      throw new Error('Rate limited by CoinGecko API. Please try again in a minute.');
-    }
-    
-    if (!response.ok) {
-      throw new Error(`Failed to fetch Bitcoin price: ${response.status}`);
-    }
-    
-    const data = await response.json();
-    const price = Math.round(data.market_data.current_price.usd);
-    lastSuccessfulFetch = now;
-    return price;
+    window.localStorage.setItem(SAVED_SCENARIOS_KEY, JSON.stringify(scenarios));
   } catch (error) {
-    console.warn('Failed to fetch Bitcoin price:', error);
-    if (!lastSuccessfulFetch) {
-      // If we've never successfully fetched, use default
-      return 100000;
-    }
-    throw error; // Re-throw to keep using the last successful price
+    console.warn('Failed to save scenarios:', error);
   }
 };
 
-// Input Field Component
-const InputField = ({ label, value, onChange, type = "number", disabled = false, initialValue, tooltip, isLoading = false }) => {
+// Input Field Component. With a `schema` (an INPUT_SCHEMA entry) the typed value is
+// checked against its range as you type: values that fail show a message under the field
+// and are not passed to onChange, so the calculator keeps the last valid value.
+const InputField = ({ label, value, onChange, type = "number", disabled = false, initialValue, tooltip, isLoading = false, schema }) => {
+  const { formatNumber, parseNumber } = useFormatters();
   const [inputValue, setInputValue] = useState(isLoading ? "grabbing..." : formatNumber(initialValue || value || 0));
   const [isEditing, setIsEditing] = useState(false);
+  const [error, setError] = useState(null);
   const [showTooltip, setShowTooltip] = useState(false);
   const tooltipRef = useRef(null);
   const labelRef = useRef(null);
@@ -174,8 +94,15 @@ const InputField = ({ label, value, onChange, type = "number", disabled = false,
   useEffect(() => {
     if (!isLoading && !isEditing) {
       setInputValue(formatNumber(value));
+      setError(null);
     }
-  }, [value, isLoading]);
+  }, [value, isLoading, formatNumber]);
+
+  const getError = (parsed) => {
+    if (Number.isNaN(parsed)) return 'Enter a number';
+    const message = schema ? getValueError(parsed, schema) : null;
+    return message && message.charAt(0).toUpperCase() + message.slice(1);
+  };
 
   const handleFocus = (e) => {
     if (!disabled && !isLoading) {
@@ -191,19 +118,25 @@ const InputField = ({ label, value, onChange, type = "number", disabled = false,
   const handleBlur = () => {
     setIsEditing(false);
     if (type === "number" && !isLoading) {
-      const parsedValue = parseFormattedNumber(inputValue);
-      onChange(parsedValue);
-      setInputValue(formatNumber(parsedValue));
+      const parsedValue = parseNumber(inputValue);
+      // Invalid text stays in the box next to its message until it is corrected
+      if (getError(parsedValue) === null) {
+        onChange(parsedValue);
+        setInputValue(formatNumber(parsedValue));
+      }
     }
   };
 
   const handleChange = (e) => {
     if (!disabled && !isLoading) {
-      const newValue = e.target.value.replace(/[^\d.,]/g, '');
+      // Only fields that allow negative values (growth, inflation) accept a minus sign
+      const newValue = e.target.value.replace(schema?.min < 0 ? /[^\d.,-]/g : /[^\d.,]/g, '');
       setInputValue(newValue);
       
-      const parsed = parseFormattedNumber(newValue);
-      if (!isNaN(parsed)) {
+      const parsed = parseNumber(newValue);
+      const message = getError(parsed);
+      setError(message);
+      if (message === null) {
         onChange(parsed);
       }
     }
@@ -234,8 +167,12 @@ const InputField = ({ label, value, onChange, type = "number", disabled = false,
         onFocus={handleFocus}
         onBlur={handleBlur}
         disabled={disabled}
-        className="w-full px-3 py-2 text-base sm:text-lg border rounded-lg shadow-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500 disabled:bg-gray-100 text-gray-900"
+        aria-invalid={error !== null}
+        className={`w-full px-3 py-2 text-base sm:text-lg border rounded-lg shadow-sm focus:ring-2 disabled:bg-gray-100 text-gray-900 ${
+          error ? 'border-red-500 focus:ring-red-500 focus:border-red-500' : 'focus:ring-blue-500 focus:border-blue-500'
+        }`}
       />
+      {error && <p className="text-xs text-red-600 mt-1">{error}</p>}
       {showTooltip && tooltip && (
         <div
           ref={tooltipRef}
@@ -262,6 +199,143 @@ const InputField = ({ label, value, onChange, type = "number", disabled = false,
   );
 };
 
+// Shows where the starting price came from and how old it is, with a refresh button and
+// the provider order (see getPriceQuote)
+const PriceFeedStatus = ({ quote, error, isFetching, currency, bitcoinPrice, settings, onRefresh, onSettingsChange }) => {
+  const [now, setNow] = useState(() => Date.now());
+  const [showSources, setShowSources] = useState(false);
+
+  // Keeps the age current while the page stays open
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 30000);
+    return () => clearInterval(timer);
+  }, []);
+
+  const isQuotedPrice = quote && bitcoinPrice === quote.prices[currency];
+  const label = (source) => PRICE_PROVIDERS[source].label;
+  const unusedSources = Object.keys(PRICE_PROVIDERS).filter(source => !settings.order.includes(source));
+
+  const moveSource = (index, offset) => {
+    const order = [...settings.order];
+    [order[index], order[index + offset]] = [order[index + offset], order[index]];
+    onSettingsChange({ ...settings, order });
+  };
+
+  let status;
+  if (isFetching) {
+    status = <span className="text-gray-500">Fetching the latest price…</span>;
+  } else if (isQuotedPrice && quote.stale) {
+    status = (
+      <span className="text-amber-700">
+        ⚠️ No price source answered, so this is the last saved price from {label(quote.source)}, {formatPriceAge(quote.fetchedAt, now)}
+      </span>
+    );
+  } else if (isQuotedPrice) {
+    status = <span className="text-gray-500">From {label(quote.source)} · {formatPriceAge(quote.fetchedAt, now)}</span>;
+  } else if (error && bitcoinPrice === PLACEHOLDER_BITCOIN_PRICE) {
+    status = (
+      <span className="text-red-600">
+        ⚠️ This is a placeholder: no price source answered and no earlier price is saved. Enter the current price or try again.
+      </span>
+    );
+  } else {
+    status = <span className="text-gray-500">Entered by hand</span>;
+  }
+
+  return (
+    <div className="mt-1 text-xs">
+      <div className="flex flex-wrap items-center gap-x-3 gap-y-1">
+        {status}
+        <button
+          onClick={onRefresh}
+          disabled={isFetching}
+          className="font-medium text-blue-600 hover:text-blue-700 disabled:text-gray-400"
+        >
+          {isQuotedPrice ? 'Refresh' : 'Use live price'}
+        </button>
+        <button
+          onClick={() => setShowSources(!showSources)}
+          className="font-medium text-blue-600 hover:text-blue-700"
+        >
+          {showSources ? 'Hide sources' : 'Sources'}
+        </button>
+      </div>
+      {!isFetching && (isQuotedPrice ? quote.failures : error?.failures ?? []).length > 0 && (
+        <p className="text-gray-500 mt-1">
+          Didn&apos;t answer: {(isQuotedPrice ? quote.failures : error.failures).map(f => `${label(f.source)} (${f.message})`).join(', ')}
+        </p>
+      )}
+      {showSources && (
+        <div className="mt-2 p-3 border border-gray-200 rounded-lg bg-gray-50 space-y-2">
+          <p className="text-gray-600">
+            Sources are tried in this order until one answers. The last good price is saved in this browser and used when none does.
+          </p>
+          <ol className="space-y-1">
+            {settings.order.map((source, index) => (
+              <li key={source} className="flex items-center gap-2 text-sm">
+                <span className="w-5 text-gray-500">{index + 1}.</span>
+                <span className="flex-1 text-gray-900">{label(source)}</span>
+                <button
+                  onClick={() => moveSource(index, -1)}
+                  disabled={index === 0}
+                  aria-label={`Try ${label(source)} earlier`}
+                  className="px-1 text-gray-600 hover:text-gray-900 disabled:text-gray-300"
+                >
+                  ↑
+                </button>
+                <button
+                  onClick={() => moveSource(index, 1)}
+                  disabled={index === settings.order.length - 1}
+                  aria-label={`Try ${label(source)} later`}
+                  className="px-1 text-gray-600 hover:text-gray-900 disabled:text-gray-300"
+                >
+                  ↓
+                </button>
+                <button
+                  onClick={() => onSettingsChange({ ...settings, order: settings.order.filter(s => s !== source) })}
+                  disabled={settings.order.length === 1}
+                  className="text-xs text-red-600 hover:text-red-700 disabled:text-gray-300"
+                >
+                  Remove
+                </button>
+              </li>
+            ))}
+          </ol>
+          {unusedSources.length > 0 && (
+            <div className="flex flex-wrap gap-3">
+              {unusedSources.map(source => (
+                <button
+                  key={source}
+                  onClick={() => onSettingsChange({ ...settings, order: [...settings.order, source] })}
+                  className="font-medium text-blue-600 hover:text-blue-700"
+                >
+                  + {label(source)}
+                </button>
+              ))}
+            </div>
+          )}
+          {settings.order.includes('custom') && (
+            <div>
+              <label className="block font-medium text-gray-700 mb-1" htmlFor="customPriceUrl">Custom URL</label>
+              <input
+                id="customPriceUrl"
+                type="url"
+                value={settings.customUrl}
+                onChange={(e) => onSettingsChange({ ...settings, customUrl: e.target.value.trim() })}
+                placeholder="https://example.com/btc-price.json"
+                className="w-full px-3 py-2 text-sm border rounded-lg shadow-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-gray-900"
+              />
+              <p className="text-gray-500 mt-1">
+                Must return JSON with a price in every currency, e.g. {'{"USD": 97000, "EUR": 89000, "GBP": 76000, "CHF": 86000}'}
+              </p>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
 // Column header with tooltip component
 const ColumnHeader = ({ label, tooltip, className }) => {
   const [showTooltip, setShowTooltip] = useState(false);
@@ -332,8 +406,13 @@ const ColumnHeader = ({ label, tooltip, className }) => {
 };
 
 // Growth Rates Display Component
-const GrowthRatesDisplay = ({ growthRates }) => {
+const GrowthRatesDisplay = ({ growthRates, isHistorical = false, terminalYear = null, onOverride, onResetOverrides }) => {
+  const { formatNumber, parseNumber } = useFormatters();
   const [showAllYears, setShowAllYears] = useState(false);
+  const [editingYear, setEditingYear] = useState(null);
+  const [editValue, setEditValue] = useState('');
+  const isEditable = Boolean(onOverride) && !isHistorical;
+  const hasOverrides = growthRates.some(g => g.isOverride);
   const scrollRef = useRef(null);
   const [isMobile, setIsMobile] = useState(false);
 
@@ -351,14 +430,54 @@ const GrowthRatesDisplay = ({ growthRates }) => {
     return growthRates.slice(0, 10); // Only show first 10 years by default on mobile
   }, [growthRates, showAllYears, isMobile]);
 
+  const startEditing = (year, rate) => {
+    if (!isEditable) return;
+    setEditingYear(year);
+    setEditValue(formatNumber(rate));
+  };
+
+  // An empty value, or one matching the model's rate, clears that year's override
+  const commitEdit = () => {
+    const parsed = parseNumber(editValue);
+    const entry = growthRates.find(g => g.year === editingYear);
+    const modelRate = entry?.isOverride ? entry.modelRate : entry?.rate;
+    onOverride(editingYear, isNaN(parsed) || parsed === modelRate ? undefined : parsed);
+    setEditingYear(null);
+  };
+
+  const handleEditKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      commitEdit();
+    } else if (e.key === 'Escape') {
+      setEditingYear(null);
+    }
+  };
+
   return (
     <div className="mb-6">
       <div className="flex flex-col sm:flex-row sm:items-center justify-between mb-4 gap-2">
-        <h3 className="text-lg font-semibold text-gray-900">Growth Rate Schedule</h3>
-        <div className="text-sm text-gray-500">
-          Initial: {growthRates[0]?.rate}% → Final: {growthRates[9]?.rate}%
+        <h3 className="text-lg font-semibold text-gray-900">
+          {isHistorical ? 'Historical Returns' : 'Growth Rate Schedule'}
+        </h3>
+        <div className="flex items-center gap-4 text-sm text-gray-500">
+          {isHistorical
+            ? `${growthRates[0]?.calendarYear}–${growthRates[growthRates.length - 1]?.calendarYear} actual BTC returns`
+            : `Initial: ${growthRates[0]?.rate}% → Final: ${growthRates[growthRates.length - 1]?.rate}%`}
+          {isEditable && hasOverrides && (
+            <button
+              onClick={onResetOverrides}
+              className="text-sm text-blue-600 hover:text-blue-700 font-medium"
+            >
+              Reset to Model
+            </button>
+          )}
         </div>
       </div>
+      {isEditable && (
+        <p className="text-xs text-gray-500 -mt-2 mb-3">
+          Click any year to type your own rate, e.g. -60 for a bear market. Clear a cell to go back to the model.
+        </p>
+      )}
       
       <div className="relative">
         <div 
@@ -366,20 +485,41 @@ const GrowthRatesDisplay = ({ growthRates }) => {
           className="overflow-x-auto pb-4 -mx-4 px-4 sm:mx-0 sm:px-0 hide-scrollbar"
         >
           <div className="grid grid-cols-5 sm:grid-cols-10 gap-2 bg-white p-4 rounded-xl shadow-sm min-w-[600px] sm:min-w-0">
-            {displayedRates.map(({ year, rate }, index) => (
+            {displayedRates.map(({ year, rate, calendarYear, isOverride, modelRate }, index) => (
               <div 
                 key={year}
-                className={`relative p-3 rounded-lg ${
-                  index === 9 ? 'bg-blue-50 border border-blue-200' : 'bg-gray-50'
+                onClick={() => editingYear !== year && startEditing(year, rate)}
+                title={isOverride ? `Model rate: ${modelRate}%` : undefined}
+                className={`relative p-3 rounded-lg ${isEditable ? 'cursor-pointer hover:ring-2 hover:ring-blue-200' : ''} ${
+                  isOverride ? 'bg-amber-50 border border-amber-300' :
+                  year === terminalYear ? 'bg-blue-50 border border-blue-200' : 'bg-gray-50'
                 }`}
               >
-                <div className="text-xs font-medium text-gray-500 mb-1">Year {year}</div>
-                <div className={`text-base sm:text-lg font-semibold ${
-                  index === 9 ? 'text-blue-600' : 'text-gray-900'
-                }`}>
-                  {rate}%
+                <div className="text-xs font-medium text-gray-500 mb-1">
+                  {calendarYear || `Year ${year}`}
+                  {isOverride && <span className="ml-1 text-amber-600">✎</span>}
                 </div>
-                {index < 9 && (
+                {editingYear === year ? (
+                  <input
+                    type="text"
+                    inputMode="decimal"
+                    autoFocus
+                    value={editValue}
+                    onChange={(e) => setEditValue(e.target.value.replace(/[^\d.,-]/g, ''))}
+                    onBlur={commitEdit}
+                    onKeyDown={handleEditKeyDown}
+                    onFocus={(e) => e.target.select()}
+                    className="w-full px-1 py-0.5 text-base border rounded focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-gray-900"
+                  />
+                ) : (
+                  <div className={`text-base sm:text-lg font-semibold ${
+                    isOverride ? 'text-amber-700' :
+                    year === terminalYear ? 'text-blue-600' : 'text-gray-900'
+                  }`}>
+                    {rate}%
+                  </div>
+                )}
+                {terminalYear && year < terminalYear && (index + 1) % 10 !== 0 && (
                   <div className="absolute right-0 top-1/2 transform translate-x-1/2 -translate-y-1/2 text-gray-300">
                     →
                   </div>
@@ -405,7 +545,7 @@ const GrowthRatesDisplay = ({ growthRates }) => {
             onClick={() => setShowAllYears(!showAllYears)}
             className="text-sm text-blue-600 hover:text-blue-700 font-medium"
           >
-            {showAllYears ? 'Show Less Years' : 'Show All 20 Years'}
+            {showAllYears ? 'Show Less Years' : `Show All ${growthRates.length} Years`}
           </button>
         </div>
       )}
@@ -420,8 +560,427 @@ const GrowthRatesDisplay = ({ growthRates }) => {
   );
 };
 
+const MAX_LOAN_TRANCHES = INPUT_SCHEMA.loanTranches.maxItems;
+const LENDER_COLORS = ['#f97316', '#e11d48', '#a855f7', '#0ea5e9', '#84cc16'];
+
+// Loan Tranches Editor Component
+const LoanTranchesEditor = ({ tranches, allocation, interestRate, onChange, onAllocationChange }) => {
+  const updateTranche = (index, field) => (value) => {
+    onChange(tranches.map((tranche, i) => (i === index ? { ...tranche, [field]: value } : tranche)));
+  };
+
+  const addTranche = () => {
+    const seed = tranches.length === 0
+      ? [{ lender: 'Lender 1', interestRate, originationFee: 0, maxLTV: 50, share: 100 }]
+      : tranches;
+    onChange([
+      ...seed,
+      { lender: `Lender ${seed.length + 1}`, interestRate, originationFee: 0, maxLTV: 50, share: 0 }
+    ]);
+  };
+
+  if (tranches.length === 0) {
+    return (
+      <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-2">
+        <p className="text-xs text-gray-500">
+          All borrowing goes to a single loan at the interest rate above.
+        </p>
+        <button
+          onClick={addTranche}
+          className="inline-flex items-center justify-center px-3 py-2 border border-gray-300 shadow-sm text-sm leading-4 font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+        >
+          Use Multiple Lenders
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div className="mb-4">
+        <label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="loanAllocation">
+          Borrowing Rule
+        </label>
+        <select
+          id="loanAllocation"
+          value={allocation}
+          onChange={(e) => onAllocationChange(e.target.value)}
+          className="w-full md:w-1/3 px-3 py-2 text-base sm:text-lg border rounded-lg shadow-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-gray-900"
+        >
+          {Object.entries(LOAN_ALLOCATION_RULES).map(([key, label]) => (
+            <option key={key} value={key}>{label}</option>
+          ))}
+        </select>
+        <p className="text-xs text-gray-500 mt-1">
+          {allocation === 'split'
+            ? 'Each year\'s borrowing is divided between lenders by their share.'
+            : 'Each year\'s borrowing goes to the lowest-rate lender until the BTC it holds as collateral reaches its max LTV, then to the next.'}
+        </p>
+      </div>
+
+      <div className="space-y-4">
+        {tranches.map((tranche, index) => (
+          <div key={index} className="bg-gray-50 rounded-lg p-4 border border-gray-200">
+            <div className="flex items-center justify-between gap-2 mb-3">
+              <input
+                type="text"
+                value={tranche.lender}
+                maxLength={40}
+                onChange={(e) => updateTranche(index, 'lender')(e.target.value)}
+                aria-label="Lender name"
+                className="flex-grow px-3 py-2 text-sm border rounded-lg shadow-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-gray-900"
+              />
+              <button
+                onClick={() => onChange(tranches.filter((_, i) => i !== index))}
+                className="text-sm text-red-600 hover:text-red-700 font-medium"
+              >
+                Remove
+              </button>
+            </div>
+            <div className={`grid grid-cols-1 sm:grid-cols-2 ${allocation === 'split' ? 'md:grid-cols-4' : 'md:grid-cols-3'} gap-4`}>
+              <InputField 
+                label="APR (%)"
+                value={tranche.interestRate}
+                onChange={updateTranche(index, 'interestRate')}
+                schema={INPUT_SCHEMA.loanTranches.fields.interestRate}
+                initialValue={tranche.interestRate}
+                tooltip="Annual interest rate this lender charges on its outstanding principal."
+              />
+              <InputField 
+                label="Origination Fee (%)"
+                value={tranche.originationFee}
+                onChange={updateTranche(index, 'originationFee')}
+                schema={INPUT_SCHEMA.loanTranches.fields.originationFee}
+                initialValue={tranche.originationFee}
+                tooltip="Fee charged on every amount borrowed from this lender, added to the loan balance."
+              />
+              <InputField 
+                label="Max LTV (%)"
+                value={tranche.maxLTV}
+                onChange={updateTranche(index, 'maxLTV')}
+                schema={INPUT_SCHEMA.loanTranches.fields.maxLTV}
+                initialValue={tranche.maxLTV}
+                tooltip="Highest LTV this lender lends at. BTC pledged to this lender can't back loans from the others."
+              />
+              {allocation === 'split' && (
+                <InputField 
+                  label="Share (%)"
+                  value={tranche.share}
+                  onChange={updateTranche(index, 'share')}
+                  schema={INPUT_SCHEMA.loanTranches.fields.share}
+                  initialValue={tranche.share}
+                  tooltip="Portion of each year's borrowing taken from this lender. Shares are scaled to add up to 100%."
+                />
+              )}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {tranches.length < MAX_LOAN_TRANCHES && (
+        <button
+          onClick={addTranche}
+          className="mt-4 text-sm text-blue-600 hover:text-blue-700 font-medium"
+        >
+          + Add Lender
+        </button>
+      )}
+    </div>
+  );
+};
+
+const MAX_EXPENSE_PHASES = INPUT_SCHEMA.expensePhases.maxItems;
+
+// Expense Phases Editor Component
+const ExpensePhasesEditor = ({ phases, annualExpenses, inflationRate, years, onChange }) => {
+  const { currency } = useFormatters();
+  const updatePhase = (index, field) => (value) => {
+    onChange(phases.map((phase, i) => (i === index ? { ...phase, [field]: value } : phase)));
+  };
+
+  const addPhase = () => {
+    const seed = phases.length === 0
+      ? [{ name: 'Early Retirement', startYear: 1, amount: annualExpenses, inflationRate }]
+      : phases;
+    const lastStart = Math.max(...seed.map(phase => phase.startYear));
+    onChange([
+      ...seed,
+      {
+        name: `Phase ${seed.length + 1}`,
+        startYear: Math.min(years, lastStart + 10),
+        amount: seed[seed.length - 1].amount,
+        inflationRate
+      }
+    ]);
+  };
+
+  if (phases.length === 0) {
+    return (
+      <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-2">
+        <p className="text-xs text-gray-500">
+          Spending starts at one amount and grows with inflation every year.
+        </p>
+        <button
+          onClick={addPhase}
+          className="inline-flex items-center justify-center px-3 py-2 border border-gray-300 shadow-sm text-sm leading-4 font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+        >
+          Use Spending Phases
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <p className="text-xs text-gray-500 mb-4">
+        Each phase runs from its start year until the next phase starts. Amounts are in today&apos;s money and grow at the phase&apos;s own inflation rate from year 1.
+      </p>
+      <div className="space-y-4">
+        {phases.map((phase, index) => (
+          <div key={index} className="bg-white rounded-lg p-4 border border-gray-200">
+            <div className="flex items-center justify-between gap-2 mb-3">
+              <input
+                type="text"
+                value={phase.name}
+                maxLength={40}
+                onChange={(e) => updatePhase(index, 'name')(e.target.value)}
+                aria-label="Phase name"
+                className="flex-grow px-3 py-2 text-sm border rounded-lg shadow-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-gray-900"
+              />
+              <button
+                onClick={() => onChange(phases.filter((_, i) => i !== index))}
+                className="text-sm text-red-600 hover:text-red-700 font-medium"
+              >
+                Remove
+              </button>
+            </div>
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+              <InputField 
+                label="Start Year"
+                value={phase.startYear}
+                onChange={updatePhase(index, 'startYear')}
+                schema={INPUT_SCHEMA.expensePhases.fields.startYear}
+                initialValue={phase.startYear}
+                tooltip="First plan year of this phase. The earliest phase also covers any years before it."
+              />
+              <InputField 
+                label={`Spending per Year (${currency})`}
+                value={phase.amount}
+                onChange={updatePhase(index, 'amount')}
+                schema={INPUT_SCHEMA.expensePhases.fields.amount}
+                initialValue={phase.amount}
+                tooltip="Yearly spending during this phase, in today's money."
+              />
+              <InputField 
+                label="Inflation (%)"
+                value={phase.inflationRate}
+                onChange={updatePhase(index, 'inflationRate')}
+                schema={INPUT_SCHEMA.expensePhases.fields.inflationRate}
+                initialValue={phase.inflationRate}
+                tooltip="Yearly growth of this phase's spending, e.g. higher for healthcare-heavy late retirement."
+              />
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {phases.length < MAX_EXPENSE_PHASES && (
+        <button
+          onClick={addPhase}
+          className="mt-4 text-sm text-blue-600 hover:text-blue-700 font-medium"
+        >
+          + Add Phase
+        </button>
+      )}
+    </div>
+  );
+};
+
+const MAX_CASH_FLOWS = INPUT_SCHEMA.cashFlows.maxItems;
+
+// Cash Flows Editor Component
+const CashFlowsEditor = ({ cashFlows, years, inflationRate, onChange }) => {
+  const { currency } = useFormatters();
+  const updateFlow = (index, field) => (value) => {
+    onChange(cashFlows.map((flow, i) => (i === index ? { ...flow, [field]: value } : flow)));
+  };
+
+  const addFlow = () => {
+    onChange([
+      ...cashFlows,
+      { name: `Cash Flow ${cashFlows.length + 1}`, type: 'salary', amount: 50000, startYear: 1, endYear: years, inflationRate }
+    ]);
+  };
+
+  return (
+    <div>
+      {cashFlows.length === 0 && (
+        <p className="text-xs text-gray-500">
+          No other cash flows: every dollar of expenses is borrowed or raised by selling BTC.
+        </p>
+      )}
+
+      <div className="space-y-4">
+        {cashFlows.map((flow, index) => {
+          const isOneOff = CASH_FLOW_TYPES[flow.type].kind.startsWith('oneOff');
+          return (
+            <div key={index} className="bg-gray-50 rounded-lg p-4 border border-gray-200">
+              <div className="flex flex-col sm:flex-row sm:items-center gap-2 mb-3">
+                <input
+                  type="text"
+                  value={flow.name}
+                  maxLength={40}
+                  onChange={(e) => updateFlow(index, 'name')(e.target.value)}
+                  aria-label="Cash flow name"
+                  className="flex-grow px-3 py-2 text-sm border rounded-lg shadow-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-gray-900"
+                />
+                <select
+                  value={flow.type}
+                  onChange={(e) => updateFlow(index, 'type')(e.target.value)}
+                  aria-label="Cash flow type"
+                  className="px-3 py-2 text-sm border rounded-lg shadow-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-gray-900"
+                >
+                  {Object.entries(CASH_FLOW_TYPES).map(([key, type]) => (
+                    <option key={key} value={key}>{type.label}</option>
+                  ))}
+                </select>
+                <button
+                  onClick={() => onChange(cashFlows.filter((_, i) => i !== index))}
+                  className="text-sm text-red-600 hover:text-red-700 font-medium"
+                >
+                  Remove
+                </button>
+              </div>
+              <div className={`grid grid-cols-1 sm:grid-cols-2 ${isOneOff ? 'md:grid-cols-3' : 'md:grid-cols-4'} gap-4`}>
+                <InputField 
+                  label={isOneOff ? `Amount (${currency})` : `Amount per Year (${currency})`}
+                  value={flow.amount}
+                  onChange={updateFlow(index, 'amount')}
+                  schema={INPUT_SCHEMA.cashFlows.fields.amount}
+                  initialValue={flow.amount}
+                  tooltip="In today's money. It grows at this flow's own inflation rate from year 1."
+                />
+                <InputField 
+                  label={isOneOff ? 'Year' : 'Start Year'}
+                  value={flow.startYear}
+                  onChange={updateFlow(index, 'startYear')}
+                  schema={INPUT_SCHEMA.cashFlows.fields.startYear}
+                  initialValue={flow.startYear}
+                  tooltip={isOneOff ? 'Plan year in which this one-off amount arrives or is spent.' : 'First plan year this flow is paid.'}
+                />
+                {!isOneOff && (
+                  <InputField 
+                    label="End Year"
+                    value={flow.endYear}
+                    onChange={updateFlow(index, 'endYear')}
+                    schema={INPUT_SCHEMA.cashFlows.fields.endYear}
+                    initialValue={flow.endYear}
+                    tooltip="Last plan year this flow is paid."
+                  />
+                )}
+                <InputField 
+                  label="Inflation (%)"
+                  value={flow.inflationRate}
+                  onChange={updateFlow(index, 'inflationRate')}
+                  schema={INPUT_SCHEMA.cashFlows.fields.inflationRate}
+                  initialValue={flow.inflationRate}
+                  tooltip="Yearly growth of this amount, e.g. a Social Security cost-of-living adjustment. Use 0 for a fixed nominal amount."
+                />
+              </div>
+            </div>
+          );
+        })}
+      </div>
+
+      {cashFlows.length < MAX_CASH_FLOWS && (
+        <button
+          onClick={addFlow}
+          className="mt-4 text-sm text-blue-600 hover:text-blue-700 font-medium"
+        >
+          + Add Cash Flow
+        </button>
+      )}
+    </div>
+  );
+};
+
+// Interest Rate Path Component
+const InterestRatePath = ({ interestRates, schedule, onScheduleChange }) => {
+  const { formatNumber, parseNumber } = useFormatters();
+  const [editingYear, setEditingYear] = useState(null);
+  const [editValue, setEditValue] = useState('');
+  const isEditable = Boolean(onScheduleChange);
+
+  const startEditing = (year, rate) => {
+    if (!isEditable || editingYear === year) return;
+    setEditingYear(year);
+    setEditValue(formatNumber(rate));
+  };
+
+  // An empty value clears that year, so the rate carries over from the year before. A rate
+  // outside INPUT_SCHEMA's range is kept as typed and reported with the other input issues.
+  const commitEdit = () => {
+    const parsed = parseNumber(editValue);
+    const interestRateSchedule = { ...schedule };
+    if (isNaN(parsed)) {
+      delete interestRateSchedule[editingYear];
+    } else {
+      interestRateSchedule[editingYear] = parsed;
+    }
+    onScheduleChange(interestRateSchedule);
+    setEditingYear(null);
+  };
+
+  return (
+    <div className="mt-4">
+      {isEditable && (
+        <p className="text-xs text-gray-500 mb-2">
+          Click a year to set its rate. Years you leave alone keep the rate of the year before.
+        </p>
+      )}
+      <div className="grid grid-cols-5 sm:grid-cols-10 gap-2">
+        {interestRates.map(({ year, rate }) => {
+          const isSet = schedule?.[year] !== undefined;
+          return (
+            <div
+              key={year}
+              onClick={() => startEditing(year, rate)}
+              className={`p-2 rounded-lg ${isEditable ? 'cursor-pointer hover:ring-2 hover:ring-blue-200' : ''} ${
+                isEditable && isSet ? 'bg-amber-50 border border-amber-300' : 'bg-gray-50'
+              }`}
+            >
+              <div className="text-xs font-medium text-gray-500">Year {year}</div>
+              {editingYear === year ? (
+                <input
+                  type="text"
+                  inputMode="decimal"
+                  autoFocus
+                  value={editValue}
+                  onChange={(e) => setEditValue(e.target.value.replace(/[^\d.,]/g, ''))}
+                  onBlur={commitEdit}
+                  onKeyDown={(e) => {
+                    if (e.key === 'Enter') commitEdit();
+                    if (e.key === 'Escape') setEditingYear(null);
+                  }}
+                  onFocus={(e) => e.target.select()}
+                  className="w-full px-1 py-0.5 text-sm border rounded focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-gray-900"
+                />
+              ) : (
+                <div className={`text-sm font-semibold ${isEditable && isSet ? 'text-amber-700' : 'text-gray-900'}`}>{rate}%</div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
 // Results Table Component
 const ResultsTable = ({ results, inputs, showCalculations, setShowCalculations, optimalExpenses }) => {
+  const { formatMoney } = useFormatters();
+  const showSales = inputs.withdrawalStrategy !== 'borrow';
+  const hasCashFlows = inputs.cashFlows.length > 0;
   const [canScrollLeft, setCanScrollLeft] = useState(false);
   const [canScrollRight, setCanScrollRight] = useState(false);
   const scrollContainerRef = useRef(null);
@@ -440,16 +999,48 @@ const ResultsTable = ({ results, inputs, showCalculations, setShowCalculations,
     return () => window.removeEventListener('resize', checkScroll);
   }, []);
 
+  const exportProjections = (format) => {
+    const generatedAt = new Date().toISOString();
+    const report = {
+      inputs,
+      annualExpenses: inputs.useOptimalExpenses ? optimalExpenses : getFirstYearExpenses(inputs),
+      generatedAt,
+      scenarioQuery: serializeScenarioQuery(inputs),
+      projections: results
+    };
+    const fileName = `retire-on-bitcoin-${generatedAt.slice(0, 10)}.${format}`;
+
+    if (format === 'csv') {
+      downloadFile(buildProjectionCsv(report), fileName, 'text/csv;charset=utf-8');
+    } else if (format === 'json') {
+      downloadFile(buildProjectionJson(report), fileName, 'application/json');
+    } else {
+      downloadFile(buildProjectionXlsx(report), fileName);
+    }
+  };
+
   return (
     <div className="relative mb-6">
-      <div className="flex justify-between items-center mb-4">
+      <div className="flex flex-col sm:flex-row justify-between sm:items-center gap-2 mb-4">
         <h2 className="text-xl font-semibold text-gray-900">Year by Year Retirement Projections</h2>
-        <button
-          onClick={() => setShowCalculations(true)}
-          className="inline-flex items-center px-3 py-2 border border-gray-300 shadow-sm text-sm leading-4 font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
-        >
-          View Calculations
-        </button>
+        <div className="flex flex-wrap gap-2">
+          {['csv', 'json', 'xlsx'].map(format => (
+            <button
+              key={format}
+              onClick={() => exportProjections(format)}
+              disabled={results.length === 0}
+              className="inline-flex items-center px-3 py-2 border border-gray-300 shadow-sm text-sm leading-4 font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+            >
+              Export {format.toUpperCase()}
+            </button>
+          ))}
+          <button
+            onClick={() => setShowCalculations(true)}
+            className="inline-flex items-center px-3 py-2 border border-gray-300 shadow-sm text-sm leading-4 font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+          >
+            View Calculations
+          </button>
+        </div>
       </div>
 
       <CalculationsModal
@@ -512,19 +1103,85 @@ const ResultsTable = ({ results, inputs, showCalculations, setShowCalculations,
                   tooltip="Cumulative borrowed amount plus interest. This is what you owe from borrowing for living expenses"
                   className="text-xs sm:text-[11px] md:text-sm"
                 />
+                {inputs.interestRateMode !== 'fixed' && (
+                  <ColumnHeader 
+                    label="Rate" 
+                    tooltip={inputs.loanTranches.length > 0
+                      ? `Each lender's APR this year (${inputs.loanTranches.map(t => t.lender).join(' / ')})`
+                      : 'Loan interest rate charged this year'}
+                    className="text-xs sm:text-[11px] md:text-sm"
+                  />
+                )}
+                {inputs.loanTranches.map((tranche, index) => (
+                  <ColumnHeader 
+                    key={`lender-${index}`}
+                    label={tranche.lender}
+                    tooltip={`Amount owed to ${tranche.lender} at ${tranche.interestRate}% APR, including origination fees and unpaid interest`}
+                    className="text-xs sm:text-[11px] md:text-sm"
+                  />
+                ))}
                 <ColumnHeader 
                   label="Net Worth" 
                   tooltip="Portfolio Value minus Total Debt. This is your actual wealth after accounting for loans"
                   className="text-xs sm:text-[11px] md:text-sm"
                 />
+                {inputs.taxEnabled && (
+                  <ColumnHeader 
+                    label="After Tax" 
+                    tooltip="Net Worth minus the capital gains tax that would be due if all remaining BTC were sold"
+                    className="text-xs sm:text-[11px] md:text-sm"
+                  />
+                )}
                 <ColumnHeader 
                   label="LTV" 
-                  tooltip="Loan-to-Value ratio calculated at the start of each year before Bitcoin appreciation. This represents the highest LTV for the year"
+                  tooltip={inputs.timeResolution === 'monthly'
+                    ? 'Highest monthly Loan-to-Value ratio during the year, with the month it occurred'
+                    : 'Loan-to-Value ratio calculated at the start of each year before Bitcoin appreciation. This represents the highest LTV for the year'}
                   className="text-xs sm:text-[11px] md:text-sm"
                 />
                 <ColumnHeader 
                   label="Expenses" 
-                  tooltip="Living expenses for this year, increasing yearly with inflation"
+                  tooltip={inputs.expensePhases.length > 0
+                    ? 'Living expenses for this year, from the spending phase shown next to it'
+                    : 'Living expenses for this year, increasing yearly with inflation'}
+                  className="text-xs sm:text-[11px] md:text-sm"
+                />
+                {hasCashFlows && (
+                  <>
+                    <ColumnHeader 
+                      label="Income" 
+                      tooltip="Income and one-off inflows this year, less one-off expenses and DCA purchases. Only a shortfall is borrowed"
+                      className="text-xs sm:text-[11px] md:text-sm"
+                    />
+                    <ColumnHeader 
+                      label="Bought" 
+                      tooltip="BTC bought this year through DCA purchases or with surplus income"
+                      className="text-xs sm:text-[11px] md:text-sm"
+                    />
+                  </>
+                )}
+                {showSales && (
+                  <ColumnHeader 
+                    label="Sold" 
+                    tooltip="BTC sold this year to pay for expenses, including enough extra to cover the tax on the sale"
+                    className="text-xs sm:text-[11px] md:text-sm"
+                  />
+                )}
+                {inputs.taxEnabled && (
+                  <ColumnHeader 
+                    label="Tax" 
+                    tooltip="Capital gains tax paid this year on BTC sold for expenses or margin calls"
+                    className="text-xs sm:text-[11px] md:text-sm"
+                  />
+                )}
+                <ColumnHeader 
+                  label="BTC Held" 
+                  tooltip="Bitcoin you still hold at the end of the year, after any BTC sold for expenses or to meet a margin call or liquidation"
+                  className="text-xs sm:text-[11px] md:text-sm"
+                />
+                <ColumnHeader 
+                  label="Event" 
+                  tooltip="Margin call or forced liquidation triggered when LTV crossed your lender's thresholds, with the BTC sold to repay debt back to the target LTV"
                   className="text-xs sm:text-[11px] md:text-sm"
                 />
               </tr>
@@ -533,19 +1190,64 @@ const ResultsTable = ({ results, inputs, showCalculations, setShowCalculations,
               {results.map((row, index) => (
                 <tr 
                   key={row.year} 
-                  className={`hover:bg-gray-50 text-gray-900 ${index % 2 === 0 ? 'bg-white' : 'bg-gray-50'}`}
+                  className={`hover:bg-gray-50 text-gray-900 ${
+                    row.liquidationType ? 'bg-red-50' : index % 2 === 0 ? 'bg-white' : 'bg-gray-50'
+                  }`}
                 >
                   <td className="sticky left-0 bg-inherit whitespace-nowrap py-1.5 px-2 sm:py-2 sm:px-2 md:py-2 md:px-3 text-xs sm:text-[11px] md:text-sm font-medium border-r border-gray-200">
                     {row.year === 'Today' ? 'Today' : row.year}
                   </td>
                   <td className="whitespace-nowrap py-1.5 px-2 sm:py-2 sm:px-2 md:py-2 md:px-3 text-xs sm:text-[11px] md:text-sm text-right">{row.growthRate}%</td>
-                  <td className="whitespace-nowrap py-1.5 px-2 sm:py-2 sm:px-2 md:py-2 md:px-3 text-xs sm:text-[11px] md:text-sm text-right">${formatNumber(row.bitcoinPriceStart)}</td>
-                  <td className="whitespace-nowrap py-1.5 px-2 sm:py-2 sm:px-2 md:py-2 md:px-3 text-xs sm:text-[11px] md:text-sm text-right">${formatNumber(row.bitcoinPriceEnd)}</td>
-                  <td className="whitespace-nowrap py-1.5 px-2 sm:py-2 sm:px-2 md:py-2 md:px-3 text-xs sm:text-[11px] md:text-sm text-right font-medium text-blue-600">${formatNumber(row.portfolioValue)}</td>
-                  <td className="whitespace-nowrap py-1.5 px-2 sm:py-2 sm:px-2 md:py-2 md:px-3 text-xs sm:text-[11px] md:text-sm text-right font-medium text-red-600">${formatNumber(row.totalDebt)}</td>
-                  <td className="whitespace-nowrap py-1.5 px-2 sm:py-2 sm:px-2 md:py-2 md:px-3 text-xs sm:text-[11px] md:text-sm text-right font-medium text-green-600">${formatNumber(row.netWorth)}</td>
-                  <td className="whitespace-nowrap py-1.5 px-2 sm:py-2 sm:px-2 md:py-2 md:px-3 text-xs sm:text-[11px] md:text-sm text-right">{row.ltvRatio}%</td>
-                  <td className="whitespace-nowrap py-1.5 px-2 sm:py-2 sm:px-2 md:py-2 md:px-3 text-xs sm:text-[11px] md:text-sm text-right">${formatNumber(row.annualExpenses)}</td>
+                  <td className="whitespace-nowrap py-1.5 px-2 sm:py-2 sm:px-2 md:py-2 md:px-3 text-xs sm:text-[11px] md:text-sm text-right">{formatMoney(row.bitcoinPriceStart)}</td>
+                  <td className="whitespace-nowrap py-1.5 px-2 sm:py-2 sm:px-2 md:py-2 md:px-3 text-xs sm:text-[11px] md:text-sm text-right">{formatMoney(row.bitcoinPriceEnd)}</td>
+                  <td className="whitespace-nowrap py-1.5 px-2 sm:py-2 sm:px-2 md:py-2 md:px-3 text-xs sm:text-[11px] md:text-sm text-right font-medium text-blue-600">{formatMoney(row.portfolioValue)}</td>
+                  <td className="whitespace-nowrap py-1.5 px-2 sm:py-2 sm:px-2 md:py-2 md:px-3 text-xs sm:text-[11px] md:text-sm text-right font-medium text-red-600">{formatMoney(row.totalDebt)}</td>
+                  {inputs.interestRateMode !== 'fixed' && (
+                    <td className="whitespace-nowrap py-1.5 px-2 sm:py-2 sm:px-2 md:py-2 md:px-3 text-xs sm:text-[11px] md:text-sm text-right">
+                      {inputs.loanTranches.length > 0
+                        ? row.tranches.map(t => `${t.interestRate}%`).join(' / ')
+                        : `${row.interestRate}%`}
+                    </td>
+                  )}
+                  {inputs.loanTranches.map((tranche, i) => (
+                    <td key={`lender-${i}`} className="whitespace-nowrap py-1.5 px-2 sm:py-2 sm:px-2 md:py-2 md:px-3 text-xs sm:text-[11px] md:text-sm text-right text-red-500">{formatMoney(row.tranches[i]?.debt)}</td>
+                  ))}
+                  <td className="whitespace-nowrap py-1.5 px-2 sm:py-2 sm:px-2 md:py-2 md:px-3 text-xs sm:text-[11px] md:text-sm text-right font-medium text-green-600">{formatMoney(row.netWorth)}</td>
+                  {inputs.taxEnabled && (
+                    <td className="whitespace-nowrap py-1.5 px-2 sm:py-2 sm:px-2 md:py-2 md:px-3 text-xs sm:text-[11px] md:text-sm text-right text-green-700">{formatMoney(row.netWorthAfterTax)}</td>
+                  )}
+                  <td className="whitespace-nowrap py-1.5 px-2 sm:py-2 sm:px-2 md:py-2 md:px-3 text-xs sm:text-[11px] md:text-sm text-right">
+                    {formatLTV(row.ltvRatio)}
+                    {row.peakLTVMonth && <span className="ml-1 text-gray-400">M{row.peakLTVMonth}</span>}
+                  </td>
+                  <td className="whitespace-nowrap py-1.5 px-2 sm:py-2 sm:px-2 md:py-2 md:px-3 text-xs sm:text-[11px] md:text-sm text-right">
+                    {formatMoney(row.annualExpenses)}
+                    {row.expensePhase && <span className="ml-1 text-gray-400">{row.expensePhase}</span>}
+                  </td>
+                  {hasCashFlows && (
+                    <>
+                      <td className="whitespace-nowrap py-1.5 px-2 sm:py-2 sm:px-2 md:py-2 md:px-3 text-xs sm:text-[11px] md:text-sm text-right">{formatMoney(row.cashIncome - row.otherSpending - row.dcaPurchases)}</td>
+                      <td className="whitespace-nowrap py-1.5 px-2 sm:py-2 sm:px-2 md:py-2 md:px-3 text-xs sm:text-[11px] md:text-sm text-right">
+                        {row.btcBought > 0 ? `+${row.btcBought.toFixed(4)}` : '—'}
+                      </td>
+                    </>
+                  )}
+                  {showSales && (
+                    <td className="whitespace-nowrap py-1.5 px-2 sm:py-2 sm:px-2 md:py-2 md:px-3 text-xs sm:text-[11px] md:text-sm text-right">
+                      {row.btcSoldForExpenses > 0 ? `-${row.btcSoldForExpenses.toFixed(4)}` : '—'}
+                    </td>
+                  )}
+                  {inputs.taxEnabled && (
+                    <td className="whitespace-nowrap py-1.5 px-2 sm:py-2 sm:px-2 md:py-2 md:px-3 text-xs sm:text-[11px] md:text-sm text-right">{formatMoney(row.taxPaid)}</td>
+                  )}
+                  <td className="whitespace-nowrap py-1.5 px-2 sm:py-2 sm:px-2 md:py-2 md:px-3 text-xs sm:text-[11px] md:text-sm text-right">{row.bitcoinAmount.toFixed(4)}</td>
+                  <td className="whitespace-nowrap py-1.5 px-2 sm:py-2 sm:px-2 md:py-2 md:px-3 text-xs sm:text-[11px] md:text-sm text-right">
+                    {row.liquidationType ? (
+                      <span className="font-medium text-red-600">
+                        {LIQUIDATION_LABELS[row.liquidationType]}: -{row.btcSold.toFixed(4)} BTC
+                      </span>
+                    ) : '—'}
+                  </td>
                 </tr>
               ))}
             </tbody>
@@ -556,224 +1258,399 @@ const ResultsTable = ({ results, inputs, showCalculations, setShowCalculations,
   );
 };
 
-const CalculationsModal = ({ isOpen, onClose, results, inputs, optimalExpenses }) => {
-  if (!isOpen) return null;
+/**
+ * Step-by-step breakdown of how one projection year was calculated
+ */
+const YearCalculations = ({ row, index, results, inputs, optimalExpenses }) => {
+  const { formatMoney } = useFormatters();
+  const prevRow = results[index - 1];
+  const prevExpenses = prevRow ? prevRow.annualExpenses : inputs.annualExpenses;
+  const hasLenders = row.tranches.length > 1 || inputs.loanTranches.length > 0;
+  const rateShift = Math.round((row.interestRate - results[0].interestRate) * 100) / 100;
+  const isMonthly = inputs.timeResolution === 'monthly';
+  const btcAtYearStart = row.bitcoinAmount + row.btcSold;
+  const shortfall = Math.max(0, row.annualExpenses + row.otherSpending + row.dcaPurchases - row.cashIncome);
+  const phase = inputs.expensePhases.length > 0 ? getExpensePhase(inputs.expensePhases, row.year) : null;
+  const phaseExpenses = phase ? getPhaseExpenses(phase, row.year) : 0;
+  const phaseScale = phaseExpenses > 0 ? row.annualExpenses / phaseExpenses : 1;
 
   return (
-    <div className="fixed inset-0 bg-black bg-opacity-50 z-50 flex items-center justify-center p-4">
-      <div className="bg-white rounded-lg max-w-4xl w-full max-h-[90vh] overflow-hidden flex flex-col text-gray-900">
-        <div className="p-4 border-b border-gray-200 flex justify-between items-center">
-          <h2 className="text-xl font-semibold text-gray-900">Retirement Projections Calculations</h2>
-          <button
-            onClick={onClose}
-            className="text-gray-400 hover:text-gray-500"
-          >
-            <svg className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
-            </svg>
-          </button>
-        </div>
-        <div className="p-6 overflow-y-auto">
-          {results.map((row, index) => {
-            if (row.year === 'Today') return null;
-            const prevRow = results[index - 1];
-            const prevExpenses = prevRow ? prevRow.annualExpenses : inputs.annualExpenses;
-            const prevDebt = prevRow ? prevRow.totalDebt : 0;
-
-            return (
-              <div key={row.year} className="mb-8">
-                <h3 className="text-lg font-semibold text-gray-900 mb-4">Year {row.year}</h3>
-                
-                {/* Summary Table */}
-                <div className="mb-6 overflow-x-auto">
-                  <table className="min-w-full divide-y divide-gray-200 border border-gray-200 rounded-lg">
-                    <thead className="bg-gray-50">
-                      <tr>
-                        <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                          Year
-                        </th>
-                        <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
-                          Growth
-                        </th>
-                        <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
-                          BTC Start
-                        </th>
-                        <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
-                          BTC End
-                        </th>
-                        <th className="px-3 py-2 text-right text-xs font-medium text-blue-500 uppercase tracking-wider">
-                          Portfolio
-                        </th>
-                        <th className="px-3 py-2 text-right text-xs font-medium text-red-500 uppercase tracking-wider">
-                          Debt
-                        </th>
-                        <th className="px-3 py-2 text-right text-xs font-medium text-green-500 uppercase tracking-wider">
-                          Net Worth
-                        </th>
-                        <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
-                          LTV
-                        </th>
-                        <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
-                          Expenses
-                        </th>
-                      </tr>
-                    </thead>
-                    <tbody className="bg-white divide-y divide-gray-200">
-                      <tr>
-                        <td className="px-3 py-2 whitespace-nowrap text-sm text-gray-900">
-                          {row.year}
-                        </td>
-                        <td className="px-3 py-2 whitespace-nowrap text-sm text-right text-gray-900">
-                          {row.growthRate}%
-                        </td>
-                        <td className="px-3 py-2 whitespace-nowrap text-sm text-right text-gray-900">
-                          ${formatNumber(row.bitcoinPriceStart)}
-                        </td>
-                        <td className="px-3 py-2 whitespace-nowrap text-sm text-right text-gray-900">
-                          ${formatNumber(row.bitcoinPriceEnd)}
-                        </td>
-                        <td className="px-3 py-2 whitespace-nowrap text-sm text-right text-blue-600">
-                          ${formatNumber(row.portfolioValue)}
-                        </td>
-                        <td className="px-3 py-2 whitespace-nowrap text-sm text-right text-red-600">
-                          ${formatNumber(row.totalDebt)}
-                        </td>
-                        <td className="px-3 py-2 whitespace-nowrap text-sm text-right text-green-600">
-                          ${formatNumber(row.portfolioValue - row.totalDebt)}
-                        </td>
-                        <td className="px-3 py-2 whitespace-nowrap text-sm text-right text-gray-900">
-                          {row.ltvRatio}%
-                        </td>
-                        <td className="px-3 py-2 whitespace-nowrap text-sm text-right text-gray-900">
-                          ${formatNumber(row.annualExpenses)}
-                        </td>
-                      </tr>
-                    </tbody>
-                  </table>
-                </div>
+    <div>
+      <h3 className="text-lg font-semibold text-gray-900 mb-4">Year {row.year}</h3>
+      
+      {/* Summary Table */}
+      <div className="mb-6 overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200 border border-gray-200 rounded-lg">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Year
+              </th>
+              <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Growth
+              </th>
+              <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                BTC Start
+              </th>
+              <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                BTC End
+              </th>
+              <th className="px-3 py-2 text-right text-xs font-medium text-blue-500 uppercase tracking-wider">
+                Portfolio
+              </th>
+              <th className="px-3 py-2 text-right text-xs font-medium text-red-500 uppercase tracking-wider">
+                Debt
+              </th>
+              <th className="px-3 py-2 text-right text-xs font-medium text-green-500 uppercase tracking-wider">
+                Net Worth
+              </th>
+              <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                LTV
+              </th>
+              <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Expenses
+              </th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            <tr>
+              <td className="px-3 py-2 whitespace-nowrap text-sm text-gray-900">
+                {row.year}
+              </td>
+              <td className="px-3 py-2 whitespace-nowrap text-sm text-right text-gray-900">
+                {row.growthRate}%
+              </td>
+              <td className="px-3 py-2 whitespace-nowrap text-sm text-right text-gray-900">
+                {formatMoney(row.bitcoinPriceStart)}
+              </td>
+              <td className="px-3 py-2 whitespace-nowrap text-sm text-right text-gray-900">
+                {formatMoney(row.bitcoinPriceEnd)}
+              </td>
+              <td className="px-3 py-2 whitespace-nowrap text-sm text-right text-blue-600">
+                {formatMoney(row.portfolioValue)}
+              </td>
+              <td className="px-3 py-2 whitespace-nowrap text-sm text-right text-red-600">
+                {formatMoney(row.totalDebt)}
+              </td>
+              <td className="px-3 py-2 whitespace-nowrap text-sm text-right text-green-600">
+                {formatMoney(row.portfolioValue - row.totalDebt)}
+              </td>
+              <td className="px-3 py-2 whitespace-nowrap text-sm text-right text-gray-900">
+                {formatLTV(row.ltvRatio)}
+              </td>
+              <td className="px-3 py-2 whitespace-nowrap text-sm text-right text-gray-900">
+                {formatMoney(row.annualExpenses)}
+              </td>
+            </tr>
+          </tbody>
+        </table>
+      </div>
 
-                <h4 className="text-md font-medium text-gray-900 mb-4">Calculation Breakdown</h4>
-                <div className="space-y-6 pl-4">
-                  <div className="space-y-2">
-                    <h4 className="font-medium text-gray-900">BTC End</h4>
-                    <div className="pl-4 font-mono text-sm text-gray-700">
-                      <div className="mb-2">
-                        <strong>1. Growth Rate Application:</strong><br />
-                        Start Price: ${formatNumber(row.bitcoinPriceStart)}<br />
-                        Growth Rate: {row.growthRate}%<br />
-                        Growth Multiplier: 1 + {row.growthRate}% = {(1 + row.growthRate/100).toFixed(4)}
-                      </div>
-                      <div>
-                        <strong>2. Final Price:</strong><br />
-                        End Price: ${formatNumber(row.bitcoinPriceStart)} × {(1 + row.growthRate/100).toFixed(4)} = ${formatNumber(row.bitcoinPriceEnd)}
-                      </div>
-                    </div>
-                  </div>
+      <h4 className="text-md font-medium text-gray-900 mb-4">Calculation Breakdown</h4>
+      <div className="space-y-6 pl-4">
+        <div className="space-y-2">
+          <h4 className="font-medium text-gray-900">BTC End</h4>
+          <div className="pl-4 font-mono text-sm text-gray-700">
+            <div className="mb-2">
+              <strong>1. Growth Rate Application:</strong><br />
+              Start Price: {formatMoney(row.bitcoinPriceStart)}<br />
+              Growth Rate: {row.growthRate}%<br />
+              Growth Multiplier: 1 + {row.growthRate}% = {(1 + row.growthRate/100).toFixed(4)}
+            </div>
+            <div>
+              <strong>2. Final Price:</strong><br />
+              End Price: {formatMoney(row.bitcoinPriceStart)} × {(1 + row.growthRate/100).toFixed(4)} = {formatMoney(row.bitcoinPriceEnd)}
+            </div>
+          </div>
+        </div>
 
-                  <div className="space-y-2">
-                    <h4 className="font-medium text-blue-600">Portfolio</h4>
-                    <div className="pl-4 font-mono text-sm text-gray-700">
-                      <div className="mb-2">
-                        <strong>1. Holdings:</strong><br />
-                        Bitcoin Amount: {inputs.bitcoinAmount?.toFixed(8) || '0.00000000'} BTC
-                      </div>
-                      <div>
-                        <strong>2. Value Calculation:</strong><br />
-                        End BTC Price: ${formatNumber(row.bitcoinPriceEnd)}<br />
-                        Portfolio Value: {inputs.bitcoinAmount?.toFixed(8) || '0.00000000'} BTC × ${formatNumber(row.bitcoinPriceEnd)} = ${formatNumber(row.portfolioValue)}
-                      </div>
-                    </div>
-                  </div>
+        <div className="space-y-2">
+          <h4 className="font-medium text-blue-600">Portfolio</h4>
+          <div className="pl-4 font-mono text-sm text-gray-700">
+            <div className="mb-2">
+              <strong>1. Holdings:</strong><br />
+              Bitcoin Amount: {row.bitcoinAmount.toFixed(8)} BTC
+              {row.btcSoldForExpenses > 0 && (
+                <><br />After selling {row.btcSoldForExpenses.toFixed(8)} BTC for expenses</>
+              )}
+              {row.btcBought > 0 && (
+                <><br />After buying {row.btcBought.toFixed(8)} BTC</>
+              )}
+              {row.btcSold > 0 && (
+                <><br />After selling {row.btcSold.toFixed(8)} BTC for the {LIQUIDATION_LABELS[row.liquidationType].toLowerCase()}</>
+              )}
+            </div>
+            <div>
+              <strong>2. Value Calculation:</strong><br />
+              End BTC Price: {formatMoney(row.bitcoinPriceEnd)}<br />
+              Portfolio Value: {row.bitcoinAmount.toFixed(8)} BTC × {formatMoney(row.bitcoinPriceEnd)} = {formatMoney(row.portfolioValue)}
+            </div>
+          </div>
+        </div>
 
-                  <div className="space-y-2">
-                    <h4 className="font-medium text-red-600">Debt</h4>
-                    <div className="pl-4 font-mono text-sm text-gray-700">
-                      <div className="mb-2">
-                        <strong>1. Interest Calculation:</strong><br />
-                        Previous Borrowed: ${formatNumber(row.totalBorrowed - row.annualExpenses)}<br />
-                        Interest Rate: {inputs.interestRate}%<br />
-                        New Interest: ${formatNumber(row.totalBorrowed - row.annualExpenses)} × {inputs.interestRate}% = ${formatNumber((row.totalBorrowed - row.annualExpenses) * inputs.interestRate/100)}
-                      </div>
-                      <div className="mb-2">
-                        <strong>2. New Borrowing:</strong><br />
-                        Previous Borrowed: ${formatNumber(row.totalBorrowed - row.annualExpenses)}<br />
-                        New Expenses: ${formatNumber(row.annualExpenses)}<br />
-                        Total Borrowed: ${formatNumber(row.totalBorrowed)}
-                      </div>
-                      <div>
-                        <strong>3. Total Debt:</strong><br />
-                        Total Borrowed: ${formatNumber(row.totalBorrowed)}<br />
-                        Total Interest: ${formatNumber(row.totalInterest)}<br />
-                        Total Debt: ${formatNumber(row.totalBorrowed)} + ${formatNumber(row.totalInterest)} = ${formatNumber(row.totalDebt)}
-                      </div>
-                    </div>
-                  </div>
+        <div className="space-y-2">
+          <h4 className="font-medium text-red-600">Debt</h4>
+          <div className="pl-4 font-mono text-sm text-gray-700">
+            <div className="mb-2">
+              <strong>1. Interest Calculation:</strong><br />
+              {inputs.interestRateMode !== 'fixed' && (
+                <>
+                  {INTEREST_RATE_MODES[inputs.interestRateMode].label} rate this year: {row.interestRate}%
+                  {hasLenders && index > 0 && <> ({rateShift >= 0 ? '+' : ''}{rateShift} pts since year 1)</>}<br />
+                </>
+              )}
+              Method: {INTEREST_METHODS[inputs.interestMethod].label}<br />
+              {isMonthly ? row.tranches.map((tranche, i) => (
+                <React.Fragment key={i}>
+                  {hasLenders && <>{tranche.lender}: </>}
+                  {tranche.interestRate}% ÷ 12 = {(tranche.interestRate / 12).toFixed(4)}% a month on the
+                  {inputs.interestMethod === 'compoundMonthly' ? ' full balance' : inputs.interestMethod === 'compoundYearly' ? ' principal plus interest unpaid at the start of the year' : ' outstanding principal'}
+                  {' '}({formatMoney(tranche.principal)} principal at the start of the year) = {formatMoney(tranche.interest)} over 12 months<br />
+                </React.Fragment>
+              )) : row.tranches.map((tranche, i) => (
+                <React.Fragment key={i}>
+                  {hasLenders && <>{tranche.lender}: </>}
+                  {inputs.interestMethod === 'compoundYearly' || inputs.interestMethod === 'compoundMonthly' ? (
+                    <>(Principal {formatMoney(tranche.principal)} + Unpaid Interest {formatMoney(tranche.unpaidInterest)})</>
+                  ) : (
+                    <>Outstanding Principal {formatMoney(tranche.principal)}</>
+                  )}
+                  {inputs.interestMethod === 'compoundMonthly'
+                    ? <> × ((1 + {tranche.interestRate}% ÷ 12)^12 - 1)</>
+                    : <> × {tranche.interestRate}%</>}
+                  {' '}= {formatMoney(tranche.interest)}<br />
+                </React.Fragment>
+              ))}
+              {inputs.interestMethod === 'payInCash' ? (
+                <>Interest Paid in Cash: {formatMoney(row.newInterest)} (paid as part of this year&apos;s spending; {formatMoney(row.interestPaidInCash)} paid so far)</>
+              ) : (
+                <>New Interest Added to Debt: {formatMoney(row.newInterest)}</>
+              )}
+            </div>
+            <div className="mb-2">
+              <strong>2. New Borrowing:</strong><br />
+              Previous Borrowed: {formatMoney(row.totalBorrowed - row.amountBorrowed)}<br />
+              New Expenses: {formatMoney(row.annualExpenses)}
+              {isMonthly && row.btcSoldForExpenses === 0 && inputs.cashFlows.length === 0 && <> (12 monthly draws of {formatMoney(Math.round(row.annualExpenses / 12))})</>}<br />
+              {inputs.interestMethod === 'payInCash' && <>Interest Paid in Cash: {formatMoney(row.newInterest)}<br /></>}
+              {inputs.cashFlows.length > 0 && (
+                <>
+                  Income: {formatMoney(row.cashIncome)}
+                  {row.otherSpending > 0 && <>, One-Off Expenses: {formatMoney(row.otherSpending)}</>}
+                  {row.dcaPurchases > 0 && <>, DCA Purchases: {formatMoney(row.dcaPurchases)}</>}<br />
+                  {row.debtPaidFromSurplus > 0 && <>Surplus Used to Repay Debt: {formatMoney(row.debtPaidFromSurplus)}<br /></>}
+                  {row.btcBought > 0 && <>BTC Bought: {row.btcBought.toFixed(8)} BTC<br /></>}
+                </>
+              )}
+              {row.btcSoldForExpenses > 0 && (
+                <>
+                  Raised by Selling: {row.btcSoldForExpenses.toFixed(8)} BTC for {formatMoney(shortfall - row.amountBorrowed)} after tax<br />
+                  Borrowed: {formatMoney(row.amountBorrowed)}<br />
+                </>
+              )}
+              {hasLenders && row.tranches.map((tranche, i) => (
+                <React.Fragment key={i}>
+                  From {tranche.lender}: {formatMoney(tranche.borrowed)}
+                  {tranche.fee > 0 && <> + {formatMoney(tranche.fee)} origination fee</>}<br />
+                </React.Fragment>
+              ))}
+              Total Borrowed: {formatMoney(row.totalBorrowed)}
+            </div>
+            <div>
+              <strong>3. Total Debt:</strong><br />
+              Total Borrowed: {formatMoney(row.totalBorrowed)}<br />
+              {row.totalFees > 0 && <>Total Origination Fees: {formatMoney(row.totalFees)}<br /></>}
+              Total Interest: {formatMoney(row.totalInterest)}<br />
+              {row.totalRepaid > 0 && <>Total Repaid: {formatMoney(row.totalRepaid)}<br /></>}
+              {row.fxRevaluation !== 0 && (
+                <>
+                  {inputs.loanCurrency} Moved {inputs.fxDrift}% Against {inputs.currency}: {row.fxRevaluation > 0 ? '+' : ''}{formatMoney(row.fxRevaluation)} (already in the figures above)<br />
+                </>
+              )}
+              Total Debt: {formatMoney(row.totalBorrowed)}
+              {row.totalFees > 0 && <> + {formatMoney(row.totalFees)}</>}
+              {' '}+ {formatMoney(row.totalInterest)}
+              {row.totalRepaid > 0 && <> - {formatMoney(row.totalRepaid)}</>}
+              {' '}= {formatMoney(row.totalDebt)}
+              {hasLenders && row.tranches.map((tranche, i) => (
+                <React.Fragment key={i}>
+                  <br />Owed to {tranche.lender}: {formatMoney(tranche.debt)}
+                </React.Fragment>
+              ))}
+            </div>
+          </div>
+        </div>
 
-                  <div className="space-y-2">
-                    <h4 className="font-medium text-green-600">Net Worth</h4>
-                    <div className="pl-4 font-mono text-sm text-gray-700">
-                      <div className="mb-2">
-                        <strong>1. Assets:</strong><br />
-                        Portfolio Value: ${formatNumber(row.portfolioValue)}
-                      </div>
-                      <div className="mb-2">
-                        <strong>2. Liabilities:</strong><br />
-                        Total Debt: ${formatNumber(row.totalDebt)}
-                      </div>
+        <div className="space-y-2">
+          <h4 className="font-medium text-green-600">Net Worth</h4>
+          <div className="pl-4 font-mono text-sm text-gray-700">
+            <div className="mb-2">
+              <strong>1. Assets:</strong><br />
+              Portfolio Value: {formatMoney(row.portfolioValue)}
+            </div>
+            <div className="mb-2">
+              <strong>2. Liabilities:</strong><br />
+              Total Debt: {formatMoney(row.totalDebt)}
+            </div>
+            <div>
+              <strong>3. Net Worth Calculation:</strong><br />
+              Net Worth: {formatMoney(row.portfolioValue)} - {formatMoney(row.totalDebt)} = {formatMoney(row.portfolioValue - row.totalDebt)}
+            </div>
+            {inputs.taxEnabled && (
+              <div className="mt-2">
+                <strong>4. After Tax:</strong><br />
+                {row.saleProceeds > 0 && (
+                  <>
+                    BTC Sales This Year: {formatMoney(row.saleProceeds)}, realizing {formatMoney(row.realizedGains)} of gains<br />
+                    Capital Gains Tax Paid: {formatMoney(row.taxPaid)} ({TAX_BRACKETS[inputs.taxFilingStatus].label}{inputs.stateTaxRate > 0 && <> + {inputs.stateTaxRate}% state</>})<br />
+                  </>
+                )}
+                Tax if All BTC Sold: {formatMoney(row.netWorth - row.netWorthAfterTax)}<br />
+                Net Worth After Tax: {formatMoney(row.netWorth)} - {formatMoney(row.netWorth - row.netWorthAfterTax)} = {formatMoney(row.netWorthAfterTax)}
+              </div>
+            )}
+          </div>
+        </div>
+
+        <div className="space-y-2">
+          <h4 className="font-medium text-gray-900">LTV</h4>
+          <div className="pl-4 font-mono text-sm text-gray-700">
+            {isMonthly ? (
+              <div className="mb-2">
+                <strong>1. Monthly LTV Checks:</strong><br />
+                LTV is checked after each month&apos;s borrowing at that month&apos;s price<br />
+                Peak LTV: {formatLTV(row.ltvRatio)} in month {row.peakLTVMonth}
+              </div>
+            ) : (
+              <>
+                <div className="mb-2">
+                  <strong>1. Portfolio Value at Start of Year:</strong><br />
+                  Bitcoin Amount: {btcAtYearStart} BTC<br />
+                  Start Price: {formatMoney(row.bitcoinPriceStart)}<br />
+                  Start Portfolio: {btcAtYearStart} BTC × {formatMoney(row.bitcoinPriceStart)} = {formatMoney(Math.round(btcAtYearStart * row.bitcoinPriceStart))}
+                </div>
+                <div className="mb-2">
+                  <strong>2. LTV Calculation:</strong><br />
+                  Total Debt: {formatMoney(row.totalDebt + row.debtRepaid)}<br />
+                  Portfolio Value: {formatMoney(Math.round(btcAtYearStart * row.bitcoinPriceStart))}<br />
+                  LTV: ({formatMoney(row.totalDebt + row.debtRepaid)} ÷ {formatMoney(Math.round(btcAtYearStart * row.bitcoinPriceStart))}) × 100 = {formatLTV(row.ltvRatio)}
+                </div>
+              </>
+            )}
+            {row.liquidationType && isMonthly && (
+              <div className="mb-2 bg-red-50 p-3 rounded-lg border border-red-100">
+                <strong>2. {LIQUIDATION_LABELS[row.liquidationType]}:</strong><br />
+                Monthly LTV crossed the {row.liquidationType === 'liquidation' ? inputs.liquidationLTV : inputs.marginCallLTV}% {row.liquidationType === 'liquidation' ? 'liquidation' : 'margin call'} level<br />
+                BTC Sold This Year: {row.btcSold.toFixed(8)} BTC at each sale month&apos;s price = {formatMoney(row.debtRepaid)} repaid<br />
+                LTV After Last Sale: {formatLTV(row.ltvAfterLiquidation)}
+              </div>
+            )}
+            {row.liquidationType && !isMonthly && (
+              <div className="mb-2 bg-red-50 p-3 rounded-lg border border-red-100">
+                <strong>3. {LIQUIDATION_LABELS[row.liquidationType]}:</strong><br />
+                LTV {formatLTV(row.ltvRatio)} crossed the {row.liquidationType === 'liquidation' ? inputs.liquidationLTV : inputs.marginCallLTV}% {row.liquidationType === 'liquidation' ? 'liquidation' : 'margin call'} level<br />
+                BTC Sold: {row.btcSold.toFixed(8)} BTC × {formatMoney(row.bitcoinPriceStart)} = {formatMoney(row.debtRepaid)} repaid<br />
+                LTV After Sale: ({formatMoney(row.totalDebt)} ÷ {formatMoney(Math.round(row.bitcoinAmount * row.bitcoinPriceStart))}) × 100 = {formatLTV(row.ltvAfterLiquidation)}
+              </div>
+            )}
+          </div>
+        </div>
+
+        <div className="space-y-2">
+          <h4 className="font-medium text-gray-900">Expenses</h4>
+          <div className="pl-4 font-mono text-sm text-gray-700">
+            {index === 0 ? (
+              <>
+                {inputs.useOptimalExpenses ? (
+                  <>
+                    <div className="space-y-2 bg-blue-50 p-3 rounded-lg border border-blue-100">
                       <div>
-                        <strong>3. Net Worth Calculation:</strong><br />
-                        Net Worth: ${formatNumber(row.portfolioValue)} - ${formatNumber(row.totalDebt)} = ${formatNumber(row.portfolioValue - row.totalDebt)}
+                        <span className="font-medium">Using Optimal Annual Expenses: {formatMoney(optimalExpenses)}</span><br />
+                        <small className="text-gray-600">This amount keeps the LTV ratio below {inputs.maxLTV || 50}% throughout retirement</small>
                       </div>
                     </div>
-                  </div>
+                  </>
+                ) : (
+                  <>Starting Annual Expenses: {formatMoney(row.annualExpenses)}</>
+                )}
+              </>
+            ) : phase ? (
+              <div>
+                <strong>Spending Phase: {phase.name}</strong><br />
+                Phase Amount: {formatMoney(phase.amount)} × (1 + {phase.inflationRate}%)^{row.year - 1} = {formatMoney(Math.round(getPhaseExpenses(phase, row.year)))}<br />
+                {Math.abs(phaseScale - 1) > 0.0001 && (
+                  <>Scaled with the Schedule: {formatMoney(Math.round(getPhaseExpenses(phase, row.year)))} × {phaseScale.toFixed(4)} = {formatMoney(row.annualExpenses)}</>
+                )}
+              </div>
+            ) : (
+              <div>
+                <strong>Inflation Adjustment:</strong><br />
+                Previous Year Expenses: {formatMoney(prevExpenses)}<br />
+                Inflation Rate: {inputs.inflationRate}%<br />
+                New Annual Expenses: {formatMoney(prevExpenses)} × (1 + {inputs.inflationRate}% inflation) = {formatMoney(row.annualExpenses)}
+              </div>
+            )}
+          </div>
+        </div>
 
-                  <div className="space-y-2">
-                    <h4 className="font-medium text-gray-900">LTV</h4>
-                    <div className="pl-4 font-mono text-sm text-gray-700">
-                      <div className="mb-2">
-                        <strong>1. Portfolio Value at Start of Year:</strong><br />
-                        Bitcoin Amount: {inputs.bitcoinAmount} BTC<br />
-                        Start Price: ${formatNumber(row.bitcoinPriceStart)}<br />
-                        Start Portfolio: {inputs.bitcoinAmount} BTC × ${formatNumber(row.bitcoinPriceStart)} = ${formatNumber(inputs.bitcoinAmount * row.bitcoinPriceStart)}
-                      </div>
-                      <div className="mb-2">
-                        <strong>2. LTV Calculation:</strong><br />
-                        Total Debt: ${formatNumber(row.totalDebt)}<br />
-                        Portfolio Value: ${formatNumber(inputs.bitcoinAmount * row.bitcoinPriceStart)}<br />
-                        LTV: (${formatNumber(row.totalDebt)} ÷ ${formatNumber(inputs.bitcoinAmount * row.bitcoinPriceStart)}) × 100 = {row.ltvRatio}%
-                      </div>
-                    </div>
-                  </div>
+        {index === results.length - 1 && (
+          <div className="space-y-2">
+            <h4 className="font-medium text-gray-900">End of Plan</h4>
+            <div className="pl-4 font-mono text-sm text-gray-700">
+              <div className="mb-2">
+                <strong>1. {END_OF_PLAN_OPTIONS[inputs.endOfPlanDebt].label}:</strong><br />
+                Debt Owed: {formatMoney(row.totalDebt)}<br />
+                {inputs.endOfPlanDebt === 'refinance' ? (
+                  <>Debt Taken Over by Heirs: {formatMoney(row.estateDebt)}</>
+                ) : (
+                  <>
+                    BTC Sold: {row.estateBtcSold.toFixed(8)} BTC × {formatMoney(row.bitcoinPriceEnd)} = {formatMoney(Math.round(row.estateBtcSold * row.bitcoinPriceEnd))}
+                    {row.estateTax > 0 && <> (including {formatMoney(row.estateTax)} capital gains tax)</>}<br />
+                    Debt Still Owed: {formatMoney(row.estateDebt)}
+                  </>
+                )}
+              </div>
+              <div>
+                <strong>2. Left to Heirs:</strong><br />
+                {row.estateBitcoin.toFixed(8)} BTC × {formatMoney(row.bitcoinPriceEnd)} - {formatMoney(row.estateDebt)} = {formatMoney(row.estateValue)}
+              </div>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
 
-                  <div className="space-y-2">
-                    <h4 className="font-medium text-gray-900">Expenses</h4>
-                    <div className="pl-4 font-mono text-sm text-gray-700">
-                      {index === 0 ? (
-                        <>
-                          {inputs.useOptimalExpenses ? (
-                            <>
-                              <div className="space-y-2 bg-blue-50 p-3 rounded-lg border border-blue-100">
-                                <div>
-                                  <span className="font-medium">Using Optimal Annual Expenses: ${formatNumber(optimalExpenses)}</span><br />
-                                  <small className="text-gray-600">This amount keeps the LTV ratio below {inputs.maxLTV || 50}% throughout retirement</small>
-                                </div>
-                              </div>
-                            </>
-                          ) : (
-                            <>Starting Annual Expenses: ${formatNumber(inputs.annualExpenses)}</>
-                          )}
-                        </>
-                      ) : (
-                        <div>
-                          <strong>Inflation Adjustment:</strong><br />
-                          Previous Year Expenses: ${formatNumber(prevExpenses)}<br />
-                          Inflation Rate: {inputs.inflationRate}%<br />
-                          New Annual Expenses: ${formatNumber(prevExpenses)} × (1 + {inputs.inflationRate}% inflation) = ${formatNumber(row.annualExpenses)}
-                        </div>
-                      )}
-                    </div>
-                  </div>
-                </div>
+const CalculationsModal = ({ isOpen, onClose, results, inputs, optimalExpenses }) => {
+  if (!isOpen) return null;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 z-50 flex items-center justify-center p-4">
+      <div className="bg-white rounded-lg max-w-4xl w-full max-h-[90vh] overflow-hidden flex flex-col text-gray-900">
+        <div className="p-4 border-b border-gray-200 flex justify-between items-center">
+          <h2 className="text-xl font-semibold text-gray-900">Retirement Projections Calculations</h2>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-500"
+          >
+            <svg className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+        <div className="p-6 overflow-y-auto">
+          {results.map((row, index) => {
+            if (row.year === 'Today') return null;
+            return (
+              <div key={row.year} className="mb-8">
+                <YearCalculations
+                  row={row}
+                  index={index}
+                  results={results}
+                  inputs={inputs}
+                  optimalExpenses={optimalExpenses}
+                />
                 {index < results.length - 1 && <hr className="my-6 border-gray-200" />}
               </div>
             );
@@ -784,9 +1661,1208 @@ const CalculationsModal = ({ isOpen, onClose, results, inputs, optimalExpenses }
   );
 };
 
+const DISCLAIMER_TEXT = 'This calculator is for educational purposes only. It is not financial advice. Bitcoin prices are highly volatile, and using Bitcoin as collateral carries significant risks. Always do your own research and consult with financial professionals before making investment decisions.';
+
+const SIMULATION_MODE_LABELS = {
+  deterministic: 'Single Path',
+  monteCarlo: 'Monte Carlo',
+  backtest: 'Historical Backtest'
+};
+
+// Printable Report Component
+const PrintableReport = ({ inputs, results, growthRates, optimalExpenses, onClose }) => {
+  const { locale, formatMoney, formatCompactMoney } = useFormatters();
+  const growthModel = GROWTH_MODELS[inputs.growthModel] || GROWTH_MODELS.linearDecay;
+  const finalRow = results[results.length - 1];
+  const summary = [
+    ['Bitcoin Amount', `${inputs.bitcoinAmount} BTC`],
+    ['Starting Bitcoin Price', formatMoney(inputs.bitcoinPrice)],
+    ['Currency', inputs.loanCurrency === inputs.currency ?
+      CURRENCIES[inputs.currency].label :
+      `${CURRENCIES[inputs.currency].label}; loans in ${inputs.loanCurrency}, which drifts ${inputs.fxDrift}%/yr against it`],
+    ['Years Simulated', results.length],
+    inputs.loanTranches.length > 0 ?
+      ['Lenders', `${inputs.loanTranches.map(t => `${t.lender} (${t.interestRate}% APR, ${t.originationFee}% fee, ${t.maxLTV}% max LTV${inputs.loanAllocation === 'split' ? `, ${t.share}% share` : ''})`).join('; ')} — ${LOAN_ALLOCATION_RULES[inputs.loanAllocation]}`] :
+      ['Interest Rate', `${inputs.interestRate}%`],
+    ['Interest Rate Path', inputs.interestRateMode === 'fixed' ?
+      INTEREST_RATE_MODES.fixed.label :
+      `${INTEREST_RATE_MODES[inputs.interestRateMode].label}: ${results.map(r => `${r.interestRate}%`).join(', ')}`],
+    ['Interest Handling', INTEREST_METHODS[inputs.interestMethod].label],
+    ['Inflation Rate', `${inputs.inflationRate}%`],
+    ['Projection Mode', SIMULATION_MODE_LABELS[inputs.simulationMode]],
+    ['Time Step', inputs.timeResolution === 'monthly' ?
+      `Monthly${inputs.intraYearVolatility > 0 ? ` (${inputs.intraYearVolatility}% intra-year volatility)` : ''}` :
+      'Yearly'],
+    ['Growth Model', inputs.simulationMode === 'backtest' ? `Historical returns from ${inputs.backtestStartYear}` : growthModel.label],
+    ['Annual Expenses', inputs.useOptimalExpenses ?
+      `${formatMoney(optimalExpenses)} (optimal for ${inputs.maxLTV}% max LTV)` :
+      `${formatMoney(Math.round(getFirstYearExpenses(inputs)))} (custom)`],
+    ...(inputs.expensePhases.length > 0 ? [
+      ['Spending Phases', [...inputs.expensePhases].sort((a, b) => a.startYear - b.startYear)
+        .map(phase => `${phase.name} from year ${phase.startYear}: ${formatMoney(phase.amount)} (${phase.inflationRate}% inflation)`).join('; ')]
+    ] : []),
+    ['Withdrawal Strategy', inputs.withdrawalStrategy !== 'hybrid' ?
+      WITHDRAWAL_STRATEGIES[inputs.withdrawalStrategy] :
+      inputs.hybridRule === 'borrowShare' ?
+        `Hybrid: borrow ${inputs.borrowShare}%, sell the rest` :
+        `Hybrid: sell when LTV would exceed ${inputs.sellAboveLTV}%`],
+    ['Capital Gains Tax', inputs.taxEnabled ?
+      `${TAX_BRACKETS[inputs.taxFilingStatus].label}${inputs.stateTaxRate > 0 ? ` + ${inputs.stateTaxRate}% state` : ''}, cost basis ${formatMoney(inputs.costBasis)}/BTC` :
+      'Not modelled'],
+    ['Margin Calls', inputs.marginCallsEnabled ?
+      `Margin call at ${inputs.marginCallLTV}%, liquidation at ${inputs.liquidationLTV}%, sell back to ${inputs.liquidationTargetLTV}%` :
+      'Not modelled'],
+    ['Peak LTV', formatLTV(Math.max(...results.map(r => r.ltvRatio)))],
+    ['Final Net Worth', formatMoney(finalRow?.netWorth)],
+    ['Other Cash Flows', inputs.cashFlows.length > 0 ?
+      `${inputs.cashFlows.map(f => `${f.name} (${CASH_FLOW_TYPES[f.type].label}, ${formatMoney(f.amount)}${CASH_FLOW_TYPES[f.type].kind.startsWith('oneOff') ? ` in year ${f.startYear}` : `/yr, years ${f.startYear}–${f.endYear}`})`).join('; ')} — surplus ${inputs.surplusAllocation === 'buyBitcoin' ? 'buys BTC' : 'pays down debt'}` :
+      'None'],
+    ['End-of-Plan Debt', END_OF_PLAN_OPTIONS[inputs.endOfPlanDebt].label],
+    ['Left to Heirs', finalRow ? `${finalRow.estateBitcoin.toFixed(4)} BTC, ${formatMoney(finalRow.estateValue)} after settling ${formatMoney(finalRow.totalDebt)} of debt` : '—'],
+    ...(inputs.taxEnabled ? [
+      ['Final Net Worth After Tax', formatMoney(finalRow?.netWorthAfterTax)],
+      ['Total Taxes Paid', formatMoney(finalRow?.totalTaxPaid)]
+    ] : [])
+  ];
+
+  return (
+    <div className="w-full max-w-4xl mx-auto bg-white text-gray-900 rounded-lg shadow-lg p-6 sm:p-10 print:shadow-none print:rounded-none print:p-0 print:max-w-none">
+      <div className="flex justify-end gap-2 mb-6 print:hidden">
+        <button
+          onClick={() => window.print()}
+          className="inline-flex items-center px-3 py-2 border border-transparent shadow-sm text-sm leading-4 font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+        >
+          Print / Save as PDF
+        </button>
+        <button
+          onClick={onClose}
+          className="inline-flex items-center px-3 py-2 border border-gray-300 shadow-sm text-sm leading-4 font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+        >
+          Back to Calculator
+        </button>
+      </div>
+
+      <header className="mb-8 border-b border-gray-200 pb-4">
+        <h1 className="text-2xl sm:text-3xl font-bold text-gray-900">Bitcoin Retirement Report</h1>
+        <p className="text-sm text-gray-600 mt-1">Generated {new Date().toLocaleString(locale)}</p>
+      </header>
+
+      <section className="mb-8 break-inside-avoid">
+        <h2 className="text-xl font-semibold text-gray-900 mb-3">Input Summary</h2>
+        <table className="min-w-full border border-gray-200 text-sm">
+          <tbody className="divide-y divide-gray-200">
+            {summary.map(([label, value]) => (
+              <tr key={label}>
+                <th className="text-left font-medium text-gray-700 bg-gray-50 px-3 py-2 w-1/3">{label}</th>
+                <td className="px-3 py-2">{value}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </section>
+
+      <section className="mb-8 break-inside-avoid">
+        <h2 className="text-xl font-semibold text-gray-900 mb-3">
+          {inputs.simulationMode === 'backtest' ? 'Historical Returns' : 'Growth Rate Schedule'}
+        </h2>
+        <div className="grid grid-cols-5 sm:grid-cols-10 gap-2 text-sm">
+          {growthRates.map(({ year, rate, calendarYear, isOverride }) => (
+            <div key={year} className={`p-2 rounded border ${isOverride ? 'border-amber-300 bg-amber-50' : 'border-gray-200'}`}>
+              <div className="text-xs text-gray-500">{calendarYear || `Year ${year}`}</div>
+              <div className="font-semibold">{rate}%{isOverride && ' ✎'}</div>
+            </div>
+          ))}
+        </div>
+        {growthRates.some(g => g.isOverride) && (
+          <p className="text-xs text-gray-500 mt-2">✎ Manually overridden rate</p>
+        )}
+      </section>
+
+      <section className="mb-8 break-before-page break-inside-avoid">
+        <h2 className="text-xl font-semibold text-gray-900 mb-3">Wealth Projection Chart</h2>
+        <ComposedChart width={720} height={320} data={results} margin={{ top: 5, right: 5, left: 5, bottom: 5 }}>
+          <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+          <XAxis dataKey="year" tick={{ fontSize: 12 }} tickMargin={8} />
+          <YAxis tickFormatter={formatCompactMoney} tick={{ fontSize: 12 }} tickMargin={8} />
+          <Legend verticalAlign="bottom" height={36} iconSize={16} />
+          <Line type="monotone" dataKey="portfolioValue" name="Portfolio Value" stroke="#2563eb" strokeWidth={2} dot={false} isAnimationActive={false} />
+          <Line type="monotone" dataKey="totalDebt" name="Total Debt" stroke="#dc2626" strokeWidth={2} dot={false} isAnimationActive={false} />
+          <Line type="monotone" dataKey="netWorth" name="Net Worth" stroke="#16a34a" strokeWidth={2} dot={false} isAnimationActive={false} />
+        </ComposedChart>
+      </section>
+
+      <section className="mb-8">
+        <h2 className="text-xl font-semibold text-gray-900 mb-3">Year by Year Projections</h2>
+        <table className="min-w-full divide-y divide-gray-200 border border-gray-200 text-xs">
+          <thead className="bg-gray-50">
+            <tr>
+              {['Year', 'Growth', 'BTC Start', 'BTC End', 'BTC Held', 'Portfolio', 'Debt', 'Net Worth', 'LTV', 'Expenses'].map(label => (
+                <th key={label} className="px-2 py-1 text-right font-medium text-gray-700 uppercase">{label}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {results.map(row => (
+              <tr key={row.year} className={`break-inside-avoid ${row.liquidationType ? 'bg-red-50' : ''}`}>
+                <td className="px-2 py-1 text-right">{row.year}</td>
+                <td className="px-2 py-1 text-right">{row.growthRate}%</td>
+                <td className="px-2 py-1 text-right">{formatMoney(row.bitcoinPriceStart)}</td>
+                <td className="px-2 py-1 text-right">{formatMoney(row.bitcoinPriceEnd)}</td>
+                <td className="px-2 py-1 text-right">{row.bitcoinAmount.toFixed(4)}</td>
+                <td className="px-2 py-1 text-right">{formatMoney(row.portfolioValue)}</td>
+                <td className="px-2 py-1 text-right">{formatMoney(row.totalDebt)}</td>
+                <td className="px-2 py-1 text-right">{formatMoney(row.netWorth)}</td>
+                <td className="px-2 py-1 text-right">{formatLTV(row.ltvRatio)}</td>
+                <td className="px-2 py-1 text-right">{formatMoney(row.annualExpenses)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </section>
+
+      <section className="break-before-page">
+        <h2 className="text-xl font-semibold text-gray-900 mb-4">Step-by-Step Calculations</h2>
+        {results.map((row, index) => (
+          <div key={row.year} className={`mb-8 break-inside-avoid ${index > 0 ? 'border-t border-gray-200 pt-6' : ''}`}>
+            <YearCalculations
+              row={row}
+              index={index}
+              results={results}
+              inputs={inputs}
+              optimalExpenses={optimalExpenses}
+            />
+          </div>
+        ))}
+      </section>
+
+      <section className="mt-8 p-4 bg-gray-100 border border-gray-200 rounded-lg break-inside-avoid">
+        <h2 className="text-base font-semibold text-gray-900 mb-1">Disclaimer</h2>
+        <p className="text-sm text-gray-800">{DISCLAIMER_TEXT}</p>
+      </section>
+    </div>
+  );
+};
+
+// Historical Backtest Comparison Component
+const BacktestComparison = ({ backtests, chartData, selectedStartYear, onSelectStartYear, annualExpenses, maxLTV }) => {
+  const { formatMoney, formatCompactMoney } = useFormatters();
+  const lineColor = (index) => `hsl(${Math.round((index * 360) / backtests.length)}, 70%, 45%)`;
+
+  return (
+    <div>
+      <h3 className="text-lg font-medium mb-2 text-gray-900 text-center">Every Start Year Compared</h3>
+      <p className="text-sm text-gray-600 mb-4 text-center">
+        Net worth for each historical start year, spending {formatMoney(annualExpenses)} in the first year
+      </p>
+      <div className="h-[40vh] min-h-[260px] max-h-[420px] mb-6">
+        <ResponsiveContainer width="100%" height="100%">
+          <ComposedChart data={chartData} margin={{ top: 5, right: 5, left: 5, bottom: 5 }}>
+            <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+            <XAxis dataKey="year" tick={{ fontSize: 12 }} tickMargin={8} />
+            <YAxis tickFormatter={formatCompactMoney} tick={{ fontSize: 12 }} tickMargin={8} />
+            <Tooltip formatter={(value, name) => [formatMoney(value), `Start ${name}`]} />
+            {backtests.map((b, index) => (
+              <Line
+                key={b.startYear}
+                type="monotone"
+                dataKey={String(b.startYear)}
+                stroke={lineColor(index)}
+                strokeWidth={b.startYear === selectedStartYear ? 3 : 1.5}
+                strokeOpacity={b.startYear === selectedStartYear ? 1 : 0.6}
+                dot={false}
+              />
+            ))}
+          </ComposedChart>
+        </ResponsiveContainer>
+      </div>
+
+      <div className="overflow-x-auto rounded-lg shadow">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead>
+            <tr className="bg-gray-50">
+              <th className="text-left p-2 text-xs font-medium text-gray-700 uppercase tracking-wider">Start</th>
+              <th className="text-right p-2 text-xs font-medium text-gray-700 uppercase tracking-wider">Period</th>
+              <th className="text-right p-2 text-xs font-medium text-gray-700 uppercase tracking-wider">Max Safe Expenses</th>
+              <th className="text-right p-2 text-xs font-medium text-gray-700 uppercase tracking-wider">Peak LTV</th>
+              <th className="text-right p-2 text-xs font-medium text-gray-700 uppercase tracking-wider">Forced Sales</th>
+              <th className="text-right p-2 text-xs font-medium text-gray-700 uppercase tracking-wider">BTC Left</th>
+              <th className="text-right p-2 text-xs font-medium text-gray-700 uppercase tracking-wider">Final Net Worth</th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {backtests.map(b => (
+              <tr
+                key={b.startYear}
+                onClick={() => onSelectStartYear(b.startYear)}
+                className={`cursor-pointer text-gray-900 text-xs md:text-sm ${
+                  b.startYear === selectedStartYear ? 'bg-blue-50' : 'hover:bg-gray-50'
+                }`}
+              >
+                <td className="whitespace-nowrap py-2 px-2 font-medium">{b.startYear}</td>
+                <td className="whitespace-nowrap py-2 px-2 text-right">{b.startYear}–{b.endYear} ({b.years}y)</td>
+                <td className="whitespace-nowrap py-2 px-2 text-right text-blue-600">{formatMoney(b.optimalExpenses)}</td>
+                <td className={`whitespace-nowrap py-2 px-2 text-right ${b.peakLTV > maxLTV ? 'text-red-600 font-medium' : ''}`}>{formatLTV(b.peakLTV)}</td>
+                <td className="whitespace-nowrap py-2 px-2 text-right">{b.liquidations}</td>
+                <td className="whitespace-nowrap py-2 px-2 text-right">{b.finalBitcoinAmount.toFixed(4)}</td>
+                <td className={`whitespace-nowrap py-2 px-2 text-right font-medium ${b.finalNetWorth < 0 ? 'text-red-600' : 'text-green-600'}`}>{formatMoney(b.finalNetWorth)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <p className="text-xs text-gray-500 mt-2">
+        Max Safe Expenses is the highest first-year spending that would have kept LTV under {maxLTV}% on that path. Click a row to view it in detail.
+      </p>
+    </div>
+  );
+};
+
+// What heirs receive once the end-of-plan debt is settled
+const EstateSummary = ({ finalRow, inputs }) => {
+  const { formatMoney } = useFormatters();
+  const todaysDollars = finalRow.estateValue / Math.pow(1 + inputs.inflationRate / 100, finalRow.year);
+  const settlementPrice = finalRow.bitcoinPriceEnd;
+  const stats = [
+    ['BTC to Heirs', `${finalRow.estateBitcoin.toFixed(4)} BTC`],
+    ['Left to Heirs', formatMoney(finalRow.estateValue)],
+    ["In Today's Dollars", formatMoney(Math.round(todaysDollars))],
+    ['Debt at End of Plan', formatMoney(finalRow.totalDebt)]
+  ];
+
+  return (
+    <div>
+      <h3 className="text-lg font-medium mb-2 text-gray-900 text-center">Estate Outcome</h3>
+      <p className="text-sm text-gray-600 mb-4 text-center">
+        {END_OF_PLAN_OPTIONS[inputs.endOfPlanDebt].label} after year {finalRow.year}, at {formatMoney(settlementPrice)} per BTC
+      </p>
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-4">
+        {stats.map(([label, value]) => (
+          <div key={label} className="bg-gray-50 rounded-lg p-3 border border-gray-200">
+            <div className="text-xs text-gray-500">{label}</div>
+            <div className="text-lg font-semibold text-gray-900">{value}</div>
+          </div>
+        ))}
+      </div>
+      <ul className="text-sm text-gray-700 list-disc pl-5 space-y-1">
+        {inputs.endOfPlanDebt === 'refinance' ? (
+          <>
+            <li>Heirs keep all {finalRow.estateBitcoin.toFixed(4)} BTC and take over {formatMoney(finalRow.estateDebt)} of debt at {formatLTV(calculateLTV(finalRow.estateDebt, finalRow.estateBitcoin * settlementPrice))} LTV</li>
+            <li>At {inputs.estateRefinanceRate}% the new loan costs {formatMoney(Math.round(finalRow.estateDebt * inputs.estateRefinanceRate / 100))} a year in interest</li>
+          </>
+        ) : (
+          <li>
+            {finalRow.estateBtcSold.toFixed(4)} BTC sold to repay the loan
+            {inputs.endOfPlanDebt === 'repay'
+              ? (inputs.taxEnabled ? `, including ${formatMoney(finalRow.estateTax)} of capital gains tax` : '')
+              : ', tax-free after the step-up in cost basis'}
+          </li>
+        )}
+        {inputs.endOfPlanDebt !== 'refinance' && finalRow.estateDebt > 0 && (
+          <li className="text-red-600">The BTC doesn&apos;t cover the debt: {formatMoney(finalRow.estateDebt)} is still owed after selling everything</li>
+        )}
+        <li>
+          Heirs&apos; cost basis: {inputs.endOfPlanDebt === 'repay'
+            ? `your original cost basis of ${formatMoney(inputs.costBasis)} per BTC`
+            : `stepped up to ${formatMoney(settlementPrice)} per BTC`}
+        </li>
+      </ul>
+    </div>
+  );
+};
+
+// Where each withdrawal strategy ends up after spending the same amount
+const StrategyComparison = ({ comparison, selectedStrategy, onSelectStrategy, annualExpenses, taxEnabled }) => {
+  const { formatMoney } = useFormatters();
+  return (
+    <div>
+      <h3 className="text-lg font-medium mb-2 text-gray-900 text-center">Borrow vs Sell Compared</h3>
+      <p className="text-sm text-gray-600 mb-4 text-center">
+        Each strategy spending {formatMoney(annualExpenses)} in the first year{taxEnabled ? ', after capital gains tax' : ''}
+      </p>
+      <div className="overflow-x-auto rounded-lg shadow">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead>
+            <tr className="bg-gray-50">
+              <th className="text-left p-2 text-xs font-medium text-gray-700 uppercase tracking-wider">Strategy</th>
+              <th className="text-right p-2 text-xs font-medium text-gray-700 uppercase tracking-wider">BTC Left</th>
+              <th className="text-right p-2 text-xs font-medium text-gray-700 uppercase tracking-wider">Final Net Worth</th>
+              <th className="text-right p-2 text-xs font-medium text-gray-700 uppercase tracking-wider">Net Worth After Tax</th>
+              <th className="text-right p-2 text-xs font-medium text-gray-700 uppercase tracking-wider">Taxes Paid</th>
+              <th className="text-right p-2 text-xs font-medium text-gray-700 uppercase tracking-wider">Interest</th>
+              <th className="text-right p-2 text-xs font-medium text-gray-700 uppercase tracking-wider">Peak LTV</th>
+              <th className="text-right p-2 text-xs font-medium text-gray-700 uppercase tracking-wider">Left to Heirs</th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {comparison.map(c => (
+              <tr
+                key={c.strategy}
+                onClick={() => onSelectStrategy(c.strategy)}
+                className={`cursor-pointer text-gray-900 text-xs md:text-sm ${
+                  c.strategy === selectedStrategy ? 'bg-blue-50' : 'hover:bg-gray-50'
+                }`}
+              >
+                <td className="whitespace-nowrap py-2 px-2 font-medium">{c.label}</td>
+                <td className="whitespace-nowrap py-2 px-2 text-right">{c.bitcoinAmount.toFixed(4)}</td>
+                <td className={`whitespace-nowrap py-2 px-2 text-right ${c.netWorth < 0 ? 'text-red-600' : ''}`}>{formatMoney(c.netWorth)}</td>
+                <td className={`whitespace-nowrap py-2 px-2 text-right font-medium ${c.netWorthAfterTax < 0 ? 'text-red-600' : 'text-green-600'}`}>{formatMoney(c.netWorthAfterTax)}</td>
+                <td className="whitespace-nowrap py-2 px-2 text-right">{formatMoney(c.totalTaxPaid)}</td>
+                <td className="whitespace-nowrap py-2 px-2 text-right">{formatMoney(c.totalInterest)}</td>
+                <td className="whitespace-nowrap py-2 px-2 text-right">{formatLTV(c.peakLTV)}</td>
+                <td className={`whitespace-nowrap py-2 px-2 text-right ${c.estateValue < 0 ? 'text-red-600' : ''}`}>{formatMoney(c.estateValue)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <p className="text-xs text-gray-500 mt-2">
+        Net worth after tax subtracts the capital gains tax due if the remaining BTC were sold at the end of the plan. Left to heirs settles the debt as set under End of Plan. Click a row to view that strategy in detail.
+      </p>
+    </div>
+  );
+};
+
+const GOAL_SEEK_STATUS_STYLES = {
+  converged: 'bg-green-50 border-green-200 text-green-800',
+  notConverged: 'bg-yellow-50 border-yellow-200 text-yellow-800',
+  alwaysMet: 'bg-blue-50 border-blue-200 text-blue-800',
+  noSolution: 'bg-red-50 border-red-200 text-red-800',
+  invalid: 'bg-red-50 border-red-200 text-red-800'
+};
+
+const GOAL_SEEK_STATUS_LABELS = {
+  converged: 'Converged',
+  notConverged: 'Did not converge',
+  alwaysMet: 'Target always met',
+  noSolution: 'No solution in range',
+  invalid: 'Check the settings'
+};
+
+// Goal-seek solver: finds the value of one input that just meets a chosen target, in a Web Worker
+const GoalSeekSolver = ({ inputs, annualExpenses, onApply }) => {
+  const { currency, formatNumber, formatMoney, parseNumber } = useFormatters();
+  const [variable, setVariable] = useState('bitcoinAmount');
+  const [metric, setMetric] = useState('peakLTV');
+  const [target, setTarget] = useState(formatNumber(inputs.maxLTV));
+  const [spending, setSpending] = useState(formatNumber(Math.round(annualExpenses)));
+  const [range, setRange] = useState({
+    min: formatNumber(GOAL_SEEK_VARIABLES.bitcoinAmount.min),
+    max: formatNumber(GOAL_SEEK_VARIABLES.bitcoinAmount.max)
+  });
+  const [solvedFor, setSolvedFor] = useState(null);
+  const [validationError, setValidationError] = useState(null);
+  const { result: solution, isRunning, error: workerError, run } = useAnalysisWorker();
+  const error = validationError || workerError;
+
+  // A result only describes the inputs, input and target it was solved for
+  const result = solution && !isRunning && solvedFor?.inputs === inputs &&
+    solvedFor.variable === variable && solvedFor.metric === metric ? solution : null;
+
+  const cleanValue = (value) => value.replace(/[^\d.,-]/g, '');
+
+  const selectVariable = (key) => {
+    setVariable(key);
+    setRange({ min: formatNumber(GOAL_SEEK_VARIABLES[key].min), max: formatNumber(GOAL_SEEK_VARIABLES[key].max) });
+  };
+
+  const selectMetric = (key) => {
+    setMetric(key);
+    setTarget(key === 'peakLTV' ? formatNumber(inputs.maxLTV) : '0');
+  };
+
+  const solve = () => {
+    const options = {
+      variable,
+      metric,
+      target: parseNumber(target),
+      annualExpenses: variable === 'annualExpenses' ? null : parseNumber(spending),
+      min: parseNumber(range.min),
+      max: parseNumber(range.max)
+    };
+    let problem = null;
+    if (!Number.isFinite(options.target)) {
+      problem = 'Enter a target value.';
+    } else if (variable !== 'annualExpenses' && !Number.isFinite(options.annualExpenses)) {
+      problem = 'Enter the first-year spending to hold fixed.';
+    } else if (!Number.isFinite(options.min) || !Number.isFinite(options.max) || options.min >= options.max) {
+      problem = 'The search range needs a minimum below its maximum.';
+    }
+    setValidationError(problem);
+    if (problem) return;
+
+    run('goalSeek', inputs, options);
+    setSolvedFor({ inputs, variable, metric });
+  };
+
+  const definition = GOAL_SEEK_VARIABLES[variable];
+  const goal = GOAL_SEEK_METRICS[metric];
+  const canApply = result?.value != null && !(variable === 'annualExpenses' && inputs.expensePhases?.length > 0);
+  const unitLabel = (unit) => (unit === '$' ? currency : unit);
+  const fieldClass = 'w-full px-3 py-2 text-base border rounded-lg shadow-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-gray-900';
+
+  return (
+    <div>
+      <h2 className="text-xl font-semibold text-gray-900 mb-2">Goal Seek</h2>
+      <p className="text-sm text-gray-600 mb-4">
+        Pick an input and a target, and the solver searches the range for the value where the plan just meets it, e.g. the minimum BTC needed to spend a given amount without going over 50% LTV. Every other input stays as set above.
+      </p>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 gap-4 mb-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Solve For</label>
+          <select value={variable} onChange={(e) => selectVariable(e.target.value)} className={fieldClass}>
+            {Object.entries(GOAL_SEEK_VARIABLES).map(([key, v]) => (
+              <option key={key} value={key}>{v.label}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Target</label>
+          <div className="flex gap-2">
+            <select value={metric} onChange={(e) => selectMetric(e.target.value)} className={fieldClass}>
+              {Object.entries(GOAL_SEEK_METRICS).map(([key, m]) => (
+                <option key={key} value={key}>{m.unit === '$' ? `${m.label} (${currency})` : m.label}</option>
+              ))}
+            </select>
+            <span className="self-center text-gray-700 font-medium">{goal.atLeast ? '≥' : '≤'}</span>
+            <input
+              type="text"
+              inputMode="decimal"
+              value={target}
+              onChange={(e) => setTarget(cleanValue(e.target.value))}
+              className={`${fieldClass} w-32`}
+            />
+          </div>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">First-Year Spending ({currency})</label>
+          <input
+            type="text"
+            inputMode="decimal"
+            value={variable === 'annualExpenses' ? 'Solved for' : spending}
+            disabled={variable === 'annualExpenses'}
+            onChange={(e) => setSpending(cleanValue(e.target.value))}
+            className={`${fieldClass} disabled:bg-gray-100 disabled:text-gray-500`}
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Search From ({unitLabel(definition.unit)})</label>
+          <input
+            type="text"
+            inputMode="decimal"
+            value={range.min}
+            onChange={(e) => setRange(r => ({ ...r, min: cleanValue(e.target.value) }))}
+            className={fieldClass}
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Search To ({unitLabel(definition.unit)})</label>
+          <input
+            type="text"
+            inputMode="decimal"
+            value={range.max}
+            onChange={(e) => setRange(r => ({ ...r, max: cleanValue(e.target.value) }))}
+            className={fieldClass}
+          />
+        </div>
+        <div className="flex items-end">
+          <button
+            onClick={solve}
+            className="w-full inline-flex items-center justify-center px-3 py-2 border border-transparent shadow-sm text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+          >
+            {isRunning ? 'Restart' : 'Solve'}
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-800">{error}</div>
+      )}
+
+      {isRunning && <p className="mb-4 text-sm text-gray-600">Solving…</p>}
+
+      {result && (
+        <div className={`border rounded-lg p-4 ${GOAL_SEEK_STATUS_STYLES[result.status]}`}>
+          <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2">
+            <div>
+              <div className="text-xs font-semibold uppercase tracking-wider mb-1">
+                {GOAL_SEEK_STATUS_LABELS[result.status]}
+                {result.iterations !== undefined && ` · ${result.iterations} steps`}
+              </div>
+              <p className="text-sm">{result.message}</p>
+              {result.result !== undefined && (
+                <p className="text-xs mt-1">
+                  {goal.label} at this value: {goal.unit === '$'
+                    ? formatMoney(Math.round(result.result))
+                    : formatNumber(Number(result.result.toFixed(metric === 'finalBitcoin' ? 4 : 0)))}
+                </p>
+              )}
+            </div>
+            {canApply && (
+              <button
+                onClick={() => onApply(variable, result.value)}
+                className="text-sm font-medium text-blue-600 hover:text-blue-700 whitespace-nowrap"
+              >
+                Use this value
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+      <p className="text-xs text-gray-500 mt-2">
+        The search assumes the result moves in one direction as the input rises. If it crosses the target more than once within the range, the solver reports one of the crossings; narrow the range to find another.
+      </p>
+    </div>
+  );
+};
+
+const DEFAULT_SENSITIVITY_STEPS = 7;
+
+const formatSensitivityValue = (variable, value, { formatNumber, formatMoney }) => {
+  const { unit } = SENSITIVITY_VARIABLES[variable];
+  if (unit === '$') return formatMoney(Math.round(value));
+  const scale = unit === 'BTC' ? 10000 : 100;
+  const number = formatNumber(Math.round(value * scale) / scale);
+  return unit === '%' ? `${number}%` : `${number} ${unit}`;
+};
+
+// Starts each axis around the current value: ±10 points for rates, ±50% otherwise, written
+// with formatNumber so the fields read in the display currency's locale
+const getDefaultSensitivityRange = (variable, value, formatNumber) => {
+  const definition = SENSITIVITY_VARIABLES[variable];
+  const spread = definition.unit === '%' ? 10 : Math.abs(value) * 0.5;
+  const round = (v) => (definition.unit === '$' || definition.integer ? Math.round(v) : Math.round(v * 100) / 100);
+  return {
+    min: formatNumber(round(Math.max(definition.min, value - spread))),
+    max: formatNumber(round(Math.min(definition.max, value + spread)))
+  };
+};
+
+// Red for the worst cell in the grid through to green for the best
+const getHeatmapColor = (value, low, high, higherIsBetter) => {
+  const bounded = Number.isFinite(value) ? value : (higherIsBetter ? low : high);
+  const share = high > low ? (bounded - low) / (high - low) : 1;
+  const hue = Math.round((higherIsBetter ? share : 1 - share) * 120);
+  return `hsl(${hue}, 70%, 80%)`;
+};
+
+// Runs one analysis at a time in its own analysis worker. An idle worker is reused; a busy
+// one is still working on a request that is now stale, so it is restarted instead of queued
+// behind. The last result stays available while the next one is calculated.
+const useAnalysisWorker = () => {
+  const [state, setState] = useState({ result: null, isRunning: false, progress: 0, error: null });
+  const workerRef = useRef(null);
+  const requestIdRef = useRef(0);
+  const isBusyRef = useRef(false);
+
+  useEffect(() => () => workerRef.current?.terminate(), []);
+
+  const run = useCallback((analysis, inputs, options) => {
+    if (isBusyRef.current) {
+      workerRef.current.terminate();
+      workerRef.current = null;
+    }
+    if (!workerRef.current) {
+      const worker = new Worker(new URL('../workers/analysis.worker.js', import.meta.url), { type: 'module' });
+      worker.onmessage = (event) => {
+        const message = event.data;
+        if (message.id !== requestIdRef.current) return;
+        if (message.type === 'progress') {
+          setState(prev => ({ ...prev, progress: message.done / message.total }));
+          return;
+        }
+        isBusyRef.current = false;
+        if (message.type === 'result') {
+          setState({ result: message.result, isRunning: false, progress: 1, error: null });
+        } else {
+          setState(prev => ({ ...prev, isRunning: false, error: message.message }));
+        }
+      };
+      workerRef.current = worker;
+    }
+    const id = ++requestIdRef.current;
+    isBusyRef.current = true;
+    workerRef.current.postMessage({ id, analysis, inputs, options });
+    setState(prev => ({ ...prev, isRunning: true, progress: 0, error: null }));
+  }, []);
+
+  return { ...state, run };
+};
+
+// Sensitivity heatmap: runs the plan over a grid of two inputs in a Web Worker
+const SensitivityHeatmap = ({ inputs, annualExpenses }) => {
+  const formatters = useFormatters();
+  const { formatMoney, formatCompactMoney, formatNumber, parseNumber } = formatters;
+  const currentValue = (variable) => (variable === 'annualExpenses' ? annualExpenses : inputs[variable]);
+  const makeAxis = (variable) => ({
+    variable,
+    ...getDefaultSensitivityRange(variable, currentValue(variable), formatNumber),
+    steps: String(DEFAULT_SENSITIVITY_STEPS)
+  });
+  const [xAxis, setXAxis] = useState(() => makeAxis('terminalGrowthRate'));
+  const [yAxis, setYAxis] = useState(() => makeAxis('interestRate'));
+  const [metric, setMetric] = useState('optimalExpenses');
+  const [gridInputs, setGridInputs] = useState(null);
+  const [validationError, setValidationError] = useState(null);
+  const [hoveredCell, setHoveredCell] = useState(null);
+  const { result: grid, isRunning, progress, error: workerError, run } = useAnalysisWorker();
+  const error = validationError || workerError;
+
+  const parseAxis = (axis) => ({
+    variable: axis.variable,
+    min: parseNumber(axis.min),
+    max: parseNumber(axis.max),
+    steps: Math.round(parseFloat(axis.steps))
+  });
+
+  const validateAxis = (axis) => {
+    const label = SENSITIVITY_VARIABLES[axis.variable].label;
+    if (!Number.isFinite(axis.min) || !Number.isFinite(axis.max) || axis.min >= axis.max) {
+      return `${label} needs a minimum below its maximum.`;
+    }
+    if (!(axis.steps >= 2 && axis.steps <= MAX_SENSITIVITY_STEPS)) {
+      return `${label} needs between 2 and ${MAX_SENSITIVITY_STEPS} steps.`;
+    }
+    return null;
+  };
+
+  const runGrid = () => {
+    const x = parseAxis(xAxis);
+    const y = parseAxis(yAxis);
+    const problem = x.variable === y.variable
+      ? 'Pick two different inputs.'
+      : validateAxis(x) || validateAxis(y);
+    setValidationError(problem);
+    if (problem) return;
+
+    run('grid', inputs, { xAxis: x, yAxis: y, metric, annualExpenses });
+    setGridInputs(inputs);
+    setHoveredCell(null);
+  };
+
+  const variableOptions = Object.entries(SENSITIVITY_VARIABLES)
+    .filter(([key]) => !(metric === 'optimalExpenses' && key === 'annualExpenses'));
+  const fieldClass = 'w-full px-3 py-2 text-sm border rounded-lg shadow-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-gray-900';
+
+  const renderAxisSettings = (title, axis, setAxis) => (
+    <div className="bg-gray-50 rounded-lg p-4 border border-gray-200">
+      <label className="block text-sm font-medium text-gray-700 mb-1">{title}</label>
+      <select
+        value={axis.variable}
+        onChange={(e) => setAxis(makeAxis(e.target.value))}
+        className={`${fieldClass} mb-2`}
+      >
+        {variableOptions.map(([key, v]) => (
+          <option key={key} value={key}>{v.label}</option>
+        ))}
+      </select>
+      <div className="grid grid-cols-3 gap-2">
+        {[['min', 'From'], ['max', 'To'], ['steps', 'Steps']].map(([field, label]) => (
+          <div key={field}>
+            <div className="text-xs text-gray-500 mb-1">{label}</div>
+            <input
+              type="text"
+              inputMode="decimal"
+              value={axis[field]}
+              onChange={(e) => {
+                const value = e.target.value.replace(/[^\d.,-]/g, '');
+                setAxis(a => ({ ...a, [field]: value }));
+              }}
+              className={fieldClass}
+            />
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+
+  const values = grid ? grid.rows.flat().map(c => c.value).filter(Number.isFinite) : [];
+  const low = Math.min(...values);
+  const high = Math.max(...values);
+  const gridMetric = grid && SENSITIVITY_METRICS[grid.metric];
+  const formatCell = (value) => (grid.metric === 'peakLTV' ? formatLTV(Math.round(value)) : formatCompactMoney(value));
+
+  return (
+    <div>
+      <h2 className="text-xl font-semibold text-gray-900 mb-2">Sensitivity Heatmap</h2>
+      <p className="text-sm text-gray-600 mb-4">
+        See how fragile the plan is by running it over a grid of two inputs. Every other input stays as set above. Peak LTV and final net worth hold first-year spending at {formatMoney(Math.round(annualExpenses))}.
+      </p>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+        {renderAxisSettings('Across (X Axis)', xAxis, setXAxis)}
+        {renderAxisSettings('Down (Y Axis)', yAxis, setYAxis)}
+        <div className="bg-gray-50 rounded-lg p-4 border border-gray-200 flex flex-col">
+          <label className="block text-sm font-medium text-gray-700 mb-1">Show</label>
+          <select
+            value={metric}
+            onChange={(e) => {
+              setMetric(e.target.value);
+              if (e.target.value === 'optimalExpenses') {
+                if (xAxis.variable === 'annualExpenses') setXAxis(makeAxis('terminalGrowthRate'));
+                if (yAxis.variable === 'annualExpenses') setYAxis(makeAxis('interestRate'));
+              }
+            }}
+            className={`${fieldClass} mb-2`}
+          >
+            {Object.entries(SENSITIVITY_METRICS).map(([key, m]) => (
+              <option key={key} value={key}>{m.label}</option>
+            ))}
+          </select>
+          <button
+            onClick={runGrid}
+            className="mt-auto inline-flex items-center justify-center px-3 py-2 border border-transparent shadow-sm text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+          >
+            {isRunning ? 'Restart' : 'Run Grid'}
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-800">{error}</div>
+      )}
+
+      {isRunning && (
+        <div className="mb-4">
+          <div className="text-sm text-gray-600 mb-1">Calculating… {Math.round(progress * 100)}%</div>
+          <div className="w-full bg-gray-200 rounded-full h-2">
+            <div className="bg-blue-600 h-2 rounded-full transition-all" style={{ width: `${progress * 100}%` }} />
+          </div>
+        </div>
+      )}
+
+      {grid && (
+        <>
+          {gridInputs !== inputs && (
+            <p className="mb-2 text-xs text-yellow-700">The inputs have changed since this grid was run. Run it again to update it.</p>
+          )}
+          <div className="overflow-x-auto">
+            <table className="mx-auto border-separate" style={{ borderSpacing: 2 }}>
+              <tbody>
+                {[...grid.rows].reverse().map((row, reversedIndex) => (
+                  <tr key={grid.yValues[grid.yValues.length - 1 - reversedIndex]}>
+                    <th className="pr-2 text-right text-xs font-medium text-gray-700 whitespace-nowrap">
+                      {formatSensitivityValue(grid.yAxis.variable, row[0].y, formatters)}
+                    </th>
+                    {row.map(cell => (
+                      <td
+                        key={cell.x}
+                        onMouseEnter={() => setHoveredCell(cell)}
+                        className={`px-2 py-2 text-center text-xs font-medium text-gray-900 rounded cursor-default whitespace-nowrap ${
+                          cell.peakLTV > inputs.maxLTV ? 'ring-2 ring-inset ring-red-500' : ''
+                        } ${hoveredCell === cell ? 'outline outline-2 outline-blue-600' : ''}`}
+                        style={{ backgroundColor: getHeatmapColor(cell.value, low, high, gridMetric.higherIsBetter) }}
+                      >
+                        {formatCell(cell.value)}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+                <tr>
+                  <th />
+                  {grid.xValues.map(x => (
+                    <th key={x} className="pt-1 text-center text-xs font-medium text-gray-700 whitespace-nowrap">
+                      {formatSensitivityValue(grid.xAxis.variable, x, formatters)}
+                    </th>
+                  ))}
+                </tr>
+              </tbody>
+            </table>
+          </div>
+          <p className="mt-2 text-xs text-gray-500 text-center">
+            {gridMetric.label} by {SENSITIVITY_VARIABLES[grid.xAxis.variable].label} (across) and {SENSITIVITY_VARIABLES[grid.yAxis.variable].label} (down). Cells outlined in red go over the {inputs.maxLTV}% max LTV.
+          </p>
+
+          <div className="mt-4 p-4 bg-gray-50 rounded-lg border border-gray-200 text-sm text-gray-900">
+            {hoveredCell ? (
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-x-4 gap-y-2">
+                <div><span className="text-gray-500">{SENSITIVITY_VARIABLES[grid.xAxis.variable].label}:</span> {formatSensitivityValue(grid.xAxis.variable, hoveredCell.x, formatters)}</div>
+                <div><span className="text-gray-500">{SENSITIVITY_VARIABLES[grid.yAxis.variable].label}:</span> {formatSensitivityValue(grid.yAxis.variable, hoveredCell.y, formatters)}</div>
+                <div><span className="text-gray-500">First-Year Spending:</span> {formatMoney(Math.round(hoveredCell.annualExpenses))}</div>
+                <div><span className="text-gray-500">Peak LTV:</span> {formatLTV(Math.round(hoveredCell.peakLTV))}</div>
+                <div><span className="text-gray-500">Final Net Worth:</span> {formatMoney(Math.round(hoveredCell.finalNetWorth))}</div>
+                <div><span className="text-gray-500">BTC Left:</span> {hoveredCell.finalBitcoin.toFixed(4)}</div>
+                <div><span className="text-gray-500">Left to Heirs:</span> {formatMoney(Math.round(hoveredCell.estateValue))}</div>
+                <div><span className="text-gray-500">Liquidation Years:</span> {hoveredCell.liquidations}</div>
+              </div>
+            ) : (
+              <p className="text-gray-500 text-center">Hover over a cell to see that run&apos;s details.</p>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+const TORNADO_METRICS = {
+  optimalExpenses: 'Optimal Expenses',
+  finalNetWorth: 'Final Net Worth'
+};
+
+const TORNADO_CHANGES = [5, 10, 20, 25, 50];
+
+// Tornado chart: how far each input moves the result when nudged down and up
+const TornadoChart = ({ inputs, annualExpenses }) => {
+  const formatters = useFormatters();
+  const { formatNumber, formatMoney, formatCompactMoney } = formatters;
+  const [change, setChange] = useState(10);
+  const [metric, setMetric] = useState('optimalExpenses');
+  const { result, isRunning, error, run } = useAnalysisWorker();
+
+  useEffect(() => {
+    run('tornado', inputs, { change, annualExpenses });
+  }, [inputs, change, annualExpenses, run]);
+
+  // Biggest swing between the low and high runs first
+  const bars = useMemo(() => {
+    if (!result) return [];
+    const baseValue = result.base[metric];
+    return result.bars
+      .map(bar => ({
+        variable: bar.variable,
+        label: SENSITIVITY_VARIABLES[bar.variable].label,
+        lowValue: bar.lowValue,
+        highValue: bar.highValue,
+        low: bar.low[metric] - baseValue,
+        high: bar.high[metric] - baseValue
+      }))
+      .sort((a, b) => Math.abs(b.high - b.low) - Math.abs(a.high - a.low));
+  }, [result, metric]);
+
+  const selectClass = 'px-3 py-2 text-sm border rounded-lg shadow-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-gray-900';
+
+  return (
+    <div>
+      <h2 className="text-xl font-semibold text-gray-900 mb-2">Which Assumptions Matter Most</h2>
+      <p className="text-sm text-gray-600 mb-4">
+        Each input is moved down and up by the same percentage of its value, one at a time, and the bars show how far the result moves. Final net worth holds first-year spending at {formatMoney(Math.round(annualExpenses))}.
+      </p>
+
+      <div className="flex flex-col sm:flex-row gap-4 mb-4">
+        <label className="flex items-center gap-2 text-sm text-gray-700">
+          Show
+          <select value={metric} onChange={(e) => setMetric(e.target.value)} className={selectClass}>
+            {Object.entries(TORNADO_METRICS).map(([key, label]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+        </label>
+        <label className="flex items-center gap-2 text-sm text-gray-700">
+          Move each input by
+          <select value={change} onChange={(e) => setChange(Number(e.target.value))} className={selectClass}>
+            {TORNADO_CHANGES.map(value => (
+              <option key={value} value={value}>±{value}%</option>
+            ))}
+          </select>
+        </label>
+        {isRunning && <span className="self-center text-sm text-gray-500">Calculating…</span>}
+      </div>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-800">{error}</div>
+      )}
+
+      {result && (
+        <>
+          <p className="text-sm text-gray-600 mb-2 text-center">
+            {TORNADO_METRICS[metric]} with today&apos;s inputs: {formatMoney(Math.round(result.base[metric]))}
+          </p>
+          <div style={{ height: Math.max(240, bars.length * 48) }} className={isRunning ? 'opacity-60' : ''}>
+            <ResponsiveContainer width="100%" height="100%">
+              <ComposedChart data={bars} layout="vertical" margin={{ top: 5, right: 20, left: 5, bottom: 5 }} barGap={2}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" horizontal={false} />
+                <XAxis type="number" tickFormatter={formatCompactMoney} tick={{ fontSize: 12 }} tickMargin={8} />
+                <YAxis type="category" dataKey="label" width={150} tick={{ fontSize: 12 }} />
+                <Tooltip
+                  formatter={(value, name, item) => {
+                    const moved = item.dataKey === 'low' ? item.payload.lowValue : item.payload.highValue;
+                    return [`${value >= 0 ? '+' : ''}${formatCompactMoney(value)} at ${formatSensitivityValue(item.payload.variable, moved, formatters)}`, name];
+                  }}
+                />
+                <Legend verticalAlign="bottom" height={36} iconSize={16} />
+                <ReferenceLine x={0} stroke="#374151" />
+                <Bar dataKey="low" name={`Input −${result.change}%`} fill="#dc2626" />
+                <Bar dataKey="high" name={`Input +${result.change}%`} fill="#16a34a" />
+              </ComposedChart>
+            </ResponsiveContainer>
+          </div>
+          <p className="text-xs text-gray-500 mt-2">
+            Percentages are relative to each input&apos;s current value, e.g. ±{result.change}% on a {inputs.interestRate}% interest rate tests {formatNumber(Math.round(inputs.interestRate * (100 - result.change)) / 100)}% and {formatNumber(Math.round(inputs.interestRate * (100 + result.change)) / 100)}%. Growth inputs the selected growth model doesn&apos;t use are left out.
+          </p>
+          {result.zeroVariables.length > 0 && (
+            <p className="text-xs text-gray-500 mt-1">
+              Not shown because they are set to 0, which a percentage can&apos;t move: {result.zeroVariables.map(variable => SENSITIVITY_VARIABLES[variable].label).join(', ')}.
+            </p>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+const COMPARISON_COLORS = ['#2563eb', '#dc2626', '#16a34a', '#9333ea'];
+const MAX_COMPARED_SCENARIOS = 4;
+
+// Saved Scenarios Library Component
+const ScenarioLibrary = ({ inputs, onLoadScenario }) => {
+  const { locale, formatMoney, formatCompactMoney } = useFormatters();
+  const [scenarios, setScenarios] = useState(loadSavedScenarios);
+  const [newName, setNewName] = useState('');
+  const [renamingId, setRenamingId] = useState(null);
+  const [renameValue, setRenameValue] = useState('');
+  const [comparedIds, setComparedIds] = useState([]);
+
+  const updateScenarios = (next) => {
+    setScenarios(next);
+    storeSavedScenarios(next);
+  };
+
+  // Saving under an existing name overwrites that scenario
+  const saveCurrentScenario = () => {
+    const name = newName.trim();
+    if (!name || inputs.bitcoinPrice === null) return;
+    const scenario = {
+      id: scenarios.find(s => s.name === name)?.id || `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      name,
+      query: serializeScenarioQuery(inputs),
+      savedAt: new Date().toISOString()
+    };
+    updateScenarios([...scenarios.filter(s => s.id !== scenario.id), scenario]);
+    setNewName('');
+  };
+
+  const commitRename = () => {
+    const name = renameValue.trim();
+    if (name) {
+      updateScenarios(scenarios.map(s => (s.id === renamingId ? { ...s, name } : s)));
+    }
+    setRenamingId(null);
+  };
+
+  const deleteScenario = (id) => {
+    updateScenarios(scenarios.filter(s => s.id !== id));
+    setComparedIds(ids => ids.filter(comparedId => comparedId !== id));
+  };
+
+  const toggleCompared = (id) => {
+    setComparedIds(ids => {
+      if (ids.includes(id)) return ids.filter(comparedId => comparedId !== id);
+      return ids.length < MAX_COMPARED_SCENARIOS ? [...ids, id] : ids;
+    });
+  };
+
+  const comparison = useMemo(() => {
+    return comparedIds
+      .map(id => scenarios.find(s => s.id === id))
+      .filter(Boolean)
+      .map((scenario, index) => {
+        const scenarioInputs = parseScenarioQuery(scenario.query).inputs;
+        if (scenarioInputs.bitcoinPrice === null) {
+          scenarioInputs.bitcoinPrice = inputs.bitcoinPrice;
+        }
+        const run = runScenario(scenarioInputs);
+        const finalRow = run.projections[run.projections.length - 1];
+        return {
+          scenario,
+          color: COMPARISON_COLORS[index],
+          annualExpenses: run.annualExpenses,
+          peakLTV: Math.max(...run.projections.map(p => p.ltvRatio)),
+          finalNetWorth: finalRow ? finalRow.netWorth : 0,
+          projections: run.projections
+        };
+      });
+  }, [comparedIds, scenarios, inputs.bitcoinPrice]);
+
+  const comparisonChartData = useMemo(() => {
+    const years = Math.max(0, ...comparison.map(c => c.projections.length));
+    return Array.from({ length: years }, (_, i) => {
+      const point = { year: i + 1 };
+      comparison.forEach(c => {
+        const row = c.projections[i];
+        if (row) {
+          point[`netWorth-${c.scenario.id}`] = row.netWorth;
+          point[`ltv-${c.scenario.id}`] = row.ltvRatio;
+        }
+      });
+      return point;
+    });
+  }, [comparison]);
+
+  return (
+    <div>
+      <h2 className="text-xl font-semibold text-gray-900 mb-2">Saved Scenarios</h2>
+      <p className="text-sm text-gray-600 mb-4">
+        Save the current inputs under a name, reload them later, or tick up to {MAX_COMPARED_SCENARIOS} scenarios to compare them side by side. Scenarios are stored in this browser only.
+      </p>
+
+      <div className="flex flex-col sm:flex-row gap-2 mb-4">
+        <input
+          type="text"
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && saveCurrentScenario()}
+          placeholder="Scenario name, e.g. Conservative"
+          className="flex-grow px-3 py-2 text-base border rounded-lg shadow-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-gray-900"
+        />
+        <button
+          onClick={saveCurrentScenario}
+          disabled={!newName.trim() || inputs.bitcoinPrice === null}
+          className="inline-flex items-center justify-center px-3 py-2 border border-transparent shadow-sm text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:bg-gray-300 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+        >
+          Save Current Inputs
+        </button>
+      </div>
+
+      {scenarios.length === 0 ? (
+        <p className="text-sm text-gray-500 italic mb-4">No saved scenarios yet.</p>
+      ) : (
+        <ul className="divide-y divide-gray-200 border border-gray-200 rounded-lg mb-6">
+          {scenarios.map(scenario => {
+            const isCompared = comparedIds.includes(scenario.id);
+            return (
+              <li key={scenario.id} className="flex flex-col sm:flex-row sm:items-center gap-2 p-3 text-sm text-gray-900">
+                <label className="flex items-center gap-3 flex-grow cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={isCompared}
+                    disabled={!isCompared && comparedIds.length >= MAX_COMPARED_SCENARIOS}
+                    onChange={() => toggleCompared(scenario.id)}
+                    className="w-4 h-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                  />
+                  {renamingId === scenario.id ? (
+                    <input
+                      type="text"
+                      autoFocus
+                      value={renameValue}
+                      onChange={(e) => setRenameValue(e.target.value)}
+                      onBlur={commitRename}
+                      onKeyDown={(e) => {
+                        if (e.key === 'Enter') commitRename();
+                        if (e.key === 'Escape') setRenamingId(null);
+                      }}
+                      className="flex-grow px-2 py-1 border rounded focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-gray-900"
+                    />
+                  ) : (
+                    <span className="font-medium">{scenario.name}</span>
+                  )}
+                  <span className="text-xs text-gray-500">{new Date(scenario.savedAt).toLocaleDateString(locale)}</span>
+                </label>
+                <div className="flex gap-3">
+                  <button
+                    onClick={() => onLoadScenario(parseScenarioQuery(scenario.query).inputs)}
+                    className="text-blue-600 hover:text-blue-700 font-medium"
+                  >
+                    Load
+                  </button>
+                  <button
+                    onClick={() => {
+                      setRenamingId(scenario.id);
+                      setRenameValue(scenario.name);
+                    }}
+                    className="text-gray-600 hover:text-gray-700 font-medium"
+                  >
+                    Rename
+                  </button>
+                  <button
+                    onClick={() => deleteScenario(scenario.id)}
+                    className="text-red-600 hover:text-red-700 font-medium"
+                  >
+                    Delete
+                  </button>
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      {comparison.length === 1 && (
+        <p className="text-sm text-gray-500 mb-4">Select at least one more scenario to compare.</p>
+      )}
+
+      {comparison.length >= 2 && (
+        <div>
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-6">
+            {[
+              { prefix: 'netWorth', title: 'Net Worth', formatter: formatCompactMoney, format: (value) => formatMoney(value) },
+              { prefix: 'ltv', title: 'LTV', formatter: (value) => `${value}%`, format: formatLTV }
+            ].map(chart => (
+              <div key={chart.prefix}>
+                <h3 className="text-lg font-medium mb-2 text-gray-900 text-center">{chart.title}</h3>
+                <div className="h-[35vh] min-h-[240px] max-h-[360px]">
+                  <ResponsiveContainer width="100%" height="100%">
+                    <ComposedChart data={comparisonChartData} margin={{ top: 5, right: 5, left: 5, bottom: 5 }}>
+                      <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+                      <XAxis dataKey="year" tick={{ fontSize: 12 }} tickMargin={8} />
+                      <YAxis
+                        tickFormatter={chart.formatter}
+                        tick={{ fontSize: 12 }}
+                        tickMargin={8}
+                        {...(chart.prefix === 'ltv' ? { domain: [0, (dataMax) => Math.min(dataMax, 200)], allowDataOverflow: true } : {})}
+                      />
+                      <Tooltip formatter={(value, name) => [chart.format(value), name]} />
+                      <Legend verticalAlign="bottom" height={36} iconSize={16} />
+                      {comparison.map(c => (
+                        <Line
+                          key={c.scenario.id}
+                          type="monotone"
+                          dataKey={`${chart.prefix}-${c.scenario.id}`}
+                          name={c.scenario.name}
+                          stroke={c.color}
+                          strokeWidth={2}
+                          dot={false}
+                        />
+                      ))}
+                    </ComposedChart>
+                  </ResponsiveContainer>
+                </div>
+              </div>
+            ))}
+          </div>
+
+          <div className="overflow-x-auto rounded-lg shadow">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead>
+                <tr className="bg-gray-50">
+                  <th className="text-left p-2 text-xs font-medium text-gray-700 uppercase tracking-wider">Scenario</th>
+                  <th className="text-right p-2 text-xs font-medium text-gray-700 uppercase tracking-wider">Optimal Expenses</th>
+                  <th className="text-right p-2 text-xs font-medium text-gray-700 uppercase tracking-wider">Peak LTV</th>
+                  <th className="text-right p-2 text-xs font-medium text-gray-700 uppercase tracking-wider">Final Net Worth</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {comparison.map(c => (
+                  <tr key={c.scenario.id} className="text-gray-900 text-xs md:text-sm">
+                    <td className="whitespace-nowrap py-2 px-2 font-medium">
+                      <span className="inline-block w-3 h-3 rounded-full mr-2 align-middle" style={{ backgroundColor: c.color }} />
+                      {c.scenario.name}
+                    </td>
+                    <td className="whitespace-nowrap py-2 px-2 text-right text-blue-600">{formatMoney(c.annualExpenses)}</td>
+                    <td className="whitespace-nowrap py-2 px-2 text-right">{formatLTV(c.peakLTV)}</td>
+                    <td className={`whitespace-nowrap py-2 px-2 text-right font-medium ${c.finalNetWorth < 0 ? 'text-red-600' : 'text-green-600'}`}>{formatMoney(c.finalNetWorth)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <p className="text-xs text-gray-500 mt-2">
+            Scenarios set to a custom spending level show that level in place of optimal expenses.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
 // Technical Details Component
 const TechnicalDetails = ({ inputs, results }) => {
+  const { formatMoney } = useFormatters();
   const [isExpanded, setIsExpanded] = useState(false);
+  const growthModel = GROWTH_MODELS[inputs.growthModel] || GROWTH_MODELS.linearDecay;
+  const expensesRule = inputs.expensePhases.length > 0
+    ? 'Sets expenses from the spending phase for the year: phaseAmount × (1 + phaseInflation/100)^(year - 1), scaled so the first year with any spending matches the annual expenses used'
+    : `Updates expenses for inflation: inflatedExpenses *= (1 + ${inputs.inflationRate}% inflation)`;
 
   return (
     <div className="w-full bg-gray-100 rounded-lg shadow p-4">
@@ -809,13 +2885,23 @@ const TechnicalDetails = ({ inputs, results }) => {
         <div className="mt-4 space-y-6 text-sm text-gray-800">
           <section>
             <h4 className="font-semibold text-gray-900 mb-2">Growth Model</h4>
-            <p className="mb-2">The calculator uses a scaled growth model where Bitcoin's growth rate decreases over time:</p>
+            {inputs.simulationMode === 'backtest' && (
+              <p className="mb-2">
+                In Historical Backtest mode the growth model below is replaced by Bitcoin&apos;s actual yearly returns from the bundled year-end closing prices:
+                rate = (close[year] / close[year - 1] - 1) × 100, starting in {inputs.backtestStartYear}. Your current price and holdings are kept as the starting point, and the run ends when the dataset does.
+              </p>
+            )}
+            <p className="mb-2">The calculator uses the {growthModel.label} growth model. {growthModel.description}:</p>
             <ul className="list-disc pl-5 space-y-2">
-              <li>Starts at {inputs.initialGrowthRate}% initial growth rate</li>
-              <li>Linearly decreases over 9 years to reach the {inputs.terminalGrowthRate}% final rate in year 10</li>
-              <li>Maintains the {inputs.terminalGrowthRate}% final rate for all subsequent years</li>
-              <li>Formula: rate = max(finalRate, initialRate - (decay * (year - 1)))</li>
-              <li>Where decay = (initialRate - finalRate) / 9</li>
+              {growthModel.describe(inputs).map(line => (
+                <li key={line}>{line}</li>
+              ))}
+              {Object.keys(inputs.growthRateOverrides).length > 0 && (
+                <li>
+                  Manual overrides replace the model rate in year{Object.keys(inputs.growthRateOverrides).length === 1 ? '' : 's'}{' '}
+                  {Object.entries(inputs.growthRateOverrides).map(([year, rate]) => `${year} (${rate}%)`).join(', ')}
+                </li>
+              )}
             </ul>
           </section>
 
@@ -823,10 +2909,152 @@ const TechnicalDetails = ({ inputs, results }) => {
             <h4 className="font-semibold text-gray-900 mb-2">Debt and Interest Calculations</h4>
             <p className="mb-2">For each year, the calculator:</p>
             <ul className="list-disc pl-5 space-y-2">
-              <li>Calculates interest on existing debt: totalInterest += totalBorrowed * ({inputs.interestRate}%)</li>
-              <li>Adds new borrowing for annual expenses: totalBorrowed += inflatedExpenses</li>
-              <li>Updates expenses for inflation: inflatedExpenses *= (1 + {inputs.inflationRate}% inflation)</li>
-              <li>Calculates total debt: totalDebt = totalBorrowed + totalInterest</li>
+              {inputs.loanTranches.length > 0 ? (
+                <>
+                  <li>Calculates interest separately for each lender at its own APR ({inputs.loanTranches.map(t => `${t.lender} ${t.interestRate}%`).join(', ')}) using the formula below</li>
+                  <li>
+                    {inputs.loanAllocation === 'split'
+                      ? 'Splits the year\'s borrowing between lenders in proportion to their shares'
+                      : 'Borrows from the lowest-APR lender first, until the BTC not yet pledged to other lenders would exceed its max LTV, then moves on to the next; any amount beyond every lender\'s limit goes to the most expensive one'}
+                  </li>
+                  <li>Adds each lender&apos;s origination fee to its balance: fees += draw * originationFee</li>
+                  <li>{expensesRule}</li>
+                  <li>Calculates total debt across lenders: totalDebt = Σ (borrowed + fees + interest - repaid)</li>
+                </>
+              ) : (
+                <>
+                  <li>Calculates interest on existing debt at {inputs.interestRate}% using the formula below</li>
+                  <li>Adds new borrowing for annual expenses: totalBorrowed += inflatedExpenses</li>
+                  <li>{expensesRule}</li>
+                  <li>Calculates total debt: totalDebt = totalBorrowed + totalInterest</li>
+                </>
+              )}
+            </ul>
+          </section>
+
+          <section>
+            <h4 className="font-semibold text-gray-900 mb-2">Interest Formula: {INTEREST_METHODS[inputs.interestMethod].label}</h4>
+            <p className="mb-2">{INTEREST_METHODS[inputs.interestMethod].description}. Interest for the past year is charged at the start of each year, before that year&apos;s borrowing is added:</p>
+            <ul className="list-disc pl-5 space-y-2">
+              {inputs.interestMethod === 'simple' && (
+                <li>interest = outstandingPrincipal × rate, added to totalInterest</li>
+              )}
+              {inputs.interestMethod === 'compoundYearly' && (
+                <li>interest = (outstandingPrincipal + unpaidInterest) × rate, added to totalInterest</li>
+              )}
+              {inputs.interestMethod === 'compoundMonthly' && (
+                <li>interest = (outstandingPrincipal + unpaidInterest) × ((1 + rate / 12)^12 - 1), added to totalInterest. At {inputs.interestRate}% that is an effective {(Math.round((Math.pow(1 + inputs.interestRate / 1200, 12) - 1) * 10000) / 100)}% a year</li>
+              )}
+              {inputs.interestMethod === 'payInCash' && (
+                <>
+                  <li>interest = outstandingPrincipal × rate, added to the year&apos;s spending and tracked as interestPaidInCash</li>
+                  <li>Income pays it first; any shortfall is borrowed or raised by selling BTC like other expenses, so unpaid interest never sits in totalDebt</li>
+                </>
+              )}
+            </ul>
+          </section>
+
+          <section>
+            <h4 className="font-semibold text-gray-900 mb-2">Interest Rate Path</h4>
+            {inputs.interestRateMode === 'fixed' && (
+              <p className="mb-2">Rates are fixed: every year is charged {inputs.loanTranches.length > 0 ? 'each lender\'s own APR' : `${inputs.interestRate}%`}.</p>
+            )}
+            {inputs.interestRateMode === 'schedule' && (
+              <p className="mb-2">
+                Rates follow your per-year schedule. A year without its own rate keeps the previous year&apos;s rate, and year 1 starts at {inputs.interestRate}%
+                {Object.keys(inputs.interestRateSchedule).length > 0 && <> (set: {Object.entries(inputs.interestRateSchedule).map(([year, rate]) => `year ${year} → ${rate}%`).join(', ')})</>}.
+              </p>
+            )}
+            {inputs.interestRateMode === 'stepChange' && (
+              <p className="mb-2">
+                The loan is charged {inputs.interestRate}% through year {inputs.refinanceYear}, then refinanced so that all outstanding and new debt is charged {inputs.refinanceRate}%.
+              </p>
+            )}
+            {inputs.interestRateMode === 'floating' && (
+              <ul className="list-disc pl-5 space-y-2">
+                <li>rate = max(0, baseRate) + {inputs.rateSpread}% spread</li>
+                <li>The base rate starts at {inputs.baseRate}% and moves toward {inputs.baseRateLongRun}% each year: baseRate += {inputs.baseRateReversion}% × ({inputs.baseRateLongRun}% - baseRate) + shock</li>
+                <li>The shock is a seeded normal draw with a standard deviation of {inputs.baseRateVolatility} percentage points (seed {inputs.monteCarloSeed})</li>
+              </ul>
+            )}
+            {inputs.loanTranches.length > 0 && inputs.interestRateMode !== 'fixed' && (
+              <p className="mt-2">Each lender&apos;s APR shifts by the same amount the rate has moved since year 1, and never falls below 0%.</p>
+            )}
+          </section>
+
+          {inputs.timeResolution === 'monthly' && (
+            <section>
+              <h4 className="font-semibold text-gray-900 mb-2">Monthly Time Step</h4>
+              <p className="mb-2">The projection runs month by month and rolls the results up into the yearly table:</p>
+              <ul className="list-disc pl-5 space-y-2">
+                <li>Each month&apos;s price: startPrice × (1 + growthRate/100)^(month/12){inputs.intraYearVolatility > 0 && `, plus a seeded ${inputs.intraYearVolatility}% volatility swing that returns to the schedule by year end`}</li>
+                <li>One twelfth of the year&apos;s expenses is borrowed at the start of every month</li>
+                <li>LTV is checked after each month&apos;s borrowing at that month&apos;s price, and margin calls sell BTC at that price</li>
+                <li>Interest accrues at the end of every month at rate / 12, following the interest formula above</li>
+                <li>The yearly LTV is the peak monthly LTV; debt and portfolio values are taken at the end of the year</li>
+              </ul>
+            </section>
+          )}
+
+          {inputs.loanCurrency !== inputs.currency && (
+            <section>
+              <h4 className="font-semibold text-gray-900 mb-2">Loans in {inputs.loanCurrency}</h4>
+              <ul className="list-disc pl-5 space-y-2">
+                <li>Every amount is shown in {inputs.currency}; the debt is owed in {inputs.loanCurrency}</li>
+                <li>At the start of every year after the first, each lender&apos;s borrowed, fee, interest and repaid amounts are multiplied by (1 + {inputs.fxDrift}/100)</li>
+                <li>The change in debt is shown as a revaluation line in each year&apos;s calculation; interest paid in cash stays at what it cost when paid</li>
+              </ul>
+            </section>
+          )}
+
+          {inputs.cashFlows.length > 0 && (
+            <section>
+              <h4 className="font-semibold text-gray-900 mb-2">Income and Other Cash Flows</h4>
+              <ul className="list-disc pl-5 space-y-2">
+                <li>Each flow&apos;s amount in year N: amount × (1 + flowInflation/100)^(N - 1); recurring flows run from their start to end year, one-off flows happen once</li>
+                <li>shortfall = expenses + one-off expenses + DCA purchases - income - one-off income</li>
+                <li>Only a positive shortfall is borrowed or raised by selling BTC; DCA purchases are never paid for by selling BTC</li>
+                <li>A surplus {inputs.surplusAllocation === 'buyBitcoin' ? 'buys BTC at that year\'s start price' : 'repays debt (most expensive lender and accrued interest first), and anything left buys BTC'}</li>
+                <li>DCA purchases buy BTC at the start-of-year price{inputs.timeResolution === 'monthly' ? ' (monthly at each month\'s price)' : ''}, as new tax lots with that price as their cost basis</li>
+              </ul>
+            </section>
+          )}
+
+          <section>
+            <h4 className="font-semibold text-gray-900 mb-2">Withdrawal Strategy and Taxes</h4>
+            {inputs.withdrawalStrategy === 'borrow' && <p className="mb-2">Every expense is borrowed; BTC is only sold for margin calls.</p>}
+            {inputs.withdrawalStrategy === 'sell' && <p className="mb-2">Every expense is paid by selling BTC. Once the BTC runs out, the shortfall is borrowed.</p>}
+            {inputs.withdrawalStrategy === 'hybrid' && (
+              <p className="mb-2">
+                {inputs.hybridRule === 'borrowShare'
+                  ? `${inputs.borrowShare}% of each expense is borrowed and the rest is raised by selling BTC.`
+                  : `Expenses are borrowed unless borrowing them would take LTV above ${inputs.sellAboveLTV}%, in which case BTC is sold instead.`}
+              </p>
+            )}
+            <ul className="list-disc pl-5 space-y-2">
+              <li>Sales use the oldest BTC first (FIFO). Your starting BTC has a cost basis of {formatMoney(inputs.costBasis)} per BTC{inputs.holdingsLongTerm ? ' and is already long-term' : ' and becomes long-term after 12 months'}</li>
+              <li>gain = btcSold × (price - costBasis)</li>
+              {inputs.taxEnabled ? (
+                <>
+                  <li>Short-term gains are taxed as ordinary income and long-term gains at 0/15/20%, stacked on top of short-term gains ({TAX_BRACKETS[inputs.taxFilingStatus].label} brackets, indexed by {inputs.inflationRate}% inflation each year){inputs.stateTaxRate > 0 && `, plus ${inputs.stateTaxRate}% state tax`}</li>
+                  <li>Sales for expenses are grossed up so the proceeds after tax cover the expense; tax on margin-call sales comes out of the proceeds before debt is repaid</li>
+                  <li>Net worth after tax: netWorth - tax due if all remaining BTC were sold at the end-of-year price</li>
+                </>
+              ) : (
+                <li>Capital gains tax is turned off, so sales are not taxed</li>
+              )}
+            </ul>
+          </section>
+
+          <section>
+            <h4 className="font-semibold text-gray-900 mb-2">End of Plan and Estate</h4>
+            <p className="mb-2">Each year also shows what heirs would receive if the plan ended then, valued at that year&apos;s end price:</p>
+            <ul className="list-disc pl-5 space-y-2">
+              {inputs.endOfPlanDebt === 'repay' && <li>BTC is sold from your oldest lots to repay the debt, grossed up for capital gains tax on your original cost basis</li>}
+              {inputs.endOfPlanDebt === 'stepUp' && <li>The cost basis steps up to the end price, so the estate sells debt / price BTC to repay the loan with no capital gains tax</li>}
+              {inputs.endOfPlanDebt === 'refinance' && <li>No BTC is sold; heirs take over the debt, and its yearly interest at {inputs.estateRefinanceRate}% is shown in the estate summary</li>}
+              <li>Left to heirs: remainingBtc × price - debt still owed</li>
+              <li>In today&apos;s money: leftToHeirs / (1 + {inputs.inflationRate}%)^years</li>
             </ul>
           </section>
 
@@ -840,20 +3068,75 @@ const TechnicalDetails = ({ inputs, results }) => {
             </ul>
           </section>
 
+          <section>
+            <h4 className="font-semibold text-gray-900 mb-2">Margin Calls and Liquidations</h4>
+            {inputs.marginCallsEnabled ? (
+              <>
+                <p className="mb-2">After each year&apos;s borrowing, the calculator checks LTV against your lender&apos;s thresholds:</p>
+                <ul className="list-disc pl-5 space-y-2">
+                  <li>At or above {inputs.marginCallLTV}% LTV a margin call is triggered; at or above {inputs.liquidationLTV}% the lender force-liquidates</li>
+                  <li>Either way, BTC is sold at the start-of-year price and the proceeds repay debt (accrued interest first, then principal{inputs.loanTranches.length > 1 ? ', starting with the highest-APR lender' : ''})</li>
+                  <li>BTC sold: btcSold = (totalDebt - target × bitcoinAmount × price) / (price × (1 - target)), with a {inputs.liquidationTargetLTV}% target LTV</li>
+                  <li>The reduced bitcoinAmount carries forward to every later year, and interest accrues only on the remaining principal</li>
+                  <li>The LTV column shows the peak LTV before the sale, so the optimal expenses search still avoids these events</li>
+                </ul>
+              </>
+            ) : (
+              <p className="mb-2">Margin call modelling is turned off, so LTV can rise without limit and no BTC is ever sold.</p>
+            )}
+          </section>
+
           <section>
             <h4 className="font-semibold text-gray-900 mb-2">Optimal Expenses Calculation</h4>
             <p className="mb-2">When finding optimal annual expenses, the calculator:</p>
             <ul className="list-disc pl-5 space-y-2">
               <li>Uses binary search to find the maximum safe annual expenses</li>
-              <li>Tests different expense levels between $0 and portfolio value</li>
+              <li>Tests different expense levels between $0 and portfolio value{inputs.cashFlows.length > 0 && ' plus the first year\'s income'}</li>
+              {inputs.expensePhases.length > 0 && <li>Scales every spending phase by the same factor, so the shape of the schedule is kept and only its level changes</li>}
               <li>For each test, runs a full projection to check if LTV stays under the {inputs.maxLTV}% maximum</li>
               <li>Continues narrowing the range until finding the optimal value within $100 precision</li>
+              <li>Runs in a Web Worker together with the projection and any Monte Carlo or backtest runs; changing an input abandons a calculation still in progress and keeps the previous results on screen until the new ones arrive</li>
+            </ul>
+          </section>
+
+          <section>
+            <h4 className="font-semibold text-gray-900 mb-2">Goal Seek</h4>
+            <p className="mb-2">The goal-seek solver generalizes the same search to other inputs:</p>
+            <ul className="list-disc pl-5 space-y-2">
+              <li>Holds first-year spending fixed and runs a full projection at each end of the chosen range</li>
+              <li>If both ends meet the target, or both miss it, it reports that there is no crossing point in the range instead of guessing</li>
+              <li>Otherwise it bisects between the end that meets the target and the end that misses it, giving the minimum or maximum value that still meets it</li>
+              <li>Growth inputs regenerate the growth schedule for every test, and the result is rounded towards the side that meets the target</li>
+              <li>Reports whether the range was narrowed to the precision set for that input (e.g. 0.0001 BTC or 0.01%) within 60 steps</li>
+              <li>The search runs in a Web Worker, like the heatmap, and solving again abandons a search still in progress</li>
+            </ul>
+          </section>
+
+          <section>
+            <h4 className="font-semibold text-gray-900 mb-2">Sensitivity Heatmap</h4>
+            <p className="mb-2">The heatmap runs the whole plan once per grid cell:</p>
+            <ul className="list-disc pl-5 space-y-2">
+              <li>Each axis is split into evenly spaced values between its from and to settings</li>
+              <li>For optimal expenses every cell runs its own optimal expenses search; peak LTV and final net worth hold first-year spending fixed</li>
+              <li>The grid is computed in a Web Worker so the page stays responsive, and running it again abandons any grid still in progress</li>
+              <li>Colors run from red for the worst cell in the grid to green for the best, so they show the spread within the grid rather than absolute safety</li>
+            </ul>
+          </section>
+
+          <section>
+            <h4 className="font-semibold text-gray-900 mb-2">Tornado Chart</h4>
+            <ul className="list-disc pl-5 space-y-2">
+              <li>Moves bitcoin amount, starting price, interest rate, both growth rates, inflation and max LTV one at a time, down and up by the chosen percentage of their current values</li>
+              <li>Growth rates are only moved when the selected growth model reads them (never in backtest mode), and inputs set to 0 are listed instead of charted, since a percentage of 0 doesn&apos;t move them</li>
+              <li>Each move runs a fresh optimal expenses search, plus a projection at today&apos;s first-year spending for final net worth</li>
+              <li>Bars are sorted by the gap between the down and up results, so the assumption worth arguing about most is at the top</li>
+              <li>The runs happen in a Web Worker, like the heatmap, and restart whenever an input changes</li>
             </ul>
           </section>
 
           <div className="mt-6 p-4 bg-gray-100 border border-gray-200 rounded-lg">
             <p className="text-sm text-gray-900">
-              <strong>Note:</strong> This model makes several simplifying assumptions. It doesn't account for varying interest rates, potential margin calls, or changes in lending policies. Always consult with financial professionals for personalized advice.
+              <strong>Note:</strong> This model makes several simplifying assumptions. It doesn't account for liquidation fees or slippage, or changes in lending policies. Always consult with financial professionals for personalized advice.
             </p>
           </div>
         </div>
@@ -864,88 +3147,149 @@ const TechnicalDetails = ({ inputs, results }) => {
 
 // Main Component
 const BitcoinRetirementCalculator = () => {
-  const [inputs, setInputs] = useState({
-    bitcoinAmount: 3,
-    bitcoinPrice: null,
-    years: 20,
-    interestRate: 14,
-    initialGrowthRate: 60,
-    terminalGrowthRate: 15,
-    inflationRate: 3,
-    maxLTV: 50,
-    useOptimalExpenses: true,
-    annualExpenses: 150000
-  });
+  const [initialScenario] = useState(() => parseScenarioQuery(window.location.search));
+  const [inputs, setInputs] = useState(initialScenario.inputs);
+  const [scenarioErrors, setScenarioErrors] = useState(initialScenario.errors);
+  const [linkCopied, setLinkCopied] = useState(false);
 
-  const [isFetchingPrice, setIsFetchingPrice] = useState(true);
+  const [isFetchingPrice, setIsFetchingPrice] = useState(initialScenario.inputs.bitcoinPrice === null);
   const [priceError, setPriceError] = useState(null);
-  const [optimalExpenses, setOptimalExpenses] = useState(0);
-  const [results, setResults] = useState([]);
+  // Last quote in every currency, so switching currency doesn't need another request
+  const [priceQuote, setPriceQuote] = useState(null);
+  const [priceFeedSettings, setPriceFeedSettings] = useState(() => loadPriceFeedSettings(window.localStorage));
+  // Read by updateBitcoinPrice, so the fetch always uses the latest settings without being recreated
+  const priceFeedSettingsRef = useRef(priceFeedSettings);
+  const [chartView, setChartView] = useState('yearly');
   const [showCalculations, setShowCalculations] = useState(false);
+  const [showReport, setShowReport] = useState(false);
+
+  // Form fields only pass on values that fit INPUT_SCHEMA, but scenarios can also change
+  // programmatically (goal seek, saved scenarios), so the whole state is checked too
+  const inputIssues = useMemo(() => getInputIssues(inputs), [inputs]);
+  const formatters = useMemo(() => createFormatters(inputs.currency), [inputs.currency]);
+  const { formatNumber, formatMoney, formatCompactMoney } = formatters;
+  const isBacktest = inputs.simulationMode === 'backtest';
+  const growthModel = GROWTH_MODELS[inputs.growthModel] || GROWTH_MODELS.linearDecay;
+
+  const growthRates = useMemo(() => generateScenarioGrowthRates(inputs), [inputs]);
 
-  const growthRates = useMemo(() => 
-    generateGrowthRates(inputs.initialGrowthRate, inputs.terminalGrowthRate, inputs.years),
-    [inputs.initialGrowthRate, inputs.terminalGrowthRate, inputs.years]
+  const interestRates = useMemo(() =>
+    generateInterestRates({ ...inputs, years: growthRates.length }),
+    [inputs, growthRates.length]
   );
 
-  const updateBitcoinPrice = async () => {
+  // maxAge 0 skips the saved quote, for when the user asks for a fresh price
+  const updateBitcoinPrice = useCallback(async (maxAge) => {
     setIsFetchingPrice(true);
     setPriceError(null);
     try {
-      const price = await fetchBitcoinPrice();
+      const quote = await getPriceQuote({ settings: priceFeedSettingsRef.current, storage: window.localStorage, maxAge });
+      setPriceQuote(quote);
       setInputs(prev => ({
         ...prev,
-        bitcoinPrice: price
+        bitcoinPrice: quote.prices[prev.currency]
       }));
     } catch (error) {
-      setPriceError(error.message);
+      console.warn('Failed to fetch Bitcoin price:', error);
+      setPriceError(error);
       // Keep the previous price if we had one
-      if (inputs.bitcoinPrice === null) {
-        setInputs(prev => ({
-          ...prev,
-          bitcoinPrice: 100000
-        }));
-      }
+      setInputs(prev => (prev.bitcoinPrice === null ? { ...prev, bitcoinPrice: PLACEHOLDER_BITCOIN_PRICE } : prev));
     } finally {
       setIsFetchingPrice(false);
     }
+  }, []);
+
+  const handlePriceFeedSettingsChange = (settings) => {
+    priceFeedSettingsRef.current = settings;
+    setPriceFeedSettings(settings);
+    storePriceFeedSettings(window.localStorage, settings);
   };
 
+  // Fetches the price once on load. A shared scenario link pins its own starting price.
   useEffect(() => {
-    updateBitcoinPrice();
-  }, []);
+    if (initialScenario.inputs.bitcoinPrice === null) {
+      updateBitcoinPrice();
+    }
+  }, [initialScenario, updateBitcoinPrice]);
 
+  // Keep the address bar in sync so the current scenario can always be shared
   useEffect(() => {
-    // Only run calculations if we have a valid bitcoin price
-    if (inputs.bitcoinPrice !== null) {
-      const baseInputs = {
-        ...inputs,
-        growthRates
-      };
+    if (inputs.bitcoinPrice === null || inputIssues.length > 0) return;
+    const query = serializeScenarioQuery(inputs);
+    window.history.replaceState(null, '', `${window.location.pathname}?${query}${window.location.hash}`);
+  }, [inputs, inputIssues]);
 
-      if (inputs.useOptimalExpenses) {
-        // First calculate optimal expenses
-        const optimal = findOptimalAnnualExpenses(baseInputs);
-        setOptimalExpenses(optimal);
-        
-        // Then use the optimal expenses for projections
-        const newResults = calculateProjections({
-          ...baseInputs,
-          annualExpenses: optimal
-        });
-        setResults(newResults);
-      } else {
-        // Use custom annual expenses for projections
-        const newResults = calculateProjections({
-          ...baseInputs,
-          annualExpenses: inputs.annualExpenses
-        });
-        setResults(newResults);
-      }
+  const copyScenarioLink = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      setLinkCopied(true);
+      setTimeout(() => setLinkCopied(false), 2000);
+    } catch (error) {
+      console.warn('Failed to copy scenario link:', error);
+      window.prompt('Copy this link to share your scenario:', window.location.href);
+    }
+  };
+
+  // The optimal expense search and simulations run in a worker so typing stays responsive;
+  // each change supersedes the calculation still running for the previous inputs
+  const {
+    result: calculation,
+    isRunning: isCalculating,
+    error: calculationError,
+    run: runAnalysis
+  } = useAnalysisWorker();
+
+  useEffect(() => {
+    // Only run calculations once we have a bitcoin price and every input is in range
+    if (inputs.bitcoinPrice !== null && inputIssues.length === 0) {
+      runAnalysis('projection', inputs);
     }
-  }, [inputs.bitcoinPrice, inputs.bitcoinAmount, inputs.years, inputs.interestRate, 
-      inputs.initialGrowthRate, inputs.terminalGrowthRate, inputs.inflationRate,
-      inputs.maxLTV, inputs.useOptimalExpenses, inputs.annualExpenses, growthRates]);
+  }, [inputs, inputIssues, runAnalysis]);
+
+  const results = useMemo(() => calculation?.results ?? [], [calculation]);
+  const monthlyResults = calculation?.monthlyResults ?? null;
+  const monteCarlo = calculation?.monteCarlo ?? null;
+  const backtests = calculation?.backtests ?? null;
+  const strategyComparison = calculation?.strategyComparison ?? null;
+  const optimalExpenses = calculation?.optimalExpenses ?? 0;
+
+  // Net worth of every backtest start year, indexed by year of the plan
+  const backtestChartData = useMemo(() => {
+    if (!backtests) return [];
+    return Array.from({ length: Math.max(...backtests.map(b => b.years)) }, (_, i) => {
+      const point = { year: i + 1 };
+      backtests.forEach(b => {
+        if (b.projections[i]) point[b.startYear] = b.projections[i].netWorth;
+      });
+      return point;
+    });
+  }, [backtests]);
+
+  const annualExpensesUsed = calculation?.annualExpenses ?? getFirstYearExpenses(inputs);
+  const liquidationEvents = useMemo(() => results.filter(row => row.liquidationType), [results]);
+  const showMonthlyChart = chartView === 'monthly' && monthlyResults !== null;
+  const chartEvents = useMemo(() => (
+    showMonthlyChart ? monthlyResults.filter(row => row.liquidationType) : liquidationEvents
+  ), [showMonthlyChart, monthlyResults, liquidationEvents]);
+  const btcLost = liquidationEvents.length > 0 ? results[results.length - 1].totalBtcSold : 0;
+
+  // Merge Monte Carlo percentile bands into the chart rows as [P10, P90] ranges
+  const chartData = useMemo(() => {
+    if (!monteCarlo) return results;
+    return results.map((row, i) => {
+      const band = monteCarlo.bands[i];
+      if (!band) return row;
+      return {
+        ...row,
+        portfolioBand: [band.portfolioValue.p10, band.portfolioValue.p90],
+        portfolioMedian: band.portfolioValue.p50,
+        debtBand: [band.totalDebt.p10, band.totalDebt.p90],
+        debtMedian: band.totalDebt.p50,
+        ltvBand: [band.ltvRatio.p10, band.ltvRatio.p90],
+        ltvMedian: band.ltvRatio.p50
+      };
+    });
+  }, [results, monteCarlo]);
 
   const handleInputChange = (field) => (value) => {
     setInputs(prev => ({
@@ -954,7 +3298,46 @@ const BitcoinRetirementCalculator = () => {
     }));
   };
 
+  // Switches to the fetched bitcoin price in the new currency; amounts typed by hand keep
+  // their numbers
+  const handleCurrencyChange = (currency) => {
+    setInputs(prev => ({
+      ...prev,
+      currency,
+      bitcoinPrice: priceQuote ? priceQuote.prices[currency] : prev.bitcoinPrice
+    }));
+  };
+
+  const handleGrowthRateOverride = (year, rate) => {
+    setInputs(prev => {
+      const growthRateOverrides = { ...prev.growthRateOverrides };
+      if (rate === undefined) {
+        delete growthRateOverrides[year];
+      } else {
+        growthRateOverrides[year] = rate;
+      }
+      return { ...prev, growthRateOverrides };
+    });
+  };
+
+  if (showReport) {
+    return (
+      <FormattersContext.Provider value={formatters}>
+      <div className="w-full p-4 print:p-0">
+        <PrintableReport
+          inputs={inputs}
+          results={results}
+          growthRates={growthRates}
+          optimalExpenses={optimalExpenses}
+          onClose={() => setShowReport(false)}
+        />
+      </div>
+      </FormattersContext.Provider>
+    );
+  }
+
   return (
+    <FormattersContext.Provider value={formatters}>
     <div className="flex flex-col items-center w-full max-w-6xl mx-auto p-4">
       <div className="bg-white rounded-lg shadow-lg w-full mx-auto max-w-[95vw] sm:max-w-[90vw] md:max-w-[85vw]">
         <div className="p-4 sm:p-6 md:p-8">
@@ -972,6 +3355,50 @@ const BitcoinRetirementCalculator = () => {
               Input your Bitcoin holdings and parameters below. The calculator models Bitcoin's price growth over time and can optimize your annual expenses to maintain a safe LTV ratio that you specify. View the results in the chart and table to see your potential wealth growth and sustainable spending level.
             </p>
           </div>
+
+          <div className="flex flex-col sm:flex-row sm:items-center justify-end gap-2 mb-4">
+            <button
+              onClick={() => {
+                setShowReport(true);
+                window.scrollTo(0, 0);
+              }}
+              disabled={results.length === 0}
+              className="inline-flex items-center justify-center px-3 py-2 border border-gray-300 shadow-sm text-sm leading-4 font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+            >
+              Printable Report
+            </button>
+            <button
+              onClick={copyScenarioLink}
+              className="inline-flex items-center justify-center px-3 py-2 border border-gray-300 shadow-sm text-sm leading-4 font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+            >
+              {linkCopied ? 'Link Copied!' : 'Copy Link'}
+            </button>
+          </div>
+
+          {scenarioErrors.length > 0 && (
+            <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-3 sm:p-4 mb-4 sm:mb-6 text-sm text-gray-800">
+              <div className="flex items-start justify-between gap-4">
+                <div>
+                  <strong>Some values in this link were invalid and have been reset to their defaults:</strong>
+                  <ul className="list-disc pl-5 mt-1">
+                    {scenarioErrors.map(error => (
+                      <li key={error}>{error}</li>
+                    ))}
+                  </ul>
+                </div>
+                <button
+                  onClick={() => setScenarioErrors([])}
+                  className="text-gray-400 hover:text-gray-500"
+                  aria-label="Dismiss"
+                >
+                  <svg className="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                  </svg>
+                </button>
+              </div>
+            </div>
+          )}
+
           {/* Asset Inputs */}
           <div className="mb-8">
             <h3 className="text-lg font-semibold text-gray-900 mb-2">Your Bitcoin</h3>
@@ -982,18 +3409,76 @@ const BitcoinRetirementCalculator = () => {
                   label="Bitcoin Amount"
                   value={inputs.bitcoinAmount}
                   onChange={handleInputChange('bitcoinAmount')}
+                  schema={INPUT_SCHEMA.bitcoinAmount}
                   initialValue={inputs.bitcoinAmount}
                   tooltip="The number of bitcoins you own or plan to acquire. This is your core retirement asset."
                 />
-                <InputField 
-                  label="Starting Bitcoin Price (USD)"
-                  value={inputs.bitcoinPrice}
-                  onChange={handleInputChange('bitcoinPrice')}
-                  initialValue={inputs.bitcoinPrice}
-                  tooltip={`Current or expected bitcoin price in USD. This is your starting point for future price projections. ${priceError ? '\n' + priceError : ''}`}
-                  isLoading={isFetchingPrice}
-                  disabled={isFetchingPrice}
-                />
+                <div>
+                  <InputField 
+                    label={`Starting Bitcoin Price (${inputs.currency})`}
+                    value={inputs.bitcoinPrice}
+                    onChange={handleInputChange('bitcoinPrice')}
+                    schema={INPUT_SCHEMA.bitcoinPrice}
+                    initialValue={inputs.bitcoinPrice}
+                    tooltip={`Current or expected bitcoin price in ${inputs.currency}. This is your starting point for future price projections.`}
+                    isLoading={isFetchingPrice}
+                    disabled={isFetchingPrice}
+                  />
+                  <PriceFeedStatus
+                    quote={priceQuote}
+                    error={priceError}
+                    isFetching={isFetchingPrice}
+                    currency={inputs.currency}
+                    bitcoinPrice={inputs.bitcoinPrice}
+                    settings={priceFeedSettings}
+                    onRefresh={() => updateBitcoinPrice(0)}
+                    onSettingsChange={handlePriceFeedSettingsChange}
+                  />
+                </div>
+              </div>
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4 md:gap-6 mt-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="currency">
+                    Currency
+                  </label>
+                  <select
+                    id="currency"
+                    value={inputs.currency}
+                    onChange={(e) => handleCurrencyChange(e.target.value)}
+                    className="w-full px-3 py-2 text-base sm:text-lg border rounded-lg shadow-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-gray-900"
+                  >
+                    {Object.entries(CURRENCIES).map(([code, { label }]) => (
+                      <option key={code} value={code}>{code} – {label}</option>
+                    ))}
+                  </select>
+                  <p className="text-xs text-gray-500 mt-1">Every amount is in this currency and written the local way. Switching picks up the bitcoin price in the new currency; amounts you typed keep their numbers.</p>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="loanCurrency">
+                    Loans Taken In
+                  </label>
+                  <select
+                    id="loanCurrency"
+                    value={inputs.loanCurrency}
+                    onChange={(e) => setInputs(prev => ({ ...prev, loanCurrency: e.target.value }))}
+                    className="w-full px-3 py-2 text-base sm:text-lg border rounded-lg shadow-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-gray-900"
+                  >
+                    {Object.entries(CURRENCIES).map(([code, { label }]) => (
+                      <option key={code} value={code}>{code} – {label}</option>
+                    ))}
+                  </select>
+                  <p className="text-xs text-gray-500 mt-1">Most bitcoin lenders lend in US dollars</p>
+                </div>
+                {inputs.loanCurrency !== inputs.currency && (
+                  <InputField 
+                    label={`FX Drift (%/yr, ${inputs.loanCurrency} vs ${inputs.currency})`}
+                    value={inputs.fxDrift}
+                    onChange={handleInputChange('fxDrift')}
+                    schema={INPUT_SCHEMA.fxDrift}
+                    initialValue={inputs.fxDrift}
+                    tooltip={`How much ${inputs.loanCurrency} gains against ${inputs.currency} each year. The debt is owed in ${inputs.loanCurrency}, so a positive drift makes it grow in ${inputs.currency} on top of interest and a negative drift shrinks it.`}
+                  />
+                )}
               </div>
             </div>
           </div>
@@ -1008,17 +3493,472 @@ const BitcoinRetirementCalculator = () => {
                   label="Years to Simulate"
                   value={inputs.years}
                   onChange={handleInputChange('years')}
+                  schema={INPUT_SCHEMA.years}
                   initialValue={inputs.years}
                   tooltip="Number of years to project into the future"
                 />
+                {inputs.loanTranches.length === 0 && (
+                  <InputField 
+                    label="Interest Rate (%)"
+                    value={inputs.interestRate}
+                    onChange={handleInputChange('interestRate')}
+                    schema={INPUT_SCHEMA.interestRate}
+                    initialValue={inputs.interestRate}
+                    tooltip="Annual interest rate on your bitcoin-backed loans. Usually ranges from 5-15% depending on the provider."
+                  />
+                )}
+              </div>
+
+              <div className="mt-6 border-t border-gray-200 pt-4">
+                <span className="block text-sm font-medium text-gray-700 mb-2">Lenders</span>
+                <LoanTranchesEditor
+                  tranches={inputs.loanTranches}
+                  allocation={inputs.loanAllocation}
+                  interestRate={inputs.interestRate}
+                  onChange={handleInputChange('loanTranches')}
+                  onAllocationChange={handleInputChange('loanAllocation')}
+                />
+              </div>
+
+              <div className="mt-6 border-t border-gray-200 pt-4">
+                <label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="interestMethod">
+                  Interest Handling
+                </label>
+                <select
+                  id="interestMethod"
+                  value={inputs.interestMethod}
+                  onChange={(e) => setInputs(prev => ({ ...prev, interestMethod: e.target.value }))}
+                  className="w-full md:w-1/3 px-3 py-2 text-base sm:text-lg border rounded-lg shadow-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-gray-900"
+                >
+                  {Object.entries(INTEREST_METHODS).map(([key, method]) => (
+                    <option key={key} value={key}>{method.label}</option>
+                  ))}
+                </select>
+                <p className="text-xs text-gray-500 mt-1">{INTEREST_METHODS[inputs.interestMethod].description}</p>
+              </div>
+
+              <div className="mt-6 border-t border-gray-200 pt-4">
+                <label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="interestRateMode">
+                  Interest Rate Path
+                </label>
+                <select
+                  id="interestRateMode"
+                  value={inputs.interestRateMode}
+                  onChange={(e) => setInputs(prev => ({ ...prev, interestRateMode: e.target.value }))}
+                  className="w-full md:w-1/3 px-3 py-2 text-base sm:text-lg border rounded-lg shadow-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-gray-900"
+                >
+                  {Object.entries(INTEREST_RATE_MODES).map(([key, mode]) => (
+                    <option key={key} value={key}>{mode.label}</option>
+                  ))}
+                </select>
+                <p className="text-xs text-gray-500 mt-1">
+                  {INTEREST_RATE_MODES[inputs.interestRateMode].description}
+                  {inputs.loanTranches.length > 0 && inputs.interestRateMode !== 'fixed' &&
+                    '. Each lender\'s APR moves up or down by as much as this rate has moved since year 1.'}
+                </p>
+                {inputs.interestRateMode === 'stepChange' && (
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-4 md:gap-6 mt-4">
+                    <InputField 
+                      label="Refinance After Year"
+                      value={inputs.refinanceYear}
+                      onChange={handleInputChange('refinanceYear')}
+                      schema={INPUT_SCHEMA.refinanceYear}
+                      initialValue={inputs.refinanceYear}
+                      tooltip="The last year at the current rate. The new rate applies from the following year onward."
+                    />
+                    <InputField 
+                      label="New Rate (%)"
+                      value={inputs.refinanceRate}
+                      onChange={handleInputChange('refinanceRate')}
+                      schema={INPUT_SCHEMA.refinanceRate}
+                      initialValue={inputs.refinanceRate}
+                      tooltip="Interest rate on all outstanding and new debt after refinancing."
+                    />
+                  </div>
+                )}
+                {inputs.interestRateMode === 'floating' && (
+                  <div className="grid grid-cols-1 md:grid-cols-3 gap-4 md:gap-6 mt-4">
+                    <InputField 
+                      label="Starting Base Rate (%)"
+                      value={inputs.baseRate}
+                      onChange={handleInputChange('baseRate')}
+                      schema={INPUT_SCHEMA.baseRate}
+                      initialValue={inputs.baseRate}
+                      tooltip="Today's benchmark rate the loan floats over, such as SOFR or a central bank rate."
+                    />
+                    <InputField 
+                      label="Long-Run Base Rate (%)"
+                      value={inputs.baseRateLongRun}
+                      onChange={handleInputChange('baseRateLongRun')}
+                      schema={INPUT_SCHEMA.baseRateLongRun}
+                      initialValue={inputs.baseRateLongRun}
+                      tooltip="Level the base rate drifts back toward over time."
+                    />
+                    <InputField 
+                      label="Spread (%)"
+                      value={inputs.rateSpread}
+                      onChange={handleInputChange('rateSpread')}
+                      schema={INPUT_SCHEMA.rateSpread}
+                      initialValue={inputs.rateSpread}
+                      tooltip="Fixed margin your lender charges over the base rate."
+                    />
+                    <InputField 
+                      label="Reversion Speed (%/yr)"
+                      value={inputs.baseRateReversion}
+                      onChange={handleInputChange('baseRateReversion')}
+                      schema={INPUT_SCHEMA.baseRateReversion}
+                      initialValue={inputs.baseRateReversion}
+                      tooltip="Share of the gap to the long-run rate that closes each year."
+                    />
+                    <InputField 
+                      label="Base Rate Volatility (pts)"
+                      value={inputs.baseRateVolatility}
+                      onChange={handleInputChange('baseRateVolatility')}
+                      schema={INPUT_SCHEMA.baseRateVolatility}
+                      initialValue={inputs.baseRateVolatility}
+                      tooltip="Standard deviation of the yearly random move in the base rate, in percentage points. Uses the Random Seed so results are repeatable; set to 0 for a smooth path."
+                    />
+                  </div>
+                )}
+                {inputs.interestRateMode !== 'fixed' && (
+                  <InterestRatePath
+                    interestRates={interestRates}
+                    schedule={inputs.interestRateSchedule}
+                    onScheduleChange={inputs.interestRateMode === 'schedule' ? handleInputChange('interestRateSchedule') : undefined}
+                  />
+                )}
+              </div>
+
+              <div className="mt-6 border-t border-gray-200 pt-4">
+                <label className="flex items-center gap-3 cursor-pointer touch-manipulation">
+                  <input
+                    type="checkbox"
+                    checked={inputs.marginCallsEnabled}
+                    onChange={(e) => setInputs(prev => ({ ...prev, marginCallsEnabled: e.target.checked }))}
+                    className="w-4 h-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                  />
+                  <div className="flex-grow">
+                    <span className="text-sm font-medium text-gray-900">Model Margin Calls & Liquidations</span>
+                    <p className="text-xs text-gray-500 mt-1">Sell BTC to repay debt whenever LTV crosses your lender&apos;s thresholds</p>
+                  </div>
+                </label>
+                {inputs.marginCallsEnabled && (
+                  <div className="grid grid-cols-1 md:grid-cols-3 gap-4 md:gap-6 mt-4">
+                    <InputField 
+                      label="Margin Call LTV (%)"
+                      value={inputs.marginCallLTV}
+                      onChange={handleInputChange('marginCallLTV')}
+                      schema={INPUT_SCHEMA.marginCallLTV}
+                      initialValue={inputs.marginCallLTV}
+                      tooltip="LTV at which your lender issues a margin call. With no cash to post, BTC is sold to pay down the loan."
+                    />
+                    <InputField 
+                      label="Liquidation LTV (%)"
+                      value={inputs.liquidationLTV}
+                      onChange={handleInputChange('liquidationLTV')}
+                      schema={INPUT_SCHEMA.liquidationLTV}
+                      initialValue={inputs.liquidationLTV}
+                      tooltip="LTV at which your lender force-sells your collateral. Commonly 80-90% depending on the provider."
+                    />
+                    <InputField 
+                      label="Target LTV After Sale (%)"
+                      value={inputs.liquidationTargetLTV}
+                      onChange={handleInputChange('liquidationTargetLTV')}
+                      schema={INPUT_SCHEMA.liquidationTargetLTV}
+                      initialValue={inputs.liquidationTargetLTV}
+                      tooltip="LTV the loan is brought back down to after a margin call or liquidation by selling BTC and repaying debt."
+                    />
+                  </div>
+                )}
+              </div>
+
+              <div className="mt-6 border-t border-gray-200 pt-4">
+                <span className="block text-sm font-medium text-gray-700 mb-2">Time Step</span>
+                <div className="flex flex-col sm:flex-row gap-3 sm:gap-6">
+                  <label className="flex items-center gap-3 cursor-pointer touch-manipulation">
+                    <input
+                      type="radio"
+                      checked={inputs.timeResolution === 'yearly'}
+                      onChange={() => setInputs(prev => ({ ...prev, timeResolution: 'yearly' }))}
+                      className="w-4 h-4 border-gray-300 text-blue-600 focus:ring-blue-500"
+                      name="timeResolution"
+                    />
+                    <span className="text-sm font-medium text-gray-900">Yearly</span>
+                  </label>
+                  <label className="flex items-center gap-3 cursor-pointer touch-manipulation">
+                    <input
+                      type="radio"
+                      checked={inputs.timeResolution === 'monthly'}
+                      onChange={() => setInputs(prev => ({ ...prev, timeResolution: 'monthly' }))}
+                      className="w-4 h-4 border-gray-300 text-blue-600 focus:ring-blue-500"
+                      name="timeResolution"
+                    />
+                    <span className="text-sm font-medium text-gray-900">Monthly</span>
+                  </label>
+                </div>
+                <p className="text-xs text-gray-500 mt-2">
+                  {inputs.timeResolution === 'monthly'
+                    ? 'Borrows, charges interest and checks LTV every month, so drops within a year can trigger margin calls'
+                    : 'Borrows a full year of expenses at once and checks LTV at each year\'s starting price'}
+                </p>
+                {inputs.timeResolution === 'monthly' && (
+                  <div className="grid grid-cols-1 md:grid-cols-3 gap-4 md:gap-6 mt-4">
+                    <InputField 
+                      label="Intra-Year Volatility (%)"
+                      value={inputs.intraYearVolatility}
+                      onChange={handleInputChange('intraYearVolatility')}
+                      schema={INPUT_SCHEMA.intraYearVolatility}
+                      initialValue={inputs.intraYearVolatility}
+                      tooltip="How much the price swings within each year while still ending the year at the growth schedule's price. 0 gives a smooth path; 60-80% is typical for Bitcoin. Uses the Random Seed."
+                    />
+                  </div>
+                )}
+              </div>
+
+              <div className="mt-6 border-t border-gray-200 pt-4">
+                <span className="block text-sm font-medium text-gray-700 mb-2">Projection Mode</span>
+                <div className="flex flex-col sm:flex-row gap-3 sm:gap-6">
+                  <label className="flex items-center gap-3 cursor-pointer touch-manipulation">
+                    <input
+                      type="radio"
+                      checked={inputs.simulationMode === 'deterministic'}
+                      onChange={() => setInputs(prev => ({ ...prev, simulationMode: 'deterministic' }))}
+                      className="w-4 h-4 border-gray-300 text-blue-600 focus:ring-blue-500"
+                      name="simulationMode"
+                    />
+                    <span className="text-sm font-medium text-gray-900">Single Path</span>
+                  </label>
+                  <label className="flex items-center gap-3 cursor-pointer touch-manipulation">
+                    <input
+                      type="radio"
+                      checked={inputs.simulationMode === 'monteCarlo'}
+                      onChange={() => setInputs(prev => ({ ...prev, simulationMode: 'monteCarlo' }))}
+                      className="w-4 h-4 border-gray-300 text-blue-600 focus:ring-blue-500"
+                      name="simulationMode"
+                    />
+                    <span className="text-sm font-medium text-gray-900">Monte Carlo</span>
+                  </label>
+                  <label className="flex items-center gap-3 cursor-pointer touch-manipulation">
+                    <input
+                      type="radio"
+                      checked={inputs.simulationMode === 'backtest'}
+                      onChange={() => setInputs(prev => ({ ...prev, simulationMode: 'backtest' }))}
+                      className="w-4 h-4 border-gray-300 text-blue-600 focus:ring-blue-500"
+                      name="simulationMode"
+                    />
+                    <span className="text-sm font-medium text-gray-900">Historical Backtest</span>
+                  </label>
+                </div>
+                {isBacktest && (
+                  <div className="mt-4">
+                    <label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="backtestStartYear">
+                      Start Year
+                    </label>
+                    <select
+                      id="backtestStartYear"
+                      value={inputs.backtestStartYear}
+                      onChange={(e) => setInputs(prev => ({ ...prev, backtestStartYear: Number(e.target.value) }))}
+                      className="w-full md:w-1/3 px-3 py-2 text-base sm:text-lg border rounded-lg shadow-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-gray-900"
+                    >
+                      {getBacktestStartYears().map(year => (
+                        <option key={year} value={year}>{year}</option>
+                      ))}
+                    </select>
+                    <p className="text-xs text-gray-500 mt-2">
+                      Replays Bitcoin&apos;s real year-end returns from {inputs.backtestStartYear} through {growthRates[growthRates.length - 1]?.calendarYear} ({growthRates.length} {growthRates.length === 1 ? 'year' : 'years'}) starting from your current price and holdings
+                    </p>
+                  </div>
+                )}
+                {inputs.simulationMode === 'monteCarlo' && (
+                  <div className="grid grid-cols-1 md:grid-cols-3 gap-4 md:gap-6 mt-4">
+                    <InputField 
+                      label="Volatility (%)"
+                      value={inputs.volatility}
+                      onChange={handleInputChange('volatility')}
+                      schema={INPUT_SCHEMA.volatility}
+                      initialValue={inputs.volatility}
+                      tooltip="Annualized volatility of Bitcoin's yearly returns around the growth schedule. Historically Bitcoin has ranged from about 50-80%."
+                    />
+                    <InputField 
+                      label="Number of Runs"
+                      value={inputs.monteCarloRuns}
+                      onChange={handleInputChange('monteCarloRuns')}
+                      schema={INPUT_SCHEMA.monteCarloRuns}
+                      initialValue={inputs.monteCarloRuns}
+                      tooltip="How many randomized price paths to simulate. More runs give smoother percentile bands but take longer."
+                    />
+                    <InputField 
+                      label="Random Seed"
+                      value={inputs.monteCarloSeed}
+                      onChange={handleInputChange('monteCarloSeed')}
+                      schema={INPUT_SCHEMA.monteCarloSeed}
+                      initialValue={inputs.monteCarloSeed}
+                      tooltip="Seed for the random number generator. The same seed always produces the same set of price paths."
+                    />
+                  </div>
+                )}
+              </div>
+            </div>
+          </div>
+
+          {/* Withdrawal Strategy & Taxes */}
+          <div className="mb-8">
+            <h3 className="text-lg font-semibold text-gray-900 mb-2">Withdrawal Strategy & Taxes</h3>
+            <p className="text-sm text-gray-600 mb-4">Choose whether expenses are borrowed, raised by selling BTC, or a mix of both</p>
+            <div className="bg-white rounded-lg p-6 border border-gray-200 shadow-sm">
+              <div className="flex flex-col sm:flex-row gap-3 sm:gap-6">
+                {Object.entries(WITHDRAWAL_STRATEGIES).map(([key, label]) => (
+                  <label key={key} className="flex items-center gap-3 cursor-pointer touch-manipulation">
+                    <input
+                      type="radio"
+                      checked={inputs.withdrawalStrategy === key}
+                      onChange={() => setInputs(prev => ({ ...prev, withdrawalStrategy: key }))}
+                      className="w-4 h-4 border-gray-300 text-blue-600 focus:ring-blue-500"
+                      name="withdrawalStrategy"
+                    />
+                    <span className="text-sm font-medium text-gray-900">{label}</span>
+                  </label>
+                ))}
+              </div>
+              {inputs.withdrawalStrategy === 'hybrid' && (
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4 md:gap-6 mt-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="hybridRule">
+                      Hybrid Rule
+                    </label>
+                    <select
+                      id="hybridRule"
+                      value={inputs.hybridRule}
+                      onChange={(e) => setInputs(prev => ({ ...prev, hybridRule: e.target.value }))}
+                      className="w-full px-3 py-2 text-base sm:text-lg border rounded-lg shadow-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-gray-900"
+                    >
+                      <option value="ltvThreshold">Sell above an LTV</option>
+                      <option value="borrowShare">Borrow a fixed share</option>
+                    </select>
+                  </div>
+                  {inputs.hybridRule === 'borrowShare' ? (
+                    <InputField 
+                      key="borrowShare"
+                      label="Share Borrowed (%)"
+                      value={inputs.borrowShare}
+                      onChange={handleInputChange('borrowShare')}
+                      schema={INPUT_SCHEMA.borrowShare}
+                      initialValue={inputs.borrowShare}
+                      tooltip="Percentage of each year's expenses that is borrowed. The rest is raised by selling BTC."
+                    />
+                  ) : (
+                    <InputField 
+                      key="sellAboveLTV"
+                      label="Sell Above LTV (%)"
+                      value={inputs.sellAboveLTV}
+                      onChange={handleInputChange('sellAboveLTV')}
+                      schema={INPUT_SCHEMA.sellAboveLTV}
+                      initialValue={inputs.sellAboveLTV}
+                      tooltip="Expenses are borrowed unless borrowing them would take LTV above this level, in which case BTC is sold instead."
+                    />
+                  )}
+                </div>
+              )}
+
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4 md:gap-6 mt-6 border-t border-gray-200 pt-4">
                 <InputField 
-                  label="Interest Rate (%)"
-                  value={inputs.interestRate}
-                  onChange={handleInputChange('interestRate')}
-                  initialValue={inputs.interestRate}
-                  tooltip="Annual interest rate on your bitcoin-backed loans. Usually ranges from 5-15% depending on the provider."
+                  label={`Cost Basis per BTC (${inputs.currency})`}
+                  value={inputs.costBasis}
+                  onChange={handleInputChange('costBasis')}
+                  schema={INPUT_SCHEMA.costBasis}
+                  initialValue={inputs.costBasis}
+                  tooltip="Average price you paid for the Bitcoin you hold today. Gains are measured against this when BTC is sold."
                 />
+                <label className="flex items-center gap-3 cursor-pointer touch-manipulation md:mt-6">
+                  <input
+                    type="checkbox"
+                    checked={inputs.holdingsLongTerm}
+                    onChange={(e) => setInputs(prev => ({ ...prev, holdingsLongTerm: e.target.checked }))}
+                    className="w-4 h-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                  />
+                  <div className="flex-grow">
+                    <span className="text-sm font-medium text-gray-900">Held Over a Year</span>
+                    <p className="text-xs text-gray-500 mt-1">Sales qualify for long-term rates from the start; otherwise only after year 1</p>
+                  </div>
+                </label>
+              </div>
+
+              <div className="mt-6 border-t border-gray-200 pt-4">
+                <label className="flex items-center gap-3 cursor-pointer touch-manipulation">
+                  <input
+                    type="checkbox"
+                    checked={inputs.taxEnabled}
+                    onChange={(e) => setInputs(prev => ({ ...prev, taxEnabled: e.target.checked }))}
+                    className="w-4 h-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                  />
+                  <div className="flex-grow">
+                    <span className="text-sm font-medium text-gray-900">Model Capital Gains Tax</span>
+                    <p className="text-xs text-gray-500 mt-1">Tax every BTC sale at US federal short- or long-term rates, with brackets indexed to inflation</p>
+                  </div>
+                </label>
+                {inputs.taxEnabled && (
+                  <div className="grid grid-cols-1 md:grid-cols-3 gap-4 md:gap-6 mt-4">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="taxFilingStatus">
+                        Filing Status
+                      </label>
+                      <select
+                        id="taxFilingStatus"
+                        value={inputs.taxFilingStatus}
+                        onChange={(e) => setInputs(prev => ({ ...prev, taxFilingStatus: e.target.value }))}
+                        className="w-full px-3 py-2 text-base sm:text-lg border rounded-lg shadow-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-gray-900"
+                      >
+                        {Object.entries(TAX_BRACKETS).map(([key, brackets]) => (
+                          <option key={key} value={key}>{brackets.label}</option>
+                        ))}
+                      </select>
+                    </div>
+                    <InputField 
+                      label="State Tax Rate (%)"
+                      value={inputs.stateTaxRate}
+                      onChange={handleInputChange('stateTaxRate')}
+                      schema={INPUT_SCHEMA.stateTaxRate}
+                      initialValue={inputs.stateTaxRate}
+                      tooltip="Flat state or local tax on capital gains, added to the federal tax. Use 0 for states with no income tax."
+                    />
+                  </div>
+                )}
+              </div>
+            </div>
+          </div>
+
+          {/* End of Plan */}
+          <div className="mb-8">
+            <h3 className="text-lg font-semibold text-gray-900 mb-2">End of Plan</h3>
+            <p className="text-sm text-gray-600 mb-4">Choose what happens to the debt still owed when the plan ends</p>
+            <div className="bg-white rounded-lg p-6 border border-gray-200 shadow-sm">
+              <div className="flex flex-col sm:flex-row gap-3 sm:gap-6">
+                {Object.entries(END_OF_PLAN_OPTIONS).map(([key, option]) => (
+                  <label key={key} className="flex items-center gap-3 cursor-pointer touch-manipulation">
+                    <input
+                      type="radio"
+                      checked={inputs.endOfPlanDebt === key}
+                      onChange={() => setInputs(prev => ({ ...prev, endOfPlanDebt: key }))}
+                      className="w-4 h-4 border-gray-300 text-blue-600 focus:ring-blue-500"
+                      name="endOfPlanDebt"
+                    />
+                    <span className="text-sm font-medium text-gray-900">{option.label}</span>
+                  </label>
+                ))}
               </div>
+              <p className="text-xs text-gray-500 mt-2">{END_OF_PLAN_OPTIONS[inputs.endOfPlanDebt].description}</p>
+              {inputs.endOfPlanDebt === 'refinance' && (
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4 md:gap-6 mt-4">
+                  <InputField 
+                    label="Refinance Rate (%)"
+                    value={inputs.estateRefinanceRate}
+                    onChange={handleInputChange('estateRefinanceRate')}
+                    schema={INPUT_SCHEMA.estateRefinanceRate}
+                    initialValue={inputs.estateRefinanceRate}
+                    tooltip="Interest rate on the loan your heirs take over, used to show what carrying the debt would cost them each year."
+                  />
+                </div>
+              )}
             </div>
           </div>
 
@@ -1027,25 +3967,39 @@ const BitcoinRetirementCalculator = () => {
             <h3 className="text-lg font-semibold text-gray-900 mb-2">Growth & Economic Assumptions</h3>
             <p className="text-sm text-gray-600 mb-4">Set your expectations for Bitcoin's growth and economic factors</p>
             <div className="bg-white rounded-lg p-6 border border-gray-200 shadow-sm">
+              <div className="mb-4">
+                <label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="growthModel">
+                  Growth Model
+                </label>
+                <select
+                  id="growthModel"
+                  value={inputs.growthModel}
+                  onChange={(e) => setInputs(prev => ({ ...prev, growthModel: e.target.value }))}
+                  className="w-full md:w-1/3 px-3 py-2 text-base sm:text-lg border rounded-lg shadow-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-gray-900"
+                >
+                  {Object.entries(GROWTH_MODELS).map(([key, model]) => (
+                    <option key={key} value={key}>{model.label}</option>
+                  ))}
+                </select>
+                <p className="text-xs text-gray-500 mt-1">{growthModel.description}</p>
+              </div>
               <div className="grid grid-cols-1 md:grid-cols-3 gap-4 md:gap-6">
-                <InputField 
-                  label="Initial Growth Rate (%)"
-                  value={inputs.initialGrowthRate}
-                  onChange={handleInputChange('initialGrowthRate')}
-                  initialValue={inputs.initialGrowthRate}
-                  tooltip="Expected annual growth rate for the first year. This will gradually decrease to the final rate."
-                />
-                <InputField 
-                  label="Final Growth Rate (%)"
-                  value={inputs.terminalGrowthRate}
-                  onChange={handleInputChange('terminalGrowthRate')}
-                  initialValue={inputs.terminalGrowthRate}
-                  tooltip="Expected long-term annual growth rate that Bitcoin's price will stabilize at"
-                />
+                {growthModel.params.map(param => (
+                  <InputField 
+                    key={`${inputs.growthModel}-${param.key}`}
+                    label={param.label}
+                    value={inputs[param.key]}
+                    onChange={handleInputChange(param.key)}
+                    schema={INPUT_SCHEMA[param.key]}
+                    initialValue={inputs[param.key]}
+                    tooltip={param.tooltip}
+                  />
+                ))}
                 <InputField 
                   label="Inflation Rate (%)"
                   value={inputs.inflationRate}
                   onChange={handleInputChange('inflationRate')}
+                  schema={INPUT_SCHEMA.inflationRate}
                   initialValue={inputs.inflationRate}
                   tooltip="Annual rate at which your expenses will increase due to inflation"
                 />
@@ -1078,16 +4032,23 @@ const BitcoinRetirementCalculator = () => {
                         label="Max LTV Ratio (%)"
                         value={inputs.maxLTV}
                         onChange={handleInputChange('maxLTV')}
+                        schema={INPUT_SCHEMA.maxLTV}
                         initialValue={inputs.maxLTV}
                         tooltip="Maximum Loan-to-Value ratio you're comfortable with. Higher ratios mean more risk but allow higher spending. Recommended to stay at or below 50%."
                       />
                       <div className="bg-blue-50 border border-blue-100 rounded-lg p-3">
                         <div className="flex items-center justify-between">
                           <span className="text-sm font-medium text-gray-900">Optimal Annual Expenses:</span>
-                          <span className="text-sm font-semibold text-blue-600">${formatNumber(optimalExpenses)}</span>
+                          <span className={`text-sm font-semibold text-blue-600 ${isCalculating ? 'opacity-50' : ''}`}>
+                            {isCalculating ? 'Calculating…' : formatMoney(optimalExpenses)}
+                          </span>
                         </div>
                         <p className="text-xs text-gray-600 mt-1">
-                          This is the maximum amount you can safely spend each year while keeping your LTV ratio under {inputs.maxLTV}%
+                          {inputs.expensePhases.length === 0
+                            ? `This is the maximum amount you can safely spend each year while keeping your LTV ratio under ${inputs.maxLTV}%`
+                            : getFirstYearExpenses(inputs) > 0
+                              ? `This is the most you can safely spend in year ${getFirstSpendingYear(inputs)} while keeping your LTV ratio under ${inputs.maxLTV}%, with every spending phase scaled by the same ${(optimalExpenses / getFirstYearExpenses(inputs)).toFixed(2)}×`
+                              : 'None of your spending phases spends anything, so there is nothing to scale'}
                         </p>
                       </div>
                     </div>
@@ -1108,48 +4069,179 @@ const BitcoinRetirementCalculator = () => {
                       <p className="text-xs text-gray-500 mt-1">Enter your target annual spending amount</p>
                     </div>
                   </label>
-                  {!inputs.useOptimalExpenses && (
+                  {!inputs.useOptimalExpenses && inputs.expensePhases.length === 0 && (
                     <div className="mt-3 ml-7">
                       <InputField 
-                        label="Annual Expenses (USD)"
+                        label={`Annual Expenses (${inputs.currency})`}
                         value={inputs.annualExpenses}
                         onChange={handleInputChange('annualExpenses')}
+                        schema={INPUT_SCHEMA.annualExpenses}
                         initialValue={inputs.annualExpenses}
                         tooltip="How much you need each year for living expenses. Think rent/mortgage, food, utilities, etc."
                       />
                     </div>
                   )}
+                  {!inputs.useOptimalExpenses && inputs.expensePhases.length > 0 && (
+                    <p className="mt-3 ml-7 text-xs text-gray-500">Spending follows the phases below as entered.</p>
+                  )}
+                </div>
+
+                <div className="border-t border-gray-200 pt-4">
+                  <span className="block text-sm font-medium text-gray-900 mb-2">Spending Phases</span>
+                  <ExpensePhasesEditor
+                    phases={inputs.expensePhases}
+                    annualExpenses={inputs.useOptimalExpenses ? optimalExpenses : inputs.annualExpenses}
+                    inflationRate={inputs.inflationRate}
+                    years={inputs.years}
+                    onChange={handleInputChange('expensePhases')}
+                  />
                 </div>
               </div>
             </div>
           </div>
 
+          <div className="mb-8">
+            <h3 className="text-lg font-semibold text-gray-900 mb-2">Income & Other Cash Flows</h3>
+            <p className="text-sm text-gray-600 mb-4">Add income, DCA purchases and one-off amounts; only the shortfall is borrowed</p>
+            <div className="bg-white rounded-lg p-6 border border-gray-200 shadow-sm">
+              <CashFlowsEditor
+                cashFlows={inputs.cashFlows}
+                years={inputs.years}
+                inflationRate={inputs.inflationRate}
+                onChange={handleInputChange('cashFlows')}
+              />
+              {inputs.cashFlows.length > 0 && (
+                <div className="mt-6 border-t border-gray-200 pt-4">
+                  <label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="surplusAllocation">
+                    Surplus Income
+                  </label>
+                  <select
+                    id="surplusAllocation"
+                    value={inputs.surplusAllocation}
+                    onChange={(e) => setInputs(prev => ({ ...prev, surplusAllocation: e.target.value }))}
+                    className="w-full md:w-1/3 px-3 py-2 text-base sm:text-lg border rounded-lg shadow-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-gray-900"
+                  >
+                    <option value="repayDebt">Pay down debt, then buy BTC</option>
+                    <option value="buyBitcoin">Buy BTC</option>
+                  </select>
+                  <p className="text-xs text-gray-500 mt-1">What happens in years when income is more than expenses</p>
+                </div>
+              )}
+            </div>
+          </div>
+
           <div className="bg-gray-50 rounded-lg mb-6 p-4 md:p-6">
-            <GrowthRatesDisplay growthRates={growthRates} />
+            <GrowthRatesDisplay
+              growthRates={growthRates}
+              isHistorical={isBacktest}
+              terminalYear={isBacktest ? null : growthModel.terminalYear(inputs)}
+              onOverride={handleGrowthRateOverride}
+              onResetOverrides={() => setInputs(prev => ({ ...prev, growthRateOverrides: {} }))}
+            />
           </div>
 
+          {inputIssues.length > 0 && (
+            <div className="mb-6 rounded-lg p-4 border bg-red-50 border-red-100 text-sm text-red-700">
+              <strong>The results below are out of date until these inputs are fixed:</strong>
+              <ul className="list-disc pl-5 mt-1">
+                {inputIssues.map(issue => <li key={issue.field}>{issue.field} {issue.message}</li>)}
+              </ul>
+            </div>
+          )}
+
+          {calculationError && (
+            <div className="mb-6 rounded-lg p-4 border bg-red-50 border-red-100 text-sm text-red-700">
+              The projection could not be calculated: {calculationError}
+            </div>
+          )}
+
+          {monteCarlo && (
+            <div className={`mb-6 rounded-lg p-4 border ${
+              monteCarlo.successRate >= 0.9 ? 'bg-green-50 border-green-100' :
+              monteCarlo.successRate >= 0.5 ? 'bg-yellow-50 border-yellow-100' : 'bg-red-50 border-red-100'
+            }`}>
+              <div className="flex items-center justify-between">
+                <span className="text-sm font-medium text-gray-900">Monte Carlo Success Rate:</span>
+                <span className="text-lg font-semibold text-gray-900">{(monteCarlo.successRate * 100).toFixed(1)}%</span>
+              </div>
+              <p className="text-xs text-gray-600 mt-1">
+                {formatNumber(Math.round(monteCarlo.successRate * monteCarlo.runs))} of {formatNumber(monteCarlo.runs)} simulated price paths at {inputs.volatility}% volatility never went over your {inputs.maxLTV}% max LTV
+              </p>
+              {inputs.marginCallsEnabled && (
+                <p className="text-xs text-gray-600 mt-1">
+                  {(monteCarlo.liquidationRate * 100).toFixed(1)}% of paths hit at least one margin call or liquidation
+                </p>
+              )}
+            </div>
+          )}
+
+          {liquidationEvents.length > 0 && (
+            <div className="mb-6 rounded-lg p-4 border bg-red-50 border-red-100">
+              <div className="flex items-center justify-between">
+                <span className="text-sm font-medium text-gray-900">BTC Lost to Margin Calls & Liquidations:</span>
+                <span className="text-lg font-semibold text-red-600">{btcLost.toFixed(4)} BTC</span>
+              </div>
+              <p className="text-xs text-gray-600 mt-1">
+                {liquidationEvents.length} forced {liquidationEvents.length === 1 ? 'sale' : 'sales'} in year{liquidationEvents.length === 1 ? '' : 's'} {liquidationEvents.map(row => row.year).join(', ')} sold {((btcLost / inputs.bitcoinAmount) * 100).toFixed(1)}% of your Bitcoin to repay {formatMoney(liquidationEvents.reduce((sum, row) => sum + row.debtRepaid, 0))} of debt
+              </p>
+            </div>
+          )}
+
           <div className="mb-6 bg-white rounded-lg shadow p-4 md:p-6">
-            <h3 className="text-lg font-medium mb-4 text-gray-900 text-center">Wealth Projection Chart</h3>
+            <h3 className="text-lg font-medium mb-4 text-gray-900 text-center">
+              Wealth Projection Chart
+              {isCalculating && <span role="status" className="ml-2 text-sm font-normal text-gray-500">Calculating…</span>}
+            </h3>
+            {monthlyResults && (
+              <div className="flex justify-center gap-2 mb-4">
+                {['yearly', 'monthly'].map(view => (
+                  <button
+                    key={view}
+                    onClick={() => setChartView(view)}
+                    className={`px-3 py-1 text-sm font-medium rounded-md border ${
+                      chartView === view ? 'bg-blue-600 text-white border-blue-600' : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-50'
+                    }`}
+                  >
+                    {view === 'yearly' ? 'Yearly' : 'Monthly'}
+                  </button>
+                ))}
+              </div>
+            )}
             <div className="h-[50vh] min-h-[300px] max-h-[500px]">
               <ResponsiveContainer width="100%" height="100%">
-                <LineChart data={results} margin={{ top: 5, right: 5, left: 5, bottom: 5 }}>
+                <ComposedChart data={showMonthlyChart ? monthlyResults : chartData} margin={{ top: 5, right: 5, left: 5, bottom: 5 }}>
                   <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
                   <XAxis 
-                    dataKey="year" 
+                    dataKey={showMonthlyChart ? 'label' : 'year'} 
                     tick={{ fontSize: 12 }}
                     tickMargin={8}
                   />
                   <YAxis 
-                    tickFormatter={formatYAxisTick} 
+                    yAxisId="value"
+                    tickFormatter={formatCompactMoney} 
                     tick={{ fontSize: 12 }}
                     tickMargin={8}
                   />
+                  {monteCarlo && !showMonthlyChart && (
+                    <YAxis 
+                      yAxisId="ltv"
+                      orientation="right"
+                      domain={[0, (dataMax) => Math.min(dataMax, 200)]}
+                      allowDataOverflow
+                      tickFormatter={(value) => `${value}%`}
+                      tick={{ fontSize: 12 }}
+                      tickMargin={8}
+                    />
+                  )}
                   <Tooltip 
                     formatter={(value, name) => {
-                      if (name === "Portfolio Value") {
-                        return [`$${formatNumber(value)}`, name];
+                      if (name.includes('LTV')) {
+                        return Array.isArray(value) ? [`${formatLTV(value[0])} – ${formatLTV(value[1])}`, name] : [formatLTV(value), name];
+                      }
+                      if (Array.isArray(value)) {
+                        return [`${formatMoney(value[0])} – ${formatMoney(value[1])}`, name];
                       }
-                      return `$${formatNumber(value)}`;
+                      return [formatMoney(value), name];
                     }}
                     contentStyle={{
                       backgroundColor: 'rgba(255, 255, 255, 0.95)',
@@ -1166,7 +4258,82 @@ const BitcoinRetirementCalculator = () => {
                       paddingTop: '0.5rem'
                     }}
                   />
+                  {monteCarlo && !showMonthlyChart && (
+                    <>
+                      <Area 
+                        yAxisId="value"
+                        type="monotone"
+                        dataKey="portfolioBand"
+                        name="Portfolio P10–P90"
+                        stroke="none"
+                        fill="#2563eb"
+                        fillOpacity={0.15}
+                      />
+                      <Area 
+                        yAxisId="value"
+                        type="monotone"
+                        dataKey="debtBand"
+                        name="Debt P10–P90"
+                        stroke="none"
+                        fill="#dc2626"
+                        fillOpacity={0.15}
+                      />
+                      <Area 
+                        yAxisId="ltv"
+                        type="monotone"
+                        dataKey="ltvBand"
+                        name="LTV P10–P90"
+                        stroke="none"
+                        fill="#9333ea"
+                        fillOpacity={0.12}
+                      />
+                      <Line 
+                        yAxisId="value"
+                        type="monotone" 
+                        dataKey="portfolioMedian" 
+                        name="Portfolio P50" 
+                        stroke="#2563eb" 
+                        strokeDasharray="5 5"
+                        strokeWidth={1.5}
+                        dot={false}
+                      />
+                      <Line 
+                        yAxisId="value"
+                        type="monotone" 
+                        dataKey="debtMedian" 
+                        name="Debt P50" 
+                        stroke="#dc2626" 
+                        strokeDasharray="5 5"
+                        strokeWidth={1.5}
+                        dot={false}
+                      />
+                      <Line 
+                        yAxisId="ltv"
+                        type="monotone" 
+                        dataKey="ltvMedian" 
+                        name="LTV P50" 
+                        stroke="#9333ea" 
+                        strokeDasharray="5 5"
+                        strokeWidth={1.5}
+                        dot={false}
+                      />
+                    </>
+                  )}
+                  {inputs.loanTranches.map((tranche, index) => (
+                    <Area 
+                      key={`lender-${index}`}
+                      yAxisId="value"
+                      type="monotone"
+                      dataKey={(row) => row.tranches?.[index]?.debt}
+                      name={`${tranche.lender} Debt`}
+                      stackId="lenders"
+                      stroke={LENDER_COLORS[index % LENDER_COLORS.length]}
+                      fill={LENDER_COLORS[index % LENDER_COLORS.length]}
+                      fillOpacity={0.2}
+                    />
+                  ))}
                   <Line 
+                    yAxisId="value"
                     type="monotone" 
                     dataKey="portfolioValue" 
                     name="Portfolio Value" 
@@ -1176,6 +4343,7 @@ const BitcoinRetirementCalculator = () => {
                     activeDot={{ r: 6 }}
                   />
                   <Line 
+                    yAxisId="value"
                     type="monotone" 
                     dataKey="totalDebt" 
                     name="Total Debt" 
@@ -1185,6 +4353,7 @@ const BitcoinRetirementCalculator = () => {
                     activeDot={{ r: 6 }}
                   />
                   <Line 
+                    yAxisId="value"
                     type="monotone" 
                     dataKey="netWorth" 
                     name="Net Worth" 
@@ -1193,11 +4362,57 @@ const BitcoinRetirementCalculator = () => {
                     dot={false}
                     activeDot={{ r: 6 }}
                   />
-                </LineChart>
+                  {chartEvents.map(row => (
+                    <ReferenceDot
+                      key={`liquidation-${row.label || row.year}`}
+                      yAxisId="value"
+                      x={showMonthlyChart ? row.label : row.year}
+                      y={row.portfolioValue}
+                      r={6}
+                      fill={row.liquidationType === 'liquidation' ? '#dc2626' : '#f59e0b'}
+                      stroke="#ffffff"
+                      label={{ value: `-${row.btcSold.toFixed(2)} BTC`, position: 'top', fontSize: 11, fill: '#dc2626' }}
+                    />
+                  ))}
+                  {showMonthlyChart && (
+                    <Brush dataKey="label" height={24} stroke="#2563eb" travellerWidth={8} />
+                  )}
+                </ComposedChart>
               </ResponsiveContainer>
             </div>
           </div>
 
+          {backtests && (
+            <div className="mb-6 bg-white rounded-lg shadow p-4 md:p-6">
+              <BacktestComparison
+                backtests={backtests}
+                chartData={backtestChartData}
+                selectedStartYear={inputs.backtestStartYear}
+                onSelectStartYear={(year) => setInputs(prev => ({ ...prev, backtestStartYear: year }))}
+                annualExpenses={annualExpensesUsed}
+                maxLTV={inputs.maxLTV}
+              />
+            </div>
+          )}
+
+          {results.length > 0 && (
+            <div className="mb-6 bg-white rounded-lg shadow p-4 md:p-6">
+              <EstateSummary finalRow={results[results.length - 1]} inputs={inputs} />
+            </div>
+          )}
+
+          {strategyComparison && (
+            <div className="mb-6 bg-white rounded-lg shadow p-4 md:p-6">
+              <StrategyComparison
+                comparison={strategyComparison}
+                selectedStrategy={inputs.withdrawalStrategy}
+                onSelectStrategy={(strategy) => setInputs(prev => ({ ...prev, withdrawalStrategy: strategy }))}
+                annualExpenses={annualExpensesUsed}
+                taxEnabled={inputs.taxEnabled}
+              />
+            </div>
+          )}
+
           <div className="mb-6 bg-white rounded-lg shadow p-4 md:p-6">
             <ResultsTable 
               results={results} 
@@ -1208,10 +4423,47 @@ const BitcoinRetirementCalculator = () => {
             />
           </div>
 
+          {results.length > 0 && (
+            <div className="mb-6 bg-white rounded-lg shadow p-4 md:p-6">
+              <TornadoChart inputs={inputs} annualExpenses={annualExpensesUsed} />
+            </div>
+          )}
+
+          {results.length > 0 && (
+            <div className="mb-6 bg-white rounded-lg shadow p-4 md:p-6">
+              <GoalSeekSolver
+                inputs={inputs}
+                annualExpenses={annualExpensesUsed}
+                onApply={(variable, value) => setInputs(prev => ({
+                  ...prev,
+                  [variable]: value,
+                  ...(variable === 'annualExpenses' ? { useOptimalExpenses: false } : {})
+                }))}
+              />
+            </div>
+          )}
+
+          {results.length > 0 && (
+            <div className="mb-6 bg-white rounded-lg shadow p-4 md:p-6">
+              <SensitivityHeatmap inputs={inputs} annualExpenses={annualExpensesUsed} />
+            </div>
+          )}
+
+          <div className="mb-6 bg-white rounded-lg shadow p-4 md:p-6">
+            <ScenarioLibrary
+              inputs={inputs}
+              onLoadScenario={(scenarioInputs) => setInputs(prev => ({
+                ...scenarioInputs,
+                bitcoinPrice: scenarioInputs.bitcoinPrice ?? prev.bitcoinPrice
+              }))}
+            />
+          </div>
+
           <TechnicalDetails inputs={inputs} results={results} />
         </div>
       </div>
     </div>
+    </FormattersContext.Provider>
   );
 };
 
@@ -0,0 +1,22 @@
+/**
+ * Bitcoin year-end closing prices in USD (December 31 close), bundled so the
+ * historical backtest works offline. Early years come from Mt. Gox-era exchange
+ * data; 2013 onwards are CoinMarketCap daily closes.
+ */
+export const BTC_YEARLY_CLOSES = [
+  { year: 2010, close: 0.30 },
+  { year: 2011, close: 4.72 },
+  { year: 2012, close: 13.51 },
+  { year: 2013, close: 754.01 },
+  { year: 2014, close: 320.19 },
+  { year: 2015, close: 430.57 },
+  { year: 2016, close: 963.74 },
+  { year: 2017, close: 14156.40 },
+  { year: 2018, close: 3742.70 },
+  { year: 2019, close: 7193.60 },
+  { year: 2020, close: 29001.72 },
+  { year: 2021, close: 46306.45 },
+  { year: 2022, close: 16547.50 },
+  { year: 2023, close: 42265.19 },
+  { year: 2024, close: 93429.20 }
+];
@@ -0,0 +1,41 @@
+// Display currencies and the locale-aware formatters built for them. Every amount in a
+// scenario is in its display currency; only the starting bitcoin price is fetched per currency.
+
+/**
+ * Currencies the calculator can display, each formatted in the locale of the people who
+ * spend it. `priceKey` is the field CoinGecko uses for the bitcoin price in that currency.
+ */
+export const CURRENCIES = {
+  USD: { label: 'US Dollar', locale: 'en-US', priceKey: 'usd' },
+  EUR: { label: 'Euro', locale: 'de-DE', priceKey: 'eur' },
+  GBP: { label: 'British Pound', locale: 'en-GB', priceKey: 'gbp' },
+  CHF: { label: 'Swiss Franc', locale: 'de-CH', priceKey: 'chf' }
+};
+
+/**
+ * Builds the formatters for a display currency:
+ * - formatNumber: plain numbers in the currency's locale (1,234.5 or 1.234,5)
+ * - formatMoney: amounts with the currency sign, to the cent at most ($1,234 or 1.234 €)
+ * - formatCompactMoney: short amounts for chart axes and heatmap cells ($1.2M)
+ * - parseNumber: reads a number typed in the same locale, or NaN if the text isn't one
+ */
+export const createFormatters = (currency = 'USD') => {
+  const { locale } = CURRENCIES[currency];
+  const money = new Intl.NumberFormat(locale, { style: 'currency', currency, minimumFractionDigits: 0, maximumFractionDigits: 2 });
+  const compactMoney = new Intl.NumberFormat(locale, { style: 'currency', currency, notation: 'compact', minimumFractionDigits: 0, maximumFractionDigits: 1 });
+  const parts = new Intl.NumberFormat(locale).formatToParts(11111.1);
+  const group = parts.find(part => part.type === 'group').value;
+  const decimal = parts.find(part => part.type === 'decimal').value;
+
+  return {
+    currency,
+    locale,
+    formatNumber: (value) => (value === undefined || value === null ? '0' : value.toLocaleString(locale)),
+    formatMoney: (value) => money.format(value ?? 0),
+    formatCompactMoney: (value) => compactMoney.format(value ?? 0),
+    parseNumber: (text) => {
+      const normalized = text.split(group).join('').replace(decimal, '.').trim();
+      return normalized === '' ? NaN : Number(normalized);
+    }
+  };
+};
@@ -0,0 +1,27 @@
+import { describe, expect, it } from 'vitest';
+import { createFormatters } from './currency.js';
+
+// Intl separates amounts from currency signs with non-breaking spaces
+const plain = (text) => text.replace(/\s/g, ' ');
+
+describe('createFormatters', () => {
+  it('writes amounts the way each currency is written', () => {
+    expect(createFormatters('USD').formatMoney(1234567)).toBe('$1,234,567');
+    expect(plain(createFormatters('EUR').formatMoney(1234567.5))).toBe('1.234.567,5 €');
+    expect(createFormatters('GBP').formatMoney(0.25)).toBe('£0.25');
+    expect(plain(createFormatters('CHF').formatMoney(1234567))).toBe('CHF 1’234’567');
+  });
+
+  it('shortens amounts for chart axes', () => {
+    expect(createFormatters('USD').formatCompactMoney(250000)).toBe('$250K');
+    expect(createFormatters('GBP').formatCompactMoney(1250000)).toBe('£1.3M');
+  });
+
+  it('parses numbers typed in the same locale', () => {
+    expect(createFormatters('USD').parseNumber('1,234.5')).toBe(1234.5);
+    expect(createFormatters('EUR').parseNumber('1.234,5')).toBe(1234.5);
+    expect(createFormatters('CHF').parseNumber('1’234.5')).toBe(1234.5);
+    expect(createFormatters('EUR').parseNumber('')).toBeNaN();
+    expect(createFormatters('USD').parseNumber('lots')).toBeNaN();
+  });
+});
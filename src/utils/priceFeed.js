@@ -0,0 +1,201 @@
+// Bitcoin price feed: asks the price providers in a configured order for the price in every
+// display currency, keeps the last good quote in localStorage and falls back to it when no
+// provider answers. `fetch` and the storage are passed in, so the providers can be tested
+// without a network or a browser.
+import { CURRENCIES } from './currency.js';
+
+const CURRENCY_CODES = Object.keys(CURRENCIES);
+const PRICE_CACHE_KEY = 'retireOnBitcoin.lastPrice';
+const PRICE_FEED_SETTINGS_KEY = 'retireOnBitcoin.priceFeed';
+
+// A quote younger than this is reused instead of asking the providers again, which keeps
+// reloads and currency switches inside the providers' free rate limits
+export const PRICE_REFRESH_INTERVAL_MS = 60000;
+const REQUEST_TIMEOUT_MS = 8000;
+
+const requirePrice = (value, currency) => {
+  const price = Number(value);
+  if (value === null || value === undefined || !Number.isFinite(price) || price <= 0) {
+    throw new Error(`no ${currency} price in the response`);
+  }
+  return Math.round(price);
+};
+
+const toPrices = (lookup) => Object.fromEntries(CURRENCY_CODES.map(code => [code, requirePrice(lookup(code), code)]));
+
+/**
+ * Where the price can come from. Each provider's `getPrices(fetchJson, settings)` returns
+ * the price in every display currency as { USD, EUR, GBP, CHF }, or throws when the
+ * response can't be used.
+ */
+export const PRICE_PROVIDERS = {
+  coingecko: {
+    label: 'CoinGecko',
+    getPrices: async (fetchJson) => {
+      const vsCurrencies = CURRENCY_CODES.map(code => CURRENCIES[code].priceKey).join(',');
+      const data = await fetchJson(`https://api.coingecko.com/api/v3/simple/price?ids=bitcoin&vs_currencies=${vsCurrencies}`);
+      return toPrices(code => data?.bitcoin?.[CURRENCIES[code].priceKey]);
+    }
+  },
+  coinbase: {
+    label: 'Coinbase',
+    getPrices: async (fetchJson) => {
+      const data = await fetchJson('https://api.coinbase.com/v2/exchange-rates?currency=BTC');
+      return toPrices(code => data?.data?.rates?.[code]);
+    }
+  },
+  kraken: {
+    label: 'Kraken',
+    getPrices: async (fetchJson) => {
+      const data = await fetchJson(`https://api.kraken.com/0/public/Ticker?pair=${CURRENCY_CODES.map(code => `XBT${code}`).join(',')}`);
+      if (data?.error?.length > 0) throw new Error(data.error.join(', '));
+      // Kraken names some pairs XXBTZUSD and others XBTCHF; the quote currency always comes last
+      const tickers = Object.entries(data?.result || {});
+      return toPrices(code => tickers.find(([pair]) => pair.endsWith(code))?.[1].c?.[0]);
+    }
+  },
+  custom: {
+    label: 'Custom URL',
+    getPrices: async (fetchJson, { customUrl }) => {
+      if (!customUrl) throw new Error('no URL set');
+      const data = await fetchJson(customUrl);
+      const byCode = Object.fromEntries(Object.entries(data || {}).map(([key, value]) => [key.toUpperCase(), value]));
+      return toPrices(code => byCode[code]);
+    }
+  }
+};
+
+export const DEFAULT_PRICE_FEED_SETTINGS = {
+  order: ['coingecko', 'coinbase', 'kraken'],
+  customUrl: ''
+};
+
+/**
+ * Raised when no provider answers and there is no saved quote to fall back on. `failures`
+ * lists what went wrong with each provider as [{ source, message }].
+ */
+export class PriceFeedError extends Error {
+  constructor(failures) {
+    super(failures.length > 0 ?
+      `No bitcoin price source answered:\n${failures.map(({ source, message }) => `  ${PRICE_PROVIDERS[source].label}: ${message}`).join('\n')}` :
+      'No bitcoin price sources are selected');
+    this.name = 'PriceFeedError';
+    this.failures = failures;
+  }
+}
+
+const createFetchJson = (fetchImpl, timeoutMs) => async (url) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    const response = await fetchImpl(url, { headers: { Accept: 'application/json' }, signal: controller.signal });
+    if (response.status === 429) throw new Error('rate limited, try again in a minute');
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    return await response.json();
+  } catch (error) {
+    if (error.name === 'AbortError') throw new Error(`no answer within ${timeoutMs / 1000} seconds`);
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+/**
+ * Reads the last good quote from storage, or null when there is none or it is unreadable
+ */
+export const loadCachedQuote = (storage) => {
+  try {
+    const cached = JSON.parse(storage?.getItem(PRICE_CACHE_KEY) || 'null');
+    if (!cached || !PRICE_PROVIDERS[cached.source] || !Number.isFinite(cached.fetchedAt)) return null;
+    return { prices: toPrices(code => cached.prices?.[code]), source: cached.source, fetchedAt: cached.fetchedAt };
+  } catch (error) {
+    console.warn('Failed to load the saved bitcoin price:', error);
+    return null;
+  }
+};
+
+const storeCachedQuote = (storage, quote) => {
+  try {
+    storage?.setItem(PRICE_CACHE_KEY, JSON.stringify(quote));
+  } catch (error) {
+    console.warn('Failed to save the bitcoin price:', error);
+  }
+};
+
+/**
+ * Reads the provider order and custom URL from storage, dropping unknown providers
+ */
+export const loadPriceFeedSettings = (storage) => {
+  try {
+    const stored = JSON.parse(storage?.getItem(PRICE_FEED_SETTINGS_KEY) || 'null');
+    if (!stored) return DEFAULT_PRICE_FEED_SETTINGS;
+    return {
+      order: Array.isArray(stored.order) ?
+        [...new Set(stored.order)].filter(source => PRICE_PROVIDERS[source]) :
+        DEFAULT_PRICE_FEED_SETTINGS.order,
+      customUrl: typeof stored.customUrl === 'string' ? stored.customUrl : ''
+    };
+  } catch (error) {
+    console.warn('Failed to load the price source settings:', error);
+    return DEFAULT_PRICE_FEED_SETTINGS;
+  }
+};
+
+export const storePriceFeedSettings = (storage, settings) => {
+  try {
+    storage?.setItem(PRICE_FEED_SETTINGS_KEY, JSON.stringify(settings));
+  } catch (error) {
+    console.warn('Failed to save the price source settings:', error);
+  }
+};
+
+/**
+ * Gets the bitcoin price in every display currency. A saved quote younger than `maxAge`
+ * is reused; otherwise the providers in settings.order are tried one after another and the
+ * first good answer is saved. When none answers, the saved quote comes back with
+ * `stale: true`, and without one a PriceFeedError is thrown.
+ *
+ * Returns { prices, source, fetchedAt, stale, failures }, where `failures` lists the
+ * providers tried before the one that answered as [{ source, message }].
+ */
+export const getPriceQuote = async ({
+  settings = DEFAULT_PRICE_FEED_SETTINGS,
+  fetchImpl = globalThis.fetch,
+  storage,
+  now = Date.now(),
+  maxAge = PRICE_REFRESH_INTERVAL_MS,
+  timeoutMs = REQUEST_TIMEOUT_MS
+} = {}) => {
+  const cached = loadCachedQuote(storage);
+  if (cached && now - cached.fetchedAt < maxAge) {
+    return { ...cached, stale: false, failures: [] };
+  }
+
+  const fetchJson = createFetchJson(fetchImpl, timeoutMs);
+  const failures = [];
+  for (const source of settings.order) {
+    try {
+      const quote = { prices: await PRICE_PROVIDERS[source].getPrices(fetchJson, settings), source, fetchedAt: now };
+      storeCachedQuote(storage, quote);
+      return { ...quote, stale: false, failures };
+    } catch (error) {
+      failures.push({ source, message: error.message });
+    }
+  }
+
+  if (cached) return { ...cached, stale: true, failures };
+  throw new PriceFeedError(failures);
+};
+
+/**
+ * Describes how long ago a quote was fetched: "just now", "5 min ago", "3 h ago", "2 days ago"
+ */
+export const formatPriceAge = (fetchedAt, now = Date.now()) => {
+  const minutes = Math.floor((now - fetchedAt) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes} min ago`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours} h ago`;
+  const days = Math.floor(hours / 24);
+  return days === 1 ? '1 day ago' : `${days} days ago`;
+};
@@ -0,0 +1,132 @@
+import { describe, expect, it, vi } from 'vitest';
+import {
+  PriceFeedError,
+  formatPriceAge,
+  getPriceQuote,
+  loadCachedQuote,
+  loadPriceFeedSettings
+} from './priceFeed.js';
+
+const PRICES = { USD: 97000, EUR: 89000, GBP: 76000, CHF: 86000 };
+
+// What each provider's API answers with for PRICES
+const RESPONSES = {
+  'api.coingecko.com': { bitcoin: { usd: 97000.4, eur: 89000, gbp: 76000, chf: 86000 } },
+  'api.coinbase.com': { data: { currency: 'BTC', rates: { USD: '97000.12', EUR: '89000', GBP: '76000', CHF: '86000', JPY: '1' } } },
+  'api.kraken.com': {
+    error: [],
+    result: {
+      XXBTZUSD: { c: ['97000.1', '0.1'] },
+      XXBTZEUR: { c: ['89000.0', '0.1'] },
+      XXBTZGBP: { c: ['76000.0', '0.1'] },
+      XBTCHF: { c: ['86000.0', '0.1'] }
+    }
+  },
+  'prices.example.com': { usd: 97000, eur: 89000, gbp: 76000, chf: 86000 }
+};
+
+const createStorage = (entries = {}) => {
+  const items = new Map(Object.entries(entries));
+  return {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => { items.set(key, value); }
+  };
+};
+
+// A fetch that answers from RESPONSES, except for hosts listed in `failing` (host → status)
+const createFetch = (failing = {}) => vi.fn(async (url) => {
+  const host = new URL(url).host;
+  const status = failing[host] ?? 200;
+  return { ok: status === 200, status, json: async () => RESPONSES[host] };
+});
+
+const settings = (order, customUrl = '') => ({ order, customUrl });
+
+describe('price providers', () => {
+  it.each([
+    ['coingecko', ''],
+    ['coinbase', ''],
+    ['kraken', ''],
+    ['custom', 'https://prices.example.com/btc.json']
+  ])('reads every currency from %s', async (source, customUrl) => {
+    const quote = await getPriceQuote({ settings: settings([source], customUrl), fetchImpl: createFetch(), now: 1000 });
+    expect(quote).toEqual({ prices: PRICES, source, fetchedAt: 1000, stale: false, failures: [] });
+  });
+
+  it('rejects a response missing a currency', async () => {
+    const fetchImpl = vi.fn(async () => ({ ok: true, status: 200, json: async () => ({ USD: 97000 }) }));
+    await expect(getPriceQuote({ settings: settings(['custom'], 'https://prices.example.com/usd.json'), fetchImpl }))
+      .rejects.toThrow('Custom URL: no EUR price in the response');
+  });
+});
+
+describe('getPriceQuote', () => {
+  it('falls through to the next provider and saves the answer', async () => {
+    const storage = createStorage();
+    const fetchImpl = createFetch({ 'api.coingecko.com': 429, 'api.coinbase.com': 500 });
+    const quote = await getPriceQuote({ settings: settings(['coingecko', 'coinbase', 'kraken']), fetchImpl, storage, now: 5000 });
+    expect(quote.source).toBe('kraken');
+    expect(quote.failures).toEqual([
+      { source: 'coingecko', message: 'rate limited, try again in a minute' },
+      { source: 'coinbase', message: 'HTTP 500' }
+    ]);
+    expect(loadCachedQuote(storage)).toEqual({ prices: PRICES, source: 'kraken', fetchedAt: 5000 });
+  });
+
+  it('reuses a recent quote without fetching', async () => {
+    const storage = createStorage();
+    await getPriceQuote({ settings: settings(['coinbase']), fetchImpl: createFetch(), storage, now: 0 });
+    const fetchImpl = createFetch();
+    const quote = await getPriceQuote({ settings: settings(['coingecko']), fetchImpl, storage, now: 30000 });
+    expect(fetchImpl).not.toHaveBeenCalled();
+    expect(quote).toMatchObject({ source: 'coinbase', fetchedAt: 0, stale: false });
+  });
+
+  it('falls back to the saved quote when nothing answers', async () => {
+    const storage = createStorage();
+    await getPriceQuote({ settings: settings(['coinbase']), fetchImpl: createFetch(), storage, now: 0 });
+    const fetchImpl = vi.fn(async () => { throw new TypeError('Failed to fetch'); });
+    const quote = await getPriceQuote({ settings: settings(['coingecko', 'kraken']), fetchImpl, storage, now: 3600000 });
+    expect(quote).toMatchObject({ prices: PRICES, source: 'coinbase', fetchedAt: 0, stale: true });
+    expect(quote.failures.map(f => f.message)).toEqual(['Failed to fetch', 'Failed to fetch']);
+  });
+
+  it('throws a PriceFeedError when nothing answers and no quote is saved', async () => {
+    const fetchImpl = createFetch({ 'api.coingecko.com': 503 });
+    const error = await getPriceQuote({ settings: settings(['coingecko', 'custom']), fetchImpl, storage: createStorage() }).catch(e => e);
+    expect(error).toBeInstanceOf(PriceFeedError);
+    expect(error.message).toBe('No bitcoin price source answered:\n  CoinGecko: HTTP 503\n  Custom URL: no URL set');
+  });
+
+  it('gives up on a provider that does not answer in time', async () => {
+    const fetchImpl = vi.fn((url, { signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(Object.assign(new Error('aborted'), { name: 'AbortError' })));
+    }));
+    const error = await getPriceQuote({ settings: settings(['kraken']), fetchImpl, timeoutMs: 10 }).catch(e => e);
+    expect(error.failures).toEqual([{ source: 'kraken', message: 'no answer within 0.01 seconds' }]);
+  });
+});
+
+describe('stored settings and quotes', () => {
+  it('ignores unreadable entries', () => {
+    const storage = createStorage({
+      'retireOnBitcoin.lastPrice': '{"source":"coinbase","fetchedAt":1,"prices":{"USD":1}}',
+      'retireOnBitcoin.priceFeed': '{"order":["kraken","mtgox","kraken","custom"],"customUrl":5}'
+    });
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    expect(loadCachedQuote(storage)).toBeNull();
+    expect(loadPriceFeedSettings(storage)).toEqual({ order: ['kraken', 'custom'], customUrl: '' });
+    expect(loadPriceFeedSettings(createStorage({ 'retireOnBitcoin.priceFeed': 'not json' })).order).toEqual(['coingecko', 'coinbase', 'kraken']);
+    vi.restoreAllMocks();
+  });
+});
+
+describe('formatPriceAge', () => {
+  it('rounds down to the largest whole unit', () => {
+    expect(formatPriceAge(0, 59000)).toBe('just now');
+    expect(formatPriceAge(0, 5 * 60000)).toBe('5 min ago');
+    expect(formatPriceAge(0, 3 * 3600000 + 1)).toBe('3 h ago');
+    expect(formatPriceAge(0, 24 * 3600000)).toBe('1 day ago');
+    expect(formatPriceAge(0, 50 * 3600000)).toBe('2 days ago');
+  });
+});
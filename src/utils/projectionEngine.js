@@ -0,0 +1,1725 @@
+// Projection engine: growth models, loans, taxes and the yearly and monthly simulations.
+// Plain functions with no React or DOM dependencies, so they also run in a Web Worker or Node.
+import { BTC_YEARLY_CLOSES } from '../data/btcYearlyCloses.js';
+import { createFormatters } from './currency.js';
+
+/**
+ * Generates yearly growth rates that linearly decrease from initial to final rate over
+ * transitionYears steps (9 by default, reaching the final rate in year 10), then maintain
+ * the final rate thereafter
+ */
+const generateGrowthRates = (initialRate, terminalRate, years, transitionYears = 9) => {
+  const rates = [];
+  const steps = Math.max(1, transitionYears);
+  const decay = (initialRate - terminalRate) / steps;
+  
+  for (let year = 1; year <= years; year++) {
+    const rate = year <= steps ? 
+      Math.max(terminalRate, initialRate - (decay * (year - 1))) :
+      terminalRate;
+    rates.push({ year, rate: Math.round(rate * 100) / 100 });
+  }
+  return rates;
+};
+
+/**
+ * Generates yearly growth rates that decay exponentially from the initial toward the final
+ * rate, halving the remaining gap every halfLife years
+ */
+const generateExponentialGrowthRates = (initialRate, terminalRate, years, halfLife) => {
+  const rates = [];
+  for (let year = 1; year <= years; year++) {
+    const rate = terminalRate + (initialRate - terminalRate) * Math.pow(0.5, (year - 1) / Math.max(0.1, halfLife));
+    rates.push({ year, rate: Math.round(rate * 100) / 100 });
+  }
+  return rates;
+};
+
+const GENESIS_DATE = Date.UTC(2009, 0, 3);
+const MS_PER_YEAR = 365.25 * 24 * 60 * 60 * 1000;
+
+/**
+ * Generates yearly growth rates implied by a power-law price model, price = A × days^exponent,
+ * where days counts from the genesis block. Only the ratio between years matters, so the
+ * coefficient A cancels out.
+ */
+const generatePowerLawGrowthRates = (exponent, years, startDate = Date.now()) => {
+  const startYearsSinceGenesis = (startDate - GENESIS_DATE) / MS_PER_YEAR;
+  const rates = [];
+  for (let year = 1; year <= years; year++) {
+    const ratio = (startYearsSinceGenesis + year) / (startYearsSinceGenesis + year - 1);
+    const rate = (Math.pow(ratio, exponent) - 1) * 100;
+    rates.push({ year, rate: Math.round(rate * 100) / 100 });
+  }
+  return rates;
+};
+
+// Halvings so far; later ones are projected every 210,000 blocks (~4 years)
+const HALVING_DATES = [Date.UTC(2012, 10, 28), Date.UTC(2016, 6, 9), Date.UTC(2020, 4, 11), Date.UTC(2024, 3, 20)];
+const HALVING_INTERVAL_MS = 210000 * 10 * 60 * 1000;
+const BLOCKS_PER_YEAR = 52560;
+
+/**
+ * Returns Bitcoin's stock-to-flow ratio (circulating supply / yearly issuance) at a date,
+ * interpolating supply linearly between halvings
+ */
+const stockToFlowAt = (date) => {
+  let epoch = 0;
+  let epochStart = GENESIS_DATE;
+  while (true) {
+    const nextHalving = HALVING_DATES[epoch] ?? epochStart + HALVING_INTERVAL_MS;
+    if (date < nextHalving) {
+      const supplyAtEpochStart = 21000000 * (1 - Math.pow(0.5, epoch));
+      const epochIssuance = 10500000 * Math.pow(0.5, epoch);
+      const supply = supplyAtEpochStart + epochIssuance * (date - epochStart) / (nextHalving - epochStart);
+      const flow = BLOCKS_PER_YEAR * 50 * Math.pow(0.5, epoch);
+      return supply / flow;
+    }
+    epochStart = nextHalving;
+    epoch++;
+  }
+};
+
+/**
+ * Generates yearly growth rates implied by the stock-to-flow model, price ∝ S2F^exponent.
+ * Growth clusters around halvings, when yearly issuance drops by half.
+ */
+const generateStockToFlowGrowthRates = (exponent, years, startDate = Date.now()) => {
+  const rates = [];
+  for (let year = 1; year <= years; year++) {
+    const s2fStart = stockToFlowAt(startDate + (year - 1) * MS_PER_YEAR);
+    const s2fEnd = stockToFlowAt(startDate + year * MS_PER_YEAR);
+    const rate = (Math.pow(s2fEnd / s2fStart, exponent) - 1) * 100;
+    rates.push({ year, rate: Math.round(rate * 100) / 100 });
+  }
+  return rates;
+};
+
+/**
+ * Registry of selectable growth models. Each model lists the `inputs` fields it reads,
+ * generates a yearly schedule from them and describes itself for the How It Works panel.
+ * `terminalYear` is the year the schedule settles at its long-run rate, if it does.
+ */
+export const GROWTH_MODELS = {
+  linearDecay: {
+    label: 'Linear Decay',
+    description: 'Growth falls in equal steps from the initial to the final rate, then holds',
+    params: [
+      { key: 'initialGrowthRate', label: 'Initial Growth Rate (%)', tooltip: 'Expected annual growth rate for the first year. This will gradually decrease to the final rate.' },
+      { key: 'terminalGrowthRate', label: 'Final Growth Rate (%)', tooltip: "Expected long-term annual growth rate that Bitcoin's price will stabilize at" },
+      { key: 'transitionYears', label: 'Transition Years', tooltip: 'Number of yearly steps it takes to fall from the initial to the final rate' }
+    ],
+    generate: (inputs) => generateGrowthRates(inputs.initialGrowthRate, inputs.terminalGrowthRate, inputs.years, inputs.transitionYears),
+    terminalYear: (inputs) => Math.max(1, inputs.transitionYears) + 1,
+    describe: (inputs) => [
+      `Starts at ${inputs.initialGrowthRate}% initial growth rate`,
+      `Linearly decreases over ${inputs.transitionYears} years to reach the ${inputs.terminalGrowthRate}% final rate in year ${Math.max(1, inputs.transitionYears) + 1}`,
+      `Maintains the ${inputs.terminalGrowthRate}% final rate for all subsequent years`,
+      'Formula: rate = max(finalRate, initialRate - (decay * (year - 1)))',
+      `Where decay = (initialRate - finalRate) / ${inputs.transitionYears}`
+    ]
+  },
+  exponentialDecay: {
+    label: 'Exponential Decay',
+    description: 'Growth falls quickly at first, then eases toward the final rate',
+    params: [
+      { key: 'initialGrowthRate', label: 'Initial Growth Rate (%)', tooltip: 'Expected annual growth rate for the first year' },
+      { key: 'terminalGrowthRate', label: 'Final Growth Rate (%)', tooltip: 'Long-term annual growth rate the schedule approaches but never quite reaches' },
+      { key: 'growthHalfLife', label: 'Half-Life (Years)', tooltip: 'Years it takes for the gap between the current and final rate to halve' }
+    ],
+    generate: (inputs) => generateExponentialGrowthRates(inputs.initialGrowthRate, inputs.terminalGrowthRate, inputs.years, inputs.growthHalfLife),
+    terminalYear: () => null,
+    describe: (inputs) => [
+      `Starts at ${inputs.initialGrowthRate}% initial growth rate`,
+      `The gap to the ${inputs.terminalGrowthRate}% final rate halves every ${inputs.growthHalfLife} years`,
+      `Formula: rate = finalRate + (initialRate - finalRate) × 0.5^((year - 1) / ${inputs.growthHalfLife})`
+    ]
+  },
+  powerLaw: {
+    label: 'Power Law',
+    description: "Price follows a power of the days since Bitcoin's genesis block",
+    params: [
+      { key: 'powerLawExponent', label: 'Power-Law Exponent', tooltip: 'Exponent n in price = A × days^n. Commonly fitted at around 5.8.' }
+    ],
+    generate: (inputs) => generatePowerLawGrowthRates(inputs.powerLawExponent, inputs.years),
+    terminalYear: () => null,
+    describe: (inputs) => [
+      `Models price as A × days^${inputs.powerLawExponent}, where days counts from the genesis block on January 3, 2009`,
+      `Each year's rate is ((daysAtYearEnd / daysAtYearStart)^${inputs.powerLawExponent} - 1), so growth slows steadily as Bitcoin ages`,
+      'The coefficient A cancels out, so only the exponent affects the schedule'
+    ]
+  },
+  stockToFlow: {
+    label: 'Stock-to-Flow',
+    description: 'Price scales with scarcity: circulating supply divided by yearly issuance',
+    params: [
+      { key: 'stockToFlowExponent', label: 'S2F Exponent', tooltip: 'Exponent k in price ∝ S2F^k. The original model fitted about 3.3.' }
+    ],
+    generate: (inputs) => generateStockToFlowGrowthRates(inputs.stockToFlowExponent, inputs.years),
+    terminalYear: () => null,
+    describe: (inputs) => [
+      'Computes stock-to-flow (supply / yearly new coins) from the halving schedule, with halvings projected every 210,000 blocks',
+      `Each year's rate is ((S2F at year end / S2F at year start)^${inputs.stockToFlowExponent} - 1)`,
+      'Growth is concentrated in years that contain a halving, when issuance drops by half'
+    ]
+  },
+  constant: {
+    label: 'Constant Rate',
+    description: 'The same growth rate every year',
+    params: [
+      { key: 'constantGrowthRate', label: 'Growth Rate (%)', tooltip: 'Annual growth rate applied in every year of the projection' }
+    ],
+    generate: (inputs) => generateGrowthRates(inputs.constantGrowthRate, inputs.constantGrowthRate, inputs.years, 1),
+    terminalYear: () => 1,
+    describe: (inputs) => [
+      `Applies a flat ${inputs.constantGrowthRate}% growth rate to every year`
+    ]
+  }
+};
+
+/**
+ * Replaces the model's rate with the user's manual override for any year that has one,
+ * flagging those years so they can be shown differently
+ */
+const applyGrowthRateOverrides = (growthRates, overrides = {}) => {
+  return growthRates.map(entry => (
+    overrides[entry.year] !== undefined ?
+      { ...entry, rate: overrides[entry.year], modelRate: entry.rate, isOverride: true } :
+      entry
+  ));
+};
+
+/**
+ * Generates the yearly growth schedule for whichever growth model is selected in inputs
+ */
+const generateModelGrowthRates = (inputs) => {
+  const model = GROWTH_MODELS[inputs.growthModel] || GROWTH_MODELS.linearDecay;
+  return model.generate(inputs);
+};
+
+/**
+ * Generates the growth schedule a scenario runs on: real returns in backtest mode,
+ * otherwise the selected model with any manual overrides applied
+ */
+export const generateScenarioGrowthRates = (inputs) => {
+  if (inputs.simulationMode === 'backtest') {
+    return generateHistoricalGrowthRates(inputs.backtestStartYear, inputs.years);
+  }
+  return applyGrowthRateOverrides(generateModelGrowthRates(inputs), inputs.growthRateOverrides);
+};
+
+/**
+ * Returns the amount of BTC that must be sold at the given price, with the proceeds
+ * used to repay debt, to bring the loan back down to the target LTV
+ */
+const calculateBitcoinToSell = (bitcoinAmount, price, debt, targetLTV) => {
+  const target = Math.min(targetLTV, 99) / 100;
+  const btcToSell = (debt - target * bitcoinAmount * price) / (price * (1 - target));
+  return Math.min(bitcoinAmount, Math.max(0, btcToSell));
+};
+
+export const INTEREST_RATE_MODES = {
+  fixed: {
+    label: 'Fixed',
+    description: 'The same rate for the whole plan'
+  },
+  schedule: {
+    label: 'Per-Year Schedule',
+    description: 'Set the rate for any year; it stays in effect until the next year you set'
+  },
+  stepChange: {
+    label: 'Refinance',
+    description: 'Refinance to a new rate after a chosen year'
+  },
+  floating: {
+    label: 'Floating',
+    description: 'A simulated base rate that drifts toward its long-run level, plus a fixed spread'
+  }
+};
+
+/**
+ * Returns the loan interest rate for every year of the plan under inputs.interestRateMode.
+ * The floating base rate mean-reverts each year with seeded random shocks of
+ * baseRateVolatility percentage points, so the same seed always gives the same path.
+ */
+export const generateInterestRates = (inputs) => {
+  const rates = [];
+  const schedule = inputs.interestRateSchedule || {};
+  const random = createRandom(inputs.monteCarloSeed);
+  let baseRate = inputs.baseRate;
+
+  for (let year = 1; year <= inputs.years; year++) {
+    let rate = inputs.interestRate;
+    if (inputs.interestRateMode === 'schedule') {
+      rate = schedule[year] ?? (year > 1 ? rates[year - 2].rate : inputs.interestRate);
+    } else if (inputs.interestRateMode === 'stepChange') {
+      rate = year > inputs.refinanceYear ? inputs.refinanceRate : inputs.interestRate;
+    } else if (inputs.interestRateMode === 'floating') {
+      rate = Math.max(0, baseRate) + inputs.rateSpread;
+      baseRate += (inputs.baseRateReversion / 100) * (inputs.baseRateLongRun - baseRate) +
+        (inputs.baseRateVolatility ? inputs.baseRateVolatility * randomNormal(random) : 0);
+    }
+    rates.push({ year, rate: Math.round(rate * 100) / 100 });
+  }
+
+  return rates;
+};
+
+export const INTEREST_METHODS = {
+  simple: {
+    label: 'Simple Interest',
+    description: 'Interest is charged on borrowed principal only and added to the debt, so it never earns interest itself'
+  },
+  compoundYearly: {
+    label: 'Compound Yearly',
+    description: 'Interest is charged once a year on the full debt, including interest added in earlier years'
+  },
+  compoundMonthly: {
+    label: 'Compound Monthly',
+    description: 'Interest is charged on the full debt and compounds every month'
+  },
+  payInCash: {
+    label: 'Pay Interest in Cash',
+    description: 'Interest is paid as it falls due, as part of that year\'s spending: from income first, then borrowed or raised like other expenses'
+  }
+};
+
+/**
+ * Returns one year of interest on a loan balance under the given interest method.
+ * Simple interest and cash-paid interest ignore unpaid interest; the compounding methods
+ * charge interest on it too.
+ */
+const calculateYearInterest = (principal, unpaidInterest, rate, method) => {
+  if (method === 'compoundYearly') return (principal + unpaidInterest) * (rate / 100);
+  if (method === 'compoundMonthly') return (principal + unpaidInterest) * (Math.pow(1 + rate / 1200, 12) - 1);
+  return principal * (rate / 100);
+};
+
+/**
+ * Returns one month of interest for the monthly engine. Compound Yearly charges interest on
+ * the interest still unpaid at the start of the year, so it only compounds at year end.
+ */
+const calculateMonthInterest = (principal, unpaidInterest, yearStartUnpaidInterest, rate, method) => {
+  if (method === 'compoundMonthly') return (principal + unpaidInterest) * (rate / 1200);
+  if (method === 'compoundYearly') return (principal + Math.min(unpaidInterest, yearStartUnpaidInterest)) * (rate / 1200);
+  return principal * (rate / 1200);
+};
+
+export const LOAN_ALLOCATION_RULES = {
+  cheapestFirst: 'Cheapest First',
+  split: 'Split by Percentage'
+};
+
+/**
+ * Returns the loan tranches to borrow from. Without any configured lenders the whole
+ * loan is a single fee-free tranche at inputs.interestRate.
+ */
+const getLoanTranches = (inputs) => (
+  inputs.loanTranches?.length > 0
+    ? inputs.loanTranches
+    : [{ lender: 'Loan', interestRate: inputs.interestRate, originationFee: 0, maxLTV: 100, share: 100 }]
+);
+
+/**
+ * Splits one year's borrowing across tranches, returning the cash drawn from each.
+ * 'split' divides it by each tranche's share. 'cheapestFirst' draws from the lowest-APR
+ * lender first, as far as the BTC not yet pledged to other lenders allows at that lender's
+ * max LTV; anything no lender has room for goes to the most expensive one.
+ */
+const allocateBorrowing = (amount, tranches, debts, collateralValue, rule) => {
+  const draws = tranches.map(() => 0);
+  const balances = [...debts];
+
+  if (rule === 'split') {
+    const totalShare = tranches.reduce((sum, t) => sum + Math.max(0, t.share || 0), 0);
+    tranches.forEach((t, i) => {
+      draws[i] = totalShare > 0 ? amount * Math.max(0, t.share || 0) / totalShare : amount / tranches.length;
+    });
+    return draws;
+  }
+
+  const order = tranches.map((_, i) => i).sort((a, b) => tranches[a].interestRate - tranches[b].interestRate);
+  const pledged = () => tranches.reduce((sum, t, i) => sum + balances[i] / (Math.max(t.maxLTV, 1) / 100), 0);
+  let remaining = amount;
+  order.forEach(i => {
+    if (remaining <= 0) return;
+    const room = Math.max(0, collateralValue - pledged()) * (tranches[i].maxLTV / 100);
+    const draw = Math.min(remaining, room / (1 + tranches[i].originationFee / 100));
+    draws[i] += draw;
+    balances[i] += draw * (1 + tranches[i].originationFee / 100);
+    remaining -= draw;
+  });
+  draws[order[order.length - 1]] += remaining;
+  return draws;
+};
+
+// US federal brackets (2024) as [upper bound, rate %]; thresholds are indexed to inflation each year
+export const TAX_BRACKETS = {
+  single: {
+    label: 'Single',
+    shortTerm: [[11600, 10], [47150, 12], [100525, 22], [191950, 24], [243725, 32], [609350, 35], [Infinity, 37]],
+    longTerm: [[47025, 0], [518900, 15], [Infinity, 20]]
+  },
+  married: {
+    label: 'Married Filing Jointly',
+    shortTerm: [[23200, 10], [94300, 12], [201050, 22], [383900, 24], [487450, 32], [731200, 35], [Infinity, 37]],
+    longTerm: [[94050, 0], [583750, 15], [Infinity, 20]]
+  }
+};
+
+export const WITHDRAWAL_STRATEGIES = {
+  borrow: 'Borrow Only',
+  sell: 'Sell Only',
+  hybrid: 'Hybrid'
+};
+
+/**
+ * Returns the tax on an amount of income stacked on top of `stackedOn` income, with each
+ * bracket's upper bound scaled by indexFactor
+ */
+const calculateBracketTax = (amount, brackets, stackedOn = 0, indexFactor = 1) => {
+  let tax = 0;
+  let lower = 0;
+  brackets.forEach(([upTo, rate]) => {
+    const upper = upTo * indexFactor;
+    const from = Math.max(lower, stackedOn);
+    const to = Math.min(upper, stackedOn + amount);
+    if (to > from) tax += (to - from) * (rate / 100);
+    lower = upper;
+  });
+  return tax;
+};
+
+/**
+ * Returns the total capital gains tax for one year's realized gains. Losses in one
+ * holding period offset gains in the other; short-term gains are taxed as ordinary income
+ * and long-term gains are stacked on top of them, plus a flat additional (e.g. state) rate.
+ */
+const calculateCapitalGainsTax = (shortTermGains, longTermGains, yearIndex, inputs) => {
+  if (!inputs.taxEnabled) return 0;
+  const brackets = TAX_BRACKETS[inputs.taxFilingStatus] || TAX_BRACKETS.single;
+  const indexFactor = Math.pow(1 + inputs.inflationRate / 100, yearIndex);
+  const shortTerm = Math.max(0, shortTermGains + Math.min(0, longTermGains));
+  const longTerm = Math.max(0, longTermGains + Math.min(0, shortTermGains));
+  return calculateBracketTax(shortTerm, brackets.shortTerm, 0, indexFactor) +
+    calculateBracketTax(longTerm, brackets.longTerm, shortTerm, indexFactor) +
+    (shortTerm + longTerm) * ((inputs.stateTaxRate || 0) / 100);
+};
+
+/**
+ * Creates the BTC holdings as tax lots. The starting holdings form one lot at
+ * inputs.costBasis per BTC, already long-term when inputs.holdingsLongTerm is set.
+ * Sales use the oldest lots first (FIFO); a lot is long-term once held 12 months.
+ */
+const createBitcoinHoldings = (inputs, lots = [{
+  amount: inputs.bitcoinAmount,
+  costPerBtc: inputs.costBasis || 0,
+  acquiredMonth: inputs.holdingsLongTerm === false ? 0 : -12
+}]) => {
+  const gainsFor = (btc, price, month, consume) => {
+    let remaining = btc;
+    let shortTermGain = 0;
+    let longTermGain = 0;
+    for (const lot of lots) {
+      if (remaining <= 0) break;
+      const sold = Math.min(lot.amount, remaining);
+      const gain = sold * (price - lot.costPerBtc);
+      if (month - lot.acquiredMonth >= 12) {
+        longTermGain += gain;
+      } else {
+        shortTermGain += gain;
+      }
+      if (consume) lot.amount -= sold;
+      remaining -= sold;
+    }
+    if (consume) {
+      while (lots.length > 0 && lots[0].amount <= 1e-12) lots.shift();
+    }
+    return { shortTermGain, longTermGain };
+  };
+
+  return {
+    amount: () => lots.reduce((sum, lot) => sum + lot.amount, 0),
+    preview: (btc, price, month) => gainsFor(btc, price, month, false),
+    sell: (btc, price, month) => gainsFor(btc, price, month, true),
+    buy: (btc, price, month) => lots.push({ amount: btc, costPerBtc: price, acquiredMonth: month }),
+    clone: () => createBitcoinHoldings(inputs, lots.map(lot => ({ ...lot })))
+  };
+};
+
+/**
+ * Tracks one tax year's realized gains and returns the extra tax owed for each new sale
+ */
+const createTaxYear = (yearIndex, inputs) => {
+  const year = { shortTermGains: 0, longTermGains: 0, taxPaid: 0 };
+  const taxFor = (shortTermGains, longTermGains) => calculateCapitalGainsTax(shortTermGains, longTermGains, yearIndex, inputs);
+
+  year.marginalTax = ({ shortTermGain, longTermGain }) => (
+    taxFor(year.shortTermGains + shortTermGain, year.longTermGains + longTermGain) -
+    taxFor(year.shortTermGains, year.longTermGains)
+  );
+  year.realize = (gains) => {
+    const tax = year.marginalTax(gains);
+    year.shortTermGains += gains.shortTermGain;
+    year.longTermGains += gains.longTermGain;
+    year.taxPaid += tax;
+    return tax;
+  };
+  return year;
+};
+
+/**
+ * Sells enough BTC to net `cash` after capital gains tax, solving for the gross sale by
+ * fixed-point iteration. Sells everything if the holdings can't cover it.
+ * Returns the BTC sold, gross proceeds, tax paid and the cash actually raised.
+ */
+const sellBitcoinForCash = (cash, holdings, taxYear, price, month) => {
+  const available = holdings.amount();
+  if (cash <= 0 || available <= 0 || price <= 0) return { btcSold: 0, proceeds: 0, tax: 0, cashRaised: 0, gains: 0 };
+
+  let gross = cash;
+  for (let i = 0; i < 20; i++) {
+    const btc = Math.min(available, gross / price);
+    const next = cash + taxYear.marginalTax(holdings.preview(btc, price, month));
+    if (Math.abs(next - gross) < 0.01 || btc >= available) {
+      gross = next;
+      break;
+    }
+    gross = next;
+  }
+
+  const btcSold = Math.min(available, gross / price);
+  const gains = holdings.sell(btcSold, price, month);
+  const tax = taxYear.realize(gains);
+  const proceeds = btcSold * price;
+  return {
+    btcSold,
+    proceeds,
+    tax,
+    cashRaised: Math.min(cash, proceeds - tax),
+    gains: gains.shortTermGain + gains.longTermGain
+  };
+};
+
+/**
+ * Returns the cash to raise by selling BTC for an expense under inputs.withdrawalStrategy;
+ * the rest is borrowed. The hybrid strategy either sells whenever borrowing the expense
+ * would take LTV above sellAboveLTV, or borrows a fixed share and sells the remainder.
+ */
+const getSaleTarget = (inputs, amount, debt, collateralValue) => {
+  if (inputs.withdrawalStrategy === 'sell') return amount;
+  if (inputs.withdrawalStrategy === 'hybrid') {
+    if (inputs.hybridRule === 'borrowShare') return amount * (1 - inputs.borrowShare / 100);
+    return calculateLTV(debt + amount, collateralValue) > inputs.sellAboveLTV ? amount : 0;
+  }
+  return 0;
+};
+
+/**
+ * Returns the capital gains tax that selling all remaining BTC at the given price would
+ * trigger, as a separate long-term sale the following year
+ */
+const calculateLiquidationTax = (holdings, price, month, yearIndex, inputs) => {
+  if (!inputs.taxEnabled) return 0;
+  const { shortTermGain, longTermGain } = holdings.preview(holdings.amount(), price, month);
+  return calculateCapitalGainsTax(shortTermGain, longTermGain, yearIndex, inputs);
+};
+
+export const END_OF_PLAN_OPTIONS = {
+  repay: {
+    label: 'Repay by Selling BTC',
+    description: 'Sell enough BTC at the end of the plan to repay the loan, paying capital gains tax on your original cost basis'
+  },
+  stepUp: {
+    label: 'Estate Inherits (Step-Up)',
+    description: 'The loan is repaid from the estate after the cost basis steps up to market value, so the BTC sold is not taxed'
+  },
+  refinance: {
+    label: 'Refinance',
+    description: 'Heirs keep all the BTC and take over the debt as a new loan'
+  }
+};
+
+/**
+ * Settles the debt outstanding at the end of the plan under inputs.endOfPlanDebt and
+ * returns what is left for heirs: the BTC they receive, any debt they take on and the
+ * value of both at the settlement price. Works on a copy of the holdings.
+ */
+const settleEstate = (inputs, holdings, debt, price, month, yearIndex) => {
+  const bitcoinAmount = holdings.amount();
+  let estateBtcSold = 0;
+  let estateTax = 0;
+  let estateDebt = debt;
+
+  if (inputs.endOfPlanDebt === 'repay') {
+    const sale = sellBitcoinForCash(debt, holdings.clone(), createTaxYear(yearIndex, inputs), price, month);
+    estateBtcSold = sale.btcSold;
+    estateTax = sale.tax;
+    estateDebt = debt - sale.cashRaised;
+  } else if (inputs.endOfPlanDebt !== 'refinance' && price > 0) {
+    estateBtcSold = Math.min(bitcoinAmount, debt / price);
+    estateDebt = debt - estateBtcSold * price;
+  }
+
+  const estateBitcoin = bitcoinAmount - estateBtcSold;
+  return {
+    estateBtcSold,
+    estateTax: Math.round(estateTax),
+    estateBitcoin,
+    estateDebt: Math.round(estateDebt),
+    estateValue: Math.round(estateBitcoin * price - estateDebt)
+  };
+};
+
+export const CASH_FLOW_TYPES = {
+  salary: { label: 'Salary', kind: 'income' },
+  socialSecurity: { label: 'Social Security', kind: 'income' },
+  rental: { label: 'Rental Income', kind: 'income' },
+  dca: { label: 'DCA Purchase', kind: 'purchase' },
+  windfall: { label: 'One-Off Income', kind: 'oneOffIncome' },
+  oneOffExpense: { label: 'One-Off Expense', kind: 'oneOffSpending' }
+};
+
+/**
+ * Totals the cash flows active in a year, by kind. Amounts are in today's money and grow
+ * at each flow's own inflation rate from year 1. Recurring flows run from startYear to
+ * endYear; one-off flows happen once, in startYear.
+ */
+const getYearCashFlows = (cashFlows = [], year) => {
+  const totals = { income: 0, purchase: 0, oneOffIncome: 0, oneOffSpending: 0 };
+  cashFlows.forEach(flow => {
+    const kind = CASH_FLOW_TYPES[flow.type]?.kind;
+    if (!kind) return;
+    const isOneOff = kind === 'oneOffIncome' || kind === 'oneOffSpending';
+    const active = isOneOff ? year === flow.startYear : year >= flow.startYear && year <= flow.endYear;
+    if (active) totals[kind] += flow.amount * Math.pow(1 + flow.inflationRate / 100, year - 1);
+  });
+  return totals;
+};
+
+/**
+ * Returns the phase of a phased expense schedule that applies in a year: the latest one
+ * starting on or before it, or the earliest phase for years before any phase starts
+ */
+export const getExpensePhase = (phases, year) => {
+  const sorted = [...phases].sort((a, b) => a.startYear - b.startYear);
+  return sorted.filter(phase => phase.startYear <= year).pop() || sorted[0];
+};
+
+/**
+ * Returns a phase's spending in a year: its amount in today's money grown at the
+ * phase's own inflation rate from year 1
+ */
+export const getPhaseExpenses = (phase, year) => phase.amount * Math.pow(1 + phase.inflationRate / 100, year - 1);
+
+/**
+ * Returns the first year with any spending: year 1 without expense phases, otherwise the
+ * first year whose phase spends anything (year 1 if none of them do)
+ */
+export const getFirstSpendingYear = (inputs) => {
+  if (!(inputs.expensePhases?.length > 0)) return 1;
+  for (let year = 1; year <= inputs.years; year++) {
+    if (getPhaseExpenses(getExpensePhase(inputs.expensePhases, year), year) > 0) return year;
+  }
+  return 1;
+};
+
+/**
+ * Returns the first spending year's spending implied by the inputs: the flat annualExpenses,
+ * or that year of the phased schedule in inputs.expensePhases as entered
+ */
+export const getFirstYearExpenses = (inputs) => {
+  if (!(inputs.expensePhases?.length > 0)) return inputs.annualExpenses;
+  const year = getFirstSpendingYear(inputs);
+  return getPhaseExpenses(getExpensePhase(inputs.expensePhases, year), year);
+};
+
+/**
+ * Builds each year's expenses. Without phases, annualExpenses grows at inflationRate.
+ * With phases, the phased schedule is scaled so the first spending year (getFirstSpendingYear)
+ * comes to annualExpenses, which lets the optimal expenses search scale the whole schedule at once.
+ */
+const getExpenseSchedule = (inputs) => {
+  const schedule = [];
+  if (inputs.expensePhases?.length > 0) {
+    const firstYear = getFirstYearExpenses(inputs);
+    const scale = firstYear > 0 ? inputs.annualExpenses / firstYear : 1;
+    for (let year = 1; year <= inputs.years; year++) {
+      const phase = getExpensePhase(inputs.expensePhases, year);
+      schedule.push({ amount: getPhaseExpenses(phase, year) * scale, phase: phase.name });
+    }
+    return schedule;
+  }
+
+  let inflatedExpenses = inputs.annualExpenses;
+  for (let year = 1; year <= inputs.years; year++) {
+    schedule.push({ amount: inflatedExpenses, phase: null });
+    inflatedExpenses *= (1 + inputs.inflationRate/100);
+  }
+  return schedule;
+};
+
+/**
+ * Puts a cash surplus toward the debt (inputs.surplusAllocation 'repayDebt') and buys BTC
+ * with whatever is left, or buys BTC with all of it. Returns the debt repaid and BTC bought.
+ */
+const applySurplus = (inputs, surplus, tranches, holdings, price, month) => {
+  const debtPaidFromSurplus = inputs.surplusAllocation === 'buyBitcoin' ? 0 : repayTranches(tranches, surplus);
+  const btcBought = price > 0 ? (surplus - debtPaidFromSurplus) / price : 0;
+  if (btcBought > 0) holdings.buy(btcBought, price, month);
+  return { debtPaidFromSurplus, btcBought };
+};
+
+/**
+ * Repays debt across the tranches, most expensive first and accrued interest before
+ * principal. Returns the amount actually repaid.
+ */
+const repayTranches = (tranches, amount) => {
+  let remaining = Math.min(amount, totalTrancheDebt(tranches));
+  const repaid = remaining;
+  [...tranches].sort((a, b) => b.interestRate - a.interestRate).forEach(t => {
+    const towardInterest = Math.min(trancheUnpaidInterest(t), remaining);
+    t.interestRepaid += towardInterest;
+    remaining -= towardInterest;
+    const towardPrincipal = Math.min(tranchePrincipal(t), remaining);
+    t.principalRepaid += towardPrincipal;
+    remaining -= towardPrincipal;
+  });
+  return repaid;
+};
+
+/**
+ * Creates the running balances for each loan tranche
+ */
+const createTrancheStates = (inputs) => getLoanTranches(inputs).map(tranche => ({
+  ...tranche,
+  baseRate: tranche.interestRate,
+  borrowed: 0,
+  fees: 0,
+  interest: 0,
+  interestRepaid: 0,
+  interestPaidInCash: 0,
+  principalRepaid: 0
+}));
+
+const tranchePrincipal = (t) => t.borrowed + t.fees - t.principalRepaid;
+const trancheUnpaidInterest = (t) => t.interest - t.interestRepaid;
+const trancheDebt = (t) => tranchePrincipal(t) + trancheUnpaidInterest(t);
+const sumTranches = (tranches, field) => tranches.reduce((sum, t) => sum + t[field], 0);
+const totalTrancheDebt = (tranches) => tranches.reduce((sum, t) => sum + trancheDebt(t), 0);
+
+/**
+ * Sets every tranche's rate for one year and returns that year's rate. Configured lenders
+ * move their APRs by however far the rate has moved since year 1.
+ */
+const applyYearRates = (tranches, interestRates, yearIndex, hasLenders) => {
+  const interestRate = interestRates[yearIndex].rate;
+  tranches.forEach(t => {
+    t.interestRate = hasLenders
+      ? Math.max(0, Math.round((t.baseRate + interestRate - interestRates[0].rate) * 100) / 100)
+      : interestRate;
+  });
+  return interestRate;
+};
+
+/**
+ * Borrows an amount across the tranches, charging origination fees, and returns the
+ * cash drawn and fee charged for each tranche
+ */
+const borrowFromTranches = (amount, tranches, collateralValue, rule) => {
+  const draws = allocateBorrowing(amount, tranches, tranches.map(trancheDebt), collateralValue, rule);
+  return tranches.map((t, index) => {
+    const fee = draws[index] * (t.originationFee / 100);
+    t.borrowed += draws[index];
+    t.fees += fee;
+    return { borrowed: draws[index], fee };
+  });
+};
+
+/**
+ * Adds interest to a tranche's debt, or records it as paid in cash
+ */
+const chargeInterest = (t, interest, method) => {
+  if (method === 'payInCash') {
+    t.interestPaidInCash += interest;
+  } else {
+    t.interest += interest;
+  }
+};
+
+/**
+ * How much debt taken in inputs.loanCurrency grows each year when valued in the display
+ * currency: 1 + fxDrift% when the two currencies differ, otherwise 1
+ */
+const getFxDriftFactor = (inputs) => (
+  inputs.loanCurrency && inputs.loanCurrency !== inputs.currency ? 1 + (inputs.fxDrift || 0) / 100 : 1
+);
+
+/**
+ * Revalues every tranche's balances by an exchange-rate move and returns the change in
+ * total debt. Interest already paid in cash stays at what it cost at the time.
+ */
+const revalueTranches = (tranches, factor) => {
+  if (factor === 1) return 0;
+  const debtBefore = totalTrancheDebt(tranches);
+  tranches.forEach(t => {
+    ['borrowed', 'fees', 'interest', 'interestRepaid', 'principalRepaid'].forEach(field => {
+      t[field] *= factor;
+    });
+  });
+  return totalTrancheDebt(tranches) - debtBefore;
+};
+
+export const calculateLTV = (debt, collateralValue) => (
+  collateralValue > 0 ? (debt / collateralValue) * 100 : (debt > 0 ? Infinity : 0)
+);
+
+const getYearGrowthRate = (growthRates, year) => (
+  growthRates.find(g => g.year === year)?.rate ?? growthRates[growthRates.length - 1].rate
+);
+
+/**
+ * Sells BTC to repay debt if the lender's margin call or liquidation LTV is crossed.
+ * realizeSale(btc) books the sale and returns any capital gains tax, which comes out of
+ * the proceeds. Proceeds repay the most expensive tranche first; within a tranche,
+ * accrued interest is paid before principal. Returns null when no sale was needed.
+ */
+const applyMarginCall = (inputs, tranches, bitcoinAmount, price, ltvRatio, realizeSale) => {
+  const totalDebt = totalTrancheDebt(tranches);
+  if (!inputs.marginCallsEnabled || bitcoinAmount <= 0 || totalDebt <= 0 || ltvRatio < inputs.marginCallLTV) {
+    return null;
+  }
+
+  const btcSold = calculateBitcoinToSell(bitcoinAmount, price, totalDebt, inputs.liquidationTargetLTV);
+  const tax = realizeSale(btcSold);
+  const debtRepaid = repayTranches(tranches, Math.max(0, btcSold * price - tax));
+
+  return {
+    liquidationType: ltvRatio >= inputs.liquidationLTV ? 'liquidation' : 'marginCall',
+    btcSold,
+    debtRepaid,
+    tax
+  };
+};
+
+/**
+ * Builds the cumulative debt fields shared by yearly projection rows
+ */
+const summarizeTranches = (tranches) => ({
+  totalBorrowed: Math.round(sumTranches(tranches, 'borrowed')),
+  totalFees: Math.round(sumTranches(tranches, 'fees')),
+  totalInterest: Math.round(sumTranches(tranches, 'interest')),
+  totalRepaid: Math.round(sumTranches(tranches, 'interestRepaid') + sumTranches(tranches, 'principalRepaid')),
+  principalRepaid: Math.round(sumTranches(tranches, 'principalRepaid'))
+});
+
+/**
+ * Projects yearly portfolio value, debt, and LTV ratio based on input parameters.
+ * Borrowing is spread across the loan tranches by inputs.loanAllocation, and each
+ * tranche tracks its own principal, origination fees and interest. Each year's rate comes
+ * from generateInterestRates; configured lenders move their APRs by however far that
+ * rate has moved since year 1. Interest is charged or paid in cash by inputs.interestMethod;
+ * cash interest is added to the year's spending.
+ * Expenses follow getExpenseSchedule and are first netted against inputs.cashFlows; the shortfall is borrowed, or partly
+ * raised by selling BTC under inputs.withdrawalStrategy, and any surplus repays debt or buys
+ * BTC. DCA purchases buy BTC at the start-of-year price. Sales use FIFO tax lots and, when
+ * taxEnabled is set, are grossed up for capital gains tax.
+ * When marginCallsEnabled is set, any year whose LTV crosses marginCallLTV or liquidationLTV
+ * sells enough BTC to repay debt back down to liquidationTargetLTV.
+ * When inputs.loanCurrency differs from inputs.currency, the debt is revalued at the start of
+ * every year after the first by inputs.fxDrift (fxRevaluation on each row).
+ * Every row also carries the estate outcome (settleEstate) if the plan ended that year.
+ * With timeResolution 'monthly' the monthly engine runs instead and its yearly roll-up is returned.
+ */
+export const calculateProjections = (inputs) => {
+  if (inputs.timeResolution === 'monthly') {
+    return calculateMonthlyProjections(inputs).years;
+  }
+
+  const projections = [];
+  const hasLenders = inputs.loanTranches?.length > 0;
+  const interestRates = generateInterestRates(inputs);
+  const tranches = createTrancheStates(inputs);
+  const holdings = createBitcoinHoldings(inputs);
+
+  let totalBtcSold = 0;
+  let totalBtcSoldForExpenses = 0;
+  let totalBtcBought = 0;
+  let totalTaxPaid = 0;
+  let bitcoinAmount = inputs.bitcoinAmount;
+  let bitcoinValue = inputs.bitcoinPrice;
+  const interestMethod = inputs.interestMethod || 'simple';
+  const expenseSchedule = getExpenseSchedule(inputs);
+  const fxDriftFactor = getFxDriftFactor(inputs);
+
+  for (let i = 0; i < inputs.years; i++) {
+    const year = i + 1;
+    const month = i * 12;
+    const inflatedExpenses = expenseSchedule[i].amount;
+    const taxYear = createTaxYear(i, inputs);
+    const interestRate = applyYearRates(tranches, interestRates, i, hasLenders);
+    // Loans in another currency are revalued at each new year's exchange rate
+    const fxRevaluation = revalueTranches(tranches, i > 0 ? fxDriftFactor : 1);
+    const trancheRows = tranches.map(t => ({
+      lender: t.lender,
+      interestRate: t.interestRate,
+      principal: tranchePrincipal(t),
+      unpaidInterest: trancheUnpaidInterest(t)
+    }));
+    
+    // First charge a year of interest on each tranche, then either add it to the debt
+    // or record it as paid in cash
+    let newInterest = 0;
+    tranches.forEach((t, index) => {
+      const interest = calculateYearInterest(tranchePrincipal(t), trancheUnpaidInterest(t), t.interestRate, interestMethod);
+      chargeInterest(t, interest, interestMethod);
+      trancheRows[index].interest = interest;
+      newInterest += interest;
+    });
+    
+    // Then net the year's other cash flows against expenses and any interest paid in cash.
+    // DCA purchases aren't paid for by selling BTC, so any shortfall they cause is borrowed.
+    const flows = getYearCashFlows(inputs.cashFlows, year);
+    const cashInterest = interestMethod === 'payInCash' ? newInterest : 0;
+    const netSpending = inflatedExpenses + cashInterest + flows.oneOffSpending + flows.purchase - flows.income - flows.oneOffIncome;
+    const shortfall = Math.max(0, netSpending);
+
+    // Sell BTC for whatever part of the shortfall the withdrawal strategy doesn't borrow
+    const saleTarget = getSaleTarget(inputs, Math.max(0, shortfall - flows.purchase), totalTrancheDebt(tranches), bitcoinValue * bitcoinAmount);
+    const expenseSale = sellBitcoinForCash(saleTarget, holdings, taxYear, bitcoinValue, month);
+    bitcoinAmount -= expenseSale.btcSold;
+    totalBtcSoldForExpenses += expenseSale.btcSold;
+    const amountBorrowed = shortfall - expenseSale.cashRaised;
+
+    // Spend any surplus on the debt or on more BTC, then make the DCA purchases
+    const { debtPaidFromSurplus, btcBought: surplusBtc } = applySurplus(inputs, Math.max(0, -netSpending), tranches, holdings, bitcoinValue, month);
+    const dcaBtc = flows.purchase / bitcoinValue;
+    if (dcaBtc > 0) holdings.buy(dcaBtc, bitcoinValue, month);
+    const btcBought = surplusBtc + dcaBtc;
+    bitcoinAmount += btcBought;
+    totalBtcBought += btcBought;
+
+    // And borrow the rest, split across the lenders
+    let originationFees = 0;
+    borrowFromTranches(amountBorrowed, tranches, bitcoinValue * bitcoinAmount, inputs.loanAllocation)
+      .forEach(({ borrowed, fee }, index) => {
+        trancheRows[index].borrowed = borrowed;
+        trancheRows[index].fee = fee;
+        originationFees += fee;
+      });
+    
+    // Get growth rate for this year
+    const growthRate = getYearGrowthRate(inputs.growthRates, year);
+
+    // Apply growth for next year's starting price
+    const nextBitcoinValue = bitcoinValue * (1 + growthRate/100);
+
+    // Calculate LTV using beginning of year price
+    const ltvRatio = calculateLTV(totalTrancheDebt(tranches), bitcoinValue * bitcoinAmount);
+
+    // Sell BTC to repay debt if the lender's margin call or liquidation LTV is crossed
+    const sale = applyMarginCall(inputs, tranches, bitcoinAmount, bitcoinValue, ltvRatio,
+      (btc) => taxYear.realize(holdings.sell(btc, bitcoinValue, month)));
+    if (sale) {
+      bitcoinAmount -= sale.btcSold;
+      totalBtcSold += sale.btcSold;
+    }
+    totalTaxPaid += taxYear.taxPaid;
+
+    const totalDebt = totalTrancheDebt(tranches);
+    const ltvAfterLiquidation = calculateLTV(totalDebt, bitcoinValue * bitcoinAmount);
+
+    // Calculate portfolio value using end of year price
+    const portfolioValue = nextBitcoinValue * bitcoinAmount;
+    const netWorth = portfolioValue - totalDebt;
+    const liquidationTax = calculateLiquidationTax(holdings, nextBitcoinValue, month + 12, year, inputs);
+    const estate = settleEstate(inputs, holdings, totalDebt, nextBitcoinValue, month + 12, year);
+
+    projections.push({
+      year,
+      growthRate,
+      bitcoinPriceStart: Math.round(bitcoinValue),
+      bitcoinPriceEnd: Math.round(nextBitcoinValue),
+      bitcoinAmount,
+      portfolioValue: Math.round(portfolioValue),
+      interestRate,
+      ...summarizeTranches(tranches),
+      newInterest: Math.round(newInterest),
+      interestPaidInCash: Math.round(sumTranches(tranches, 'interestPaidInCash')),
+      originationFees: Math.round(originationFees),
+      fxRevaluation: Math.round(fxRevaluation),
+      totalDebt: Math.round(totalDebt),
+      netWorth: Math.round(netWorth),
+      ltvRatio: Math.round(ltvRatio),
+      ltvAfterLiquidation: Math.round(ltvAfterLiquidation),
+      liquidationType: sale ? sale.liquidationType : null,
+      btcSold: sale ? sale.btcSold : 0,
+      totalBtcSold,
+      debtRepaid: Math.round(sale ? sale.debtRepaid : 0),
+      annualExpenses: Math.round(inflatedExpenses),
+      ...(expenseSchedule[i].phase !== null && { expensePhase: expenseSchedule[i].phase }),
+      cashIncome: Math.round(flows.income + flows.oneOffIncome),
+      otherSpending: Math.round(flows.oneOffSpending),
+      dcaPurchases: Math.round(flows.purchase),
+      btcBought,
+      totalBtcBought,
+      debtPaidFromSurplus: Math.round(debtPaidFromSurplus),
+      amountBorrowed: Math.round(amountBorrowed),
+      btcSoldForExpenses: expenseSale.btcSold,
+      totalBtcSoldForExpenses,
+      saleProceeds: Math.round(expenseSale.proceeds + (sale ? sale.btcSold * bitcoinValue : 0)),
+      realizedGains: Math.round(taxYear.shortTermGains + taxYear.longTermGains),
+      taxPaid: Math.round(taxYear.taxPaid),
+      totalTaxPaid: Math.round(totalTaxPaid),
+      netWorthAfterTax: Math.round(netWorth - liquidationTax),
+      ...estate,
+      tranches: trancheRows.map((row, index) => ({
+        ...row,
+        principal: Math.round(row.principal),
+        unpaidInterest: Math.round(row.unpaidInterest),
+        interest: Math.round(row.interest),
+        borrowed: Math.round(row.borrowed),
+        fee: Math.round(row.fee),
+        debt: Math.round(trancheDebt(tranches[index]))
+      }))
+    });
+
+    // Update bitcoinValue for next iteration
+    bitcoinValue = nextBitcoinValue;
+  }
+
+  return projections;
+};
+
+/**
+ * Month-by-month version of calculateProjections. Each year's growth is spread evenly across
+ * its months, optionally with a seeded intra-year swing (inputs.intraYearVolatility) that
+ * still ends the year at the scheduled price. Expenses are borrowed at the start of each
+ * month, interest accrues at the end of it, and LTV and margin calls are checked every
+ * month at that month's price. Returns the month rows and a yearly roll-up with the same
+ * fields as calculateProjections, where ltvRatio is the year's peak monthly LTV.
+ */
+export const calculateMonthlyProjections = (inputs) => {
+  const months = [];
+  const years = [];
+  const hasLenders = inputs.loanTranches?.length > 0;
+  const interestRates = generateInterestRates(inputs);
+  const tranches = createTrancheStates(inputs);
+  const interestMethod = inputs.interestMethod || 'simple';
+  const random = createRandom(inputs.monteCarloSeed);
+  const monthlySwing = (inputs.intraYearVolatility || 0) / 100 / Math.sqrt(12);
+  const holdings = createBitcoinHoldings(inputs);
+
+  let totalBtcSold = 0;
+  let totalBtcSoldForExpenses = 0;
+  let totalBtcBought = 0;
+  let totalTaxPaid = 0;
+  let bitcoinAmount = inputs.bitcoinAmount;
+  let bitcoinValue = inputs.bitcoinPrice;
+  const expenseSchedule = getExpenseSchedule(inputs);
+  const fxDriftFactor = getFxDriftFactor(inputs);
+  // Interest paid in cash accrues at the end of a month and is paid with the next month's spending
+  let cashInterestDue = 0;
+
+  for (let i = 0; i < inputs.years; i++) {
+    const year = i + 1;
+    const inflatedExpenses = expenseSchedule[i].amount;
+    const interestRate = applyYearRates(tranches, interestRates, i, hasLenders);
+    const fxRevaluation = revalueTranches(tranches, i > 0 ? fxDriftFactor : 1);
+    const growthRate = getYearGrowthRate(inputs.growthRates, year);
+    const nextBitcoinValue = bitcoinValue * (1 + growthRate/100);
+    const monthlyLogGrowth = Math.log(Math.max(1 + growthRate/100, 1e-9)) / 12;
+
+    // A random walk pinned back to zero at the end of the year (a Brownian bridge), so
+    // prices can dip or spike mid-year without changing the year's return
+    const walk = [0];
+    for (let m = 1; m <= 12; m++) {
+      walk.push(walk[m - 1] + (monthlySwing > 0 ? monthlySwing * randomNormal(random) : 0));
+    }
+    const priceAt = (m) => bitcoinValue * Math.exp(monthlyLogGrowth * m + walk[m] - (m / 12) * walk[12]);
+
+    const trancheRows = tranches.map(t => ({
+      lender: t.lender,
+      interestRate: t.interestRate,
+      principal: tranchePrincipal(t),
+      unpaidInterest: trancheUnpaidInterest(t),
+      interest: 0,
+      borrowed: 0,
+      fee: 0
+    }));
+    const yearStartUnpaidInterest = tranches.map(trancheUnpaidInterest);
+    const monthlyExpenses = inflatedExpenses / 12;
+    const taxYear = createTaxYear(i, inputs);
+    const flows = getYearCashFlows(inputs.cashFlows, year);
+    let btcSoldForExpenses = 0;
+    let saleProceeds = 0;
+    let amountBorrowed = 0;
+    let btcBought = 0;
+    let debtPaidFromSurplus = 0;
+    let peakLTV = 0;
+    let peakLTVMonth = 1;
+    let ltvAfterLiquidation = 0;
+    let liquidationType = null;
+    let btcSold = 0;
+    let debtRepaid = 0;
+    let originationFees = 0;
+
+    for (let m = 0; m < 12; m++) {
+      const price = priceAt(m);
+      const month = i * 12 + m;
+
+      // Recurring flows are spread across the year; one-off flows land in its first month
+      const monthlyPurchase = flows.purchase / 12;
+      const netSpending = monthlyExpenses + cashInterestDue + monthlyPurchase - flows.income / 12 +
+        (m === 0 ? flows.oneOffSpending - flows.oneOffIncome : 0);
+      cashInterestDue = 0;
+      const shortfall = Math.max(0, netSpending);
+
+      const saleTarget = getSaleTarget(inputs, Math.max(0, shortfall - monthlyPurchase), totalTrancheDebt(tranches), price * bitcoinAmount);
+      const expenseSale = sellBitcoinForCash(saleTarget, holdings, taxYear, price, month);
+      bitcoinAmount -= expenseSale.btcSold;
+      btcSoldForExpenses += expenseSale.btcSold;
+      saleProceeds += expenseSale.proceeds;
+      amountBorrowed += shortfall - expenseSale.cashRaised;
+
+      const surplus = applySurplus(inputs, Math.max(0, -netSpending), tranches, holdings, price, month);
+      const dcaBtc = monthlyPurchase / price;
+      if (dcaBtc > 0) holdings.buy(dcaBtc, price, month);
+      bitcoinAmount += surplus.btcBought + dcaBtc;
+      btcBought += surplus.btcBought + dcaBtc;
+      debtPaidFromSurplus += surplus.debtPaidFromSurplus;
+
+      borrowFromTranches(shortfall - expenseSale.cashRaised, tranches, price * bitcoinAmount, inputs.loanAllocation)
+        .forEach(({ borrowed, fee }, index) => {
+          trancheRows[index].borrowed += borrowed;
+          trancheRows[index].fee += fee;
+          originationFees += fee;
+        });
+
+      const ltvRatio = calculateLTV(totalTrancheDebt(tranches), price * bitcoinAmount);
+      if (ltvRatio > peakLTV || m === 0) {
+        peakLTV = ltvRatio;
+        peakLTVMonth = m + 1;
+      }
+
+      const sale = applyMarginCall(inputs, tranches, bitcoinAmount, price, ltvRatio,
+        (btc) => taxYear.realize(holdings.sell(btc, price, month)));
+      if (sale) {
+        bitcoinAmount -= sale.btcSold;
+        totalBtcSold += sale.btcSold;
+        btcSold += sale.btcSold;
+        saleProceeds += sale.btcSold * price;
+        debtRepaid += sale.debtRepaid;
+        if (liquidationType !== 'liquidation') liquidationType = sale.liquidationType;
+        ltvAfterLiquidation = calculateLTV(totalTrancheDebt(tranches), price * bitcoinAmount);
+      } else if (!liquidationType) {
+        ltvAfterLiquidation = peakLTV;
+      }
+
+      // The plan's last month of cash interest isn't paid before it ends, so it is still owed
+      const isFinalMonth = i === inputs.years - 1 && m === 11;
+      tranches.forEach((t, index) => {
+        const interest = calculateMonthInterest(
+          tranchePrincipal(t), trancheUnpaidInterest(t), yearStartUnpaidInterest[index], t.interestRate, interestMethod
+        );
+        chargeInterest(t, interest, isFinalMonth ? 'simple' : interestMethod);
+        if (interestMethod === 'payInCash' && !isFinalMonth) cashInterestDue += interest;
+        trancheRows[index].interest += interest;
+      });
+
+      const endPrice = priceAt(m + 1);
+      const totalDebt = totalTrancheDebt(tranches);
+      months.push({
+        year,
+        month: m + 1,
+        label: `Y${year} M${m + 1}`,
+        bitcoinPrice: Math.round(endPrice),
+        bitcoinAmount,
+        portfolioValue: Math.round(endPrice * bitcoinAmount),
+        totalDebt: Math.round(totalDebt),
+        netWorth: Math.round(endPrice * bitcoinAmount - totalDebt),
+        ltvRatio: Math.round(ltvRatio),
+        liquidationType: sale ? sale.liquidationType : null,
+        btcSold: sale ? sale.btcSold : 0,
+        tranches: tranches.map(t => ({ debt: Math.round(trancheDebt(t)) }))
+      });
+    }
+
+    const totalDebt = totalTrancheDebt(tranches);
+    const portfolioValue = nextBitcoinValue * bitcoinAmount;
+    const newInterest = trancheRows.reduce((sum, row) => sum + row.interest, 0);
+    const liquidationTax = calculateLiquidationTax(holdings, nextBitcoinValue, year * 12, year, inputs);
+    const estate = settleEstate(inputs, holdings, totalDebt, nextBitcoinValue, year * 12, year);
+    totalBtcSoldForExpenses += btcSoldForExpenses;
+    totalBtcBought += btcBought;
+    totalTaxPaid += taxYear.taxPaid;
+
+    years.push({
+      year,
+      growthRate,
+      bitcoinPriceStart: Math.round(bitcoinValue),
+      bitcoinPriceEnd: Math.round(nextBitcoinValue),
+      bitcoinAmount,
+      portfolioValue: Math.round(portfolioValue),
+      interestRate,
+      ...summarizeTranches(tranches),
+      newInterest: Math.round(newInterest),
+      interestPaidInCash: Math.round(sumTranches(tranches, 'interestPaidInCash')),
+      originationFees: Math.round(originationFees),
+      fxRevaluation: Math.round(fxRevaluation),
+      totalDebt: Math.round(totalDebt),
+      netWorth: Math.round(portfolioValue - totalDebt),
+      ltvRatio: Math.round(peakLTV),
+      peakLTVMonth,
+      ltvAfterLiquidation: Math.round(ltvAfterLiquidation),
+      liquidationType,
+      btcSold,
+      totalBtcSold,
+      debtRepaid: Math.round(debtRepaid),
+      annualExpenses: Math.round(inflatedExpenses),
+      ...(expenseSchedule[i].phase !== null && { expensePhase: expenseSchedule[i].phase }),
+      cashIncome: Math.round(flows.income + flows.oneOffIncome),
+      otherSpending: Math.round(flows.oneOffSpending),
+      dcaPurchases: Math.round(flows.purchase),
+      btcBought,
+      totalBtcBought,
+      debtPaidFromSurplus: Math.round(debtPaidFromSurplus),
+      amountBorrowed: Math.round(amountBorrowed),
+      btcSoldForExpenses,
+      totalBtcSoldForExpenses,
+      saleProceeds: Math.round(saleProceeds),
+      realizedGains: Math.round(taxYear.shortTermGains + taxYear.longTermGains),
+      taxPaid: Math.round(taxYear.taxPaid),
+      totalTaxPaid: Math.round(totalTaxPaid),
+      netWorthAfterTax: Math.round(portfolioValue - totalDebt - liquidationTax),
+      ...estate,
+      tranches: trancheRows.map((row, index) => ({
+        ...row,
+        principal: Math.round(row.principal),
+        unpaidInterest: Math.round(row.unpaidInterest),
+        interest: Math.round(row.interest),
+        borrowed: Math.round(row.borrowed),
+        fee: Math.round(row.fee),
+        debt: Math.round(trancheDebt(tranches[index]))
+      }))
+    });
+
+    bitcoinValue = nextBitcoinValue;
+  }
+
+  return { months, years };
+};
+
+/**
+ * Uses binary search to find maximum annual expenses that keep LTV ratio below maxLTV.
+ * With expense phases this is the spending in the first year that has any
+ * (getFirstSpendingYear), and every phase scales with it. When no phase spends anything
+ * there is nothing to scale, so the optimum is 0.
+ */
+export const findOptimalAnnualExpenses = (inputs) => {
+  if (inputs.expensePhases?.length > 0 && getFirstYearExpenses(inputs) === 0) return 0;
+
+  // Spending more than that year's BTC value plus its income would exceed 100% LTV
+  const firstSpendingYear = getFirstSpendingYear(inputs);
+  const firstYearFlows = getYearCashFlows(inputs.cashFlows, firstSpendingYear);
+  let priceAtFirstSpend = inputs.bitcoinPrice;
+  for (let year = 1; year < firstSpendingYear; year++) {
+    priceAtFirstSpend *= 1 + getYearGrowthRate(inputs.growthRates, year) / 100;
+  }
+  let low = 0;
+  let high = priceAtFirstSpend * inputs.bitcoinAmount + firstYearFlows.income + firstYearFlows.oneOffIncome;
+  let optimalExpenses = 0;
+  const maxLTV = inputs.maxLTV || 50; // Use custom maxLTV or default to 50
+  const PRECISION = 100;
+
+  while (high - low > PRECISION) {
+    const mid = (low + high) / 2;
+    const projections = calculateProjections({ ...inputs, annualExpenses: mid });
+    const maxLTVInProjections = Math.max(...projections.map(p => p.ltvRatio));
+
+    if (maxLTVInProjections <= maxLTV) {
+      optimalExpenses = mid;
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+
+  return Math.round(optimalExpenses);
+};
+
+/**
+ * Projects the plan with some inputs overridden, regenerating the growth schedule so growth
+ * inputs take effect. Spends `annualExpenses` in the first year unless spending is itself
+ * overridden, or the trial's optimal expenses when `annualExpenses` is null.
+ */
+const projectTrial = (inputs, overrides, annualExpenses) => {
+  const trial = { ...inputs, ...overrides };
+  const growthRates = generateScenarioGrowthRates(trial);
+  const baseInputs = { ...trial, growthRates, years: growthRates.length };
+  const spending = 'annualExpenses' in overrides
+    ? overrides.annualExpenses
+    : annualExpenses ?? findOptimalAnnualExpenses(baseInputs);
+  return {
+    annualExpenses: spending,
+    projections: calculateProjections({ ...baseInputs, annualExpenses: spending })
+  };
+};
+
+// Inputs the goal-seek solver can vary, with the default search range for each. A unit of
+// '$' marks money, which is in the scenario's display currency.
+export const GOAL_SEEK_VARIABLES = {
+  bitcoinAmount: { label: 'Bitcoin Amount', unit: 'BTC', min: 0.01, max: 1000, tolerance: 0.0001 },
+  bitcoinPrice: { label: 'Starting Bitcoin Price', unit: '$', min: 1000, max: 10000000, tolerance: 1 },
+  annualExpenses: { label: 'Annual Expenses', unit: '$', min: 0, max: 10000000, tolerance: 100 },
+  interestRate: { label: 'Interest Rate', unit: '%', min: 0, max: 50, tolerance: 0.01 },
+  initialGrowthRate: { label: 'Initial Growth Rate', unit: '%', min: -50, max: 300, tolerance: 0.01 },
+  terminalGrowthRate: { label: 'Final Growth Rate', unit: '%', min: -50, max: 100, tolerance: 0.01 },
+  inflationRate: { label: 'Inflation Rate', unit: '%', min: -5, max: 30, tolerance: 0.01 },
+  years: { label: 'Years to Simulate', unit: 'years', min: 1, max: 100, tolerance: 1, integer: true }
+};
+
+// Results the solver can target; `atLeast` says whether the target is a floor or a ceiling
+export const GOAL_SEEK_METRICS = {
+  peakLTV: { label: 'Peak LTV (%)', atLeast: false, value: projections => Math.max(...projections.map(p => p.ltvRatio)) },
+  finalNetWorth: { label: 'Final Net Worth', unit: '$', atLeast: true, value: projections => projections[projections.length - 1].netWorth },
+  estateValue: { label: 'Left to Heirs', unit: '$', atLeast: true, value: projections => projections[projections.length - 1].estateValue },
+  finalBitcoin: { label: 'BTC Left', atLeast: true, value: projections => projections[projections.length - 1].bitcoinAmount }
+};
+
+/**
+ * Finds the value of one input at which a projection result crosses a target, by
+ * bisection between `min` and `max`. Spending is held at `annualExpenses` unless it is the
+ * variable being solved for. Assumes the result moves in one direction as the variable
+ * grows; returns the smallest value that meets the target if larger values meet it, or the
+ * largest if smaller values do. The returned `status` is 'converged', 'notConverged',
+ * 'alwaysMet', 'noSolution' or 'invalid', with a message explaining it.
+ */
+export const solveForInput = (inputs, { variable, metric, target, annualExpenses, min, max, maxIterations = 60 }) => {
+  const definition = GOAL_SEEK_VARIABLES[variable];
+  const goal = GOAL_SEEK_METRICS[metric];
+  if (!definition || !goal) {
+    return { status: 'invalid', message: 'Choose an input to solve for and a target to meet.' };
+  }
+  if (!Number.isFinite(min) || !Number.isFinite(max) || min >= max) {
+    return { status: 'invalid', message: 'The search range needs a minimum below its maximum.' };
+  }
+  if (!Number.isFinite(target)) {
+    return { status: 'invalid', message: 'Enter a target value.' };
+  }
+  if (variable !== 'annualExpenses' && !Number.isFinite(annualExpenses)) {
+    return { status: 'invalid', message: 'Enter the first-year spending to hold fixed.' };
+  }
+
+  const evaluate = (value) => {
+    const { projections } = projectTrial(inputs, { [variable]: value }, annualExpenses);
+    const result = goal.value(projections);
+    return { result, meetsTarget: goal.atLeast ? result >= target : result <= target };
+  };
+
+  const atMin = evaluate(min);
+  const atMax = evaluate(max);
+  const decimals = Math.max(0, -Math.floor(Math.log10(definition.tolerance)));
+  const { locale, formatMoney } = createFormatters(inputs.currency);
+  const describe = (value) => {
+    if (definition.unit === '$') return formatMoney(Number(value.toFixed(decimals)));
+    const number = value.toLocaleString(locale, { maximumFractionDigits: decimals });
+    return definition.unit === '%' ? `${number}%` : `${number} ${definition.unit}`;
+  };
+  if (atMin.meetsTarget && atMax.meetsTarget) {
+    return {
+      status: 'alwaysMet',
+      value: null,
+      message: `${definition.label} meets the target everywhere from ${describe(min)} to ${describe(max)}, so there is no limit to find in this range.`
+    };
+  }
+  if (!atMin.meetsTarget && !atMax.meetsTarget) {
+    return {
+      status: 'noSolution',
+      value: null,
+      message: `No solution: ${definition.label} misses the target everywhere from ${describe(min)} to ${describe(max)}. Widen the range or relax the target.`
+    };
+  }
+
+  // Keep `feasible` on the side that meets the target and close in on the crossing point
+  const kind = atMax.meetsTarget ? 'minimum' : 'maximum';
+  let feasible = kind === 'minimum' ? max : min;
+  let infeasible = kind === 'minimum' ? min : max;
+  let best = kind === 'minimum' ? atMax : atMin;
+  let iterations = 0;
+  while (Math.abs(feasible - infeasible) > definition.tolerance && iterations < maxIterations) {
+    const mid = definition.integer
+      ? Math.floor((feasible + infeasible) / 2)
+      : (feasible + infeasible) / 2;
+    if (mid === feasible || mid === infeasible) break;
+    const trial = evaluate(mid);
+    if (trial.meetsTarget) {
+      feasible = mid;
+      best = trial;
+    } else {
+      infeasible = mid;
+    }
+    iterations++;
+  }
+
+  // Round towards the feasible side so the reported value still meets the target
+  const steps = feasible / definition.tolerance;
+  const value = Math.min(max, Math.max(min, Number(((kind === 'minimum' ? Math.ceil(steps) : Math.floor(steps)) * definition.tolerance).toFixed(decimals))));
+  const converged = Math.abs(feasible - infeasible) <= definition.tolerance;
+  return {
+    status: converged ? 'converged' : 'notConverged',
+    kind,
+    value,
+    result: best.result,
+    iterations,
+    message: converged
+      ? `${kind === 'minimum' ? 'Minimum' : 'Maximum'} ${definition.label} that meets the target: ${describe(value)}.`
+      : `Stopped after ${iterations} steps without narrowing the range below ${describe(definition.tolerance)}; the best value found is ${describe(value)}.`
+  };
+};
+
+// Inputs the sensitivity heatmap can put on an axis: the goal-seek inputs plus the LTV cap
+export const SENSITIVITY_VARIABLES = {
+  ...GOAL_SEEK_VARIABLES,
+  maxLTV: { label: 'Max LTV', unit: '%', min: 10, max: 90, tolerance: 0.01 }
+};
+
+export const SENSITIVITY_METRICS = {
+  optimalExpenses: { label: 'Optimal Expenses', higherIsBetter: true },
+  peakLTV: { label: 'Peak LTV', higherIsBetter: false },
+  finalNetWorth: { label: 'Final Net Worth', higherIsBetter: true }
+};
+
+export const MAX_SENSITIVITY_STEPS = 15;
+
+/**
+ * Runs the plan across a grid of two inputs for the sensitivity heatmap. Each axis is
+ * { variable, min, max, steps }. Optimal expenses are searched for in every cell; peak LTV
+ * and final net worth hold first-year spending at `annualExpenses`. Calls
+ * `onProgress(done, total)` after each row so a worker can report progress.
+ */
+export const runSensitivityGrid = (inputs, { xAxis, yAxis, metric, annualExpenses, onProgress }) => {
+  const axisValues = ({ variable, min, max, steps }) => {
+    const values = Array.from({ length: steps }, (_, i) => (
+      steps === 1 ? min : min + (max - min) * i / (steps - 1)
+    ));
+    return SENSITIVITY_VARIABLES[variable].integer
+      ? [...new Set(values.map(Math.round))]
+      : values.map(value => Number(value.toFixed(4)));
+  };
+  const xValues = axisValues(xAxis);
+  const yValues = axisValues(yAxis);
+  const searchOptimal = metric === 'optimalExpenses';
+
+  const rows = yValues.map((y, rowIndex) => {
+    const row = xValues.map(x => {
+      const run = projectTrial(
+        inputs,
+        { [xAxis.variable]: x, [yAxis.variable]: y },
+        searchOptimal ? null : annualExpenses
+      );
+      const finalRow = run.projections[run.projections.length - 1];
+      const peakLTV = Math.max(...run.projections.map(p => p.ltvRatio));
+      return {
+        x,
+        y,
+        annualExpenses: run.annualExpenses,
+        peakLTV,
+        finalNetWorth: finalRow.netWorth,
+        finalBitcoin: finalRow.bitcoinAmount,
+        estateValue: finalRow.estateValue,
+        liquidations: run.projections.filter(p => p.liquidationType).length,
+        value: searchOptimal ? run.annualExpenses : metric === 'peakLTV' ? peakLTV : finalRow.netWorth
+      };
+    });
+    onProgress?.(rowIndex + 1, yValues.length);
+    return row;
+  });
+
+  return { xAxis, yAxis, metric, xValues, yValues, rows };
+};
+
+// Inputs the tornado chart moves one at a time
+export const TORNADO_VARIABLES = [
+  'bitcoinAmount',
+  'bitcoinPrice',
+  'interestRate',
+  'initialGrowthRate',
+  'terminalGrowthRate',
+  'inflationRate',
+  'maxLTV'
+];
+
+const GROWTH_MODEL_PARAMS = new Set(Object.values(GROWTH_MODELS).flatMap(model => model.params.map(p => p.key)));
+
+/**
+ * Returns the TORNADO_VARIABLES the scenario actually reads: growth model parameters only
+ * when the selected model uses them, and none of them in backtest mode
+ */
+const getTornadoVariables = (inputs) => {
+  const model = GROWTH_MODELS[inputs.growthModel] || GROWTH_MODELS.linearDecay;
+  const modelParams = inputs.simulationMode === 'backtest' ? [] : model.params.map(p => p.key);
+  return TORNADO_VARIABLES.filter(variable => !GROWTH_MODEL_PARAMS.has(variable) || modelParams.includes(variable));
+};
+
+/**
+ * Moves each tornado input down and up by `change` percent of its current value, one at a
+ * time, and records the optimal expenses and the final net worth with first-year spending
+ * held at `annualExpenses`. Returns the unmoved `base` and one bar per input, in
+ * TORNADO_VARIABLES order, for the inputs the scenario reads (getTornadoVariables). Inputs
+ * at 0 can't move by a percentage, so they are listed in `zeroVariables` instead of given a
+ * bar. Calls `onProgress(done, total)` after each input.
+ */
+export const runTornadoAnalysis = (inputs, { change, annualExpenses, onProgress }) => {
+  const measure = (overrides) => {
+    const optimal = projectTrial(inputs, overrides, null);
+    const { projections } = projectTrial(inputs, overrides, annualExpenses);
+    return {
+      optimalExpenses: optimal.annualExpenses,
+      finalNetWorth: projections[projections.length - 1].netWorth
+    };
+  };
+
+  const variables = getTornadoVariables(inputs);
+  const zeroVariables = variables.filter(variable => inputs[variable] === 0);
+  const movedVariables = variables.filter(variable => inputs[variable] !== 0);
+  const base = measure({});
+  const bars = movedVariables.map((variable, index) => {
+    const lowValue = inputs[variable] * (1 - change / 100);
+    const highValue = inputs[variable] * (1 + change / 100);
+    const bar = {
+      variable,
+      lowValue,
+      highValue,
+      low: measure({ [variable]: lowValue }),
+      high: measure({ [variable]: highValue })
+    };
+    onProgress?.(index + 1, movedVariables.length);
+    return bar;
+  });
+
+  return { change, base, bars, zeroVariables };
+};
+
+/**
+ * Runs the same expenses under each withdrawal strategy and summarizes where each ends up
+ */
+export const compareWithdrawalStrategies = (inputs) => (
+  Object.entries(WITHDRAWAL_STRATEGIES).map(([strategy, label]) => {
+    const projections = calculateProjections({ ...inputs, withdrawalStrategy: strategy });
+    const last = projections[projections.length - 1];
+    return {
+      strategy,
+      label,
+      projections,
+      bitcoinAmount: last.bitcoinAmount,
+      netWorth: last.netWorth,
+      netWorthAfterTax: last.netWorthAfterTax,
+      totalTaxPaid: last.totalTaxPaid,
+      totalInterest: last.totalInterest + last.interestPaidInCash,
+      estateValue: last.estateValue,
+      peakLTV: Math.max(...projections.map(p => p.ltvRatio))
+    };
+  })
+);
+
+/**
+ * Creates a seeded pseudo-random number generator (mulberry32) returning floats in [0, 1)
+ */
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Draws a standard normal sample using the Box-Muller transform
+ */
+const randomNormal = (random) => {
+  const u = 1 - random(); // avoid log(0)
+  const v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+};
+
+/**
+ * Randomizes each year's scheduled growth rate with a log-normal shock so the
+ * expected yearly return still matches the schedule
+ */
+const generateRandomGrowthRates = (growthRates, volatility, random) => {
+  const sigma = volatility / 100;
+  return growthRates.map(({ year, rate }) => {
+    const drift = Math.log(1 + rate / 100) - (sigma * sigma) / 2;
+    const randomRate = (Math.exp(drift + sigma * randomNormal(random)) - 1) * 100;
+    return { year, rate: Math.round(randomRate * 100) / 100 };
+  });
+};
+
+/**
+ * Returns the value at the given percentile (0-100) of an ascending sorted array
+ */
+const percentile = (sortedValues, p) => {
+  if (sortedValues.length === 0) return 0;
+  const index = (p / 100) * (sortedValues.length - 1);
+  const lower = Math.floor(index);
+  const upper = Math.ceil(index);
+  const weight = index - lower;
+  if (weight === 0) return sortedValues[lower];
+  return sortedValues[lower] * (1 - weight) + sortedValues[upper] * weight;
+};
+
+/**
+ * Runs many randomized projections around the growth schedule and summarizes
+ * P10/P50/P90 bands for portfolio value, debt and LTV, plus the share of runs
+ * that never exceeded maxLTV
+ */
+export const runMonteCarloSimulation = (inputs, { runs, volatility, seed }) => {
+  const random = createRandom(seed);
+  const maxLTV = inputs.maxLTV || 50;
+  const yearly = Array.from({ length: inputs.years }, () => ({
+    portfolioValue: [],
+    totalDebt: [],
+    ltvRatio: []
+  }));
+  let successfulRuns = 0;
+  let liquidatedRuns = 0;
+
+  for (let run = 0; run < runs; run++) {
+    const growthRates = generateRandomGrowthRates(inputs.growthRates, volatility, random);
+    const projections = calculateProjections({ ...inputs, growthRates });
+
+    projections.forEach((p, i) => {
+      yearly[i].portfolioValue.push(p.portfolioValue);
+      yearly[i].totalDebt.push(p.totalDebt);
+      yearly[i].ltvRatio.push(p.ltvRatio);
+    });
+
+    if (projections.every(p => p.ltvRatio <= maxLTV)) {
+      successfulRuns++;
+    }
+    if (projections.some(p => p.liquidationType)) {
+      liquidatedRuns++;
+    }
+  }
+
+  const bands = yearly.map((values, i) => {
+    const band = { year: i + 1 };
+    Object.entries(values).forEach(([key, samples]) => {
+      const sorted = samples.sort((a, b) => a - b);
+      band[key] = {
+        p10: Math.round(percentile(sorted, 10)),
+        p50: Math.round(percentile(sorted, 50)),
+        p90: Math.round(percentile(sorted, 90))
+      };
+    });
+    return band;
+  });
+
+  return {
+    bands,
+    runs,
+    successRate: runs > 0 ? successfulRuns / runs : 0,
+    liquidationRate: runs > 0 ? liquidatedRuns / runs : 0
+  };
+};
+
+/**
+ * Returns every calendar year a backtest can start in (the first year with a prior close)
+ */
+export const getBacktestStartYears = () => BTC_YEARLY_CLOSES.slice(1).map(({ year }) => year);
+
+/**
+ * Converts real year-end closes into a growth schedule starting in startYear, covering at most
+ * `years` years or as many as the bundled dataset allows
+ */
+const generateHistoricalGrowthRates = (startYear, years) => {
+  const startIndex = BTC_YEARLY_CLOSES.findIndex(({ year }) => year === startYear);
+  if (startIndex < 1) return [];
+
+  const rates = [];
+  for (let i = startIndex; i < BTC_YEARLY_CLOSES.length && rates.length < years; i++) {
+    const rate = (BTC_YEARLY_CLOSES[i].close / BTC_YEARLY_CLOSES[i - 1].close - 1) * 100;
+    rates.push({
+      year: rates.length + 1,
+      calendarYear: BTC_YEARLY_CLOSES[i].year,
+      rate: Math.round(rate * 100) / 100
+    });
+  }
+  return rates;
+};
+
+/**
+ * Replays the strategy from every possible start year using real BTC returns and
+ * summarizes how each run turned out, both at the given annual expenses and at the
+ * maximum expenses that would have kept LTV under maxLTV on that path
+ */
+export const runHistoricalBacktests = (inputs) => {
+  return getBacktestStartYears().map(startYear => {
+    const growthRates = generateHistoricalGrowthRates(startYear, inputs.years);
+    const runInputs = { ...inputs, growthRates, years: growthRates.length };
+    const projections = calculateProjections(runInputs);
+    const finalRow = projections[projections.length - 1];
+
+    return {
+      startYear,
+      endYear: growthRates[growthRates.length - 1].calendarYear,
+      years: growthRates.length,
+      optimalExpenses: findOptimalAnnualExpenses(runInputs),
+      peakLTV: Math.max(...projections.map(p => p.ltvRatio)),
+      liquidations: projections.filter(p => p.liquidationType).length,
+      finalBitcoinAmount: finalRow.bitcoinAmount,
+      finalNetWorth: finalRow.netWorth,
+      projections
+    };
+  });
+};
+
+/**
+ * Runs a complete scenario from raw calculator inputs: builds its growth schedule, finds
+ * the optimal expenses when requested, and projects every year
+ */
+export const runScenario = (inputs) => {
+  const growthRates = generateScenarioGrowthRates(inputs);
+  const baseInputs = { ...inputs, growthRates, years: growthRates.length };
+  const optimalExpenses = inputs.useOptimalExpenses ? findOptimalAnnualExpenses(baseInputs) : null;
+  const annualExpenses = optimalExpenses ?? getFirstYearExpenses(inputs);
+  const projections = calculateProjections({ ...baseInputs, annualExpenses });
+
+  return { growthRates, optimalExpenses, annualExpenses, projections };
+};
+
+/**
+ * Runs everything the calculator page shows for one set of inputs: the optimal expense
+ * search, the yearly (and monthly) projection, Monte Carlo bands or historical backtests
+ * for the chosen simulation mode, and the withdrawal strategy comparison. Everything in
+ * the result is plain data, so it can be posted back from a Web Worker.
+ */
+export const runCalculation = (inputs) => {
+  const growthRates = generateScenarioGrowthRates(inputs);
+  // Backtests can cover fewer years than requested when the dataset runs out
+  const baseInputs = { ...inputs, growthRates, years: growthRates.length };
+  const optimalExpenses = inputs.useOptimalExpenses ? findOptimalAnnualExpenses(baseInputs) : null;
+  const annualExpenses = optimalExpenses ?? getFirstYearExpenses(inputs);
+  const projectionInputs = { ...baseInputs, annualExpenses };
+  const monthly = inputs.timeResolution === 'monthly' ? calculateMonthlyProjections(projectionInputs) : null;
+
+  return {
+    optimalExpenses,
+    annualExpenses,
+    results: monthly ? monthly.years : calculateProjections(projectionInputs),
+    monthlyResults: monthly ? monthly.months : null,
+    monteCarlo: inputs.simulationMode === 'monteCarlo'
+      ? runMonteCarloSimulation(projectionInputs, {
+        runs: Math.max(1, Math.round(inputs.monteCarloRuns)),
+        volatility: inputs.volatility,
+        seed: inputs.monteCarloSeed
+      })
+      : null,
+    backtests: inputs.simulationMode === 'backtest' ? runHistoricalBacktests({ ...inputs, annualExpenses }) : null,
+    strategyComparison: compareWithdrawalStrategies(projectionInputs)
+  };
+};
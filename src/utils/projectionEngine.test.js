@@ -0,0 +1,232 @@
+import { describe, expect, it } from 'vitest';
+import {
+  calculateProjections,
+  findOptimalAnnualExpenses,
+  generateScenarioGrowthRates,
+  runCalculation,
+  runMonteCarloSimulation,
+  runScenario,
+  runTornadoAnalysis,
+  solveForInput
+} from './projectionEngine.js';
+import { validateInputs } from './scenarioInputs.js';
+
+// Golden outputs: these pin the numbers the calculator produced when the engine was
+// extracted. A change here means the model changed, so update them deliberately.
+
+const scenario = (overrides = {}) => validateInputs({ bitcoinPrice: 100000, ...overrides });
+
+const summarize = (row) => ({
+  year: row.year,
+  bitcoinAmount: Number(row.bitcoinAmount.toFixed(6)),
+  annualExpenses: Math.round(row.annualExpenses),
+  totalDebt: Math.round(row.totalDebt),
+  netWorth: Math.round(row.netWorth),
+  ltvRatio: row.ltvRatio
+});
+
+describe('generateScenarioGrowthRates', () => {
+  it('decays linearly from the initial to the final rate over nine years by default', () => {
+    const rates = generateScenarioGrowthRates(scenario()).map(g => g.rate);
+    expect(rates).toHaveLength(20);
+    expect(rates.slice(0, 11)).toEqual([60, 55, 50, 45, 40, 35, 30, 25, 20, 15, 15]);
+  });
+
+  it('applies per-year overrides on top of the model', () => {
+    const rates = generateScenarioGrowthRates(scenario({ growthRateOverrides: { 4: -60 } }));
+    expect(rates[3]).toMatchObject({ year: 4, rate: -60 });
+    expect(rates[4].rate).toBe(40);
+  });
+});
+
+describe('runScenario golden outputs', () => {
+  it('default inputs', () => {
+    const { optimalExpenses, projections } = runScenario(scenario());
+    expect(optimalExpenses).toBe(106860);
+    expect(summarize(projections[0])).toEqual({ year: 1, bitcoinAmount: 3, annualExpenses: 106860, totalDebt: 106860, netWorth: 373140, ltvRatio: 36 });
+    expect(summarize(projections[9])).toEqual({ year: 10, bitcoinAmount: 3, annualExpenses: 139428, totalDebt: 1955037, netWorth: 4903420, ltvRatio: 33 });
+    expect(summarize(projections[19])).toEqual({ year: 20, bitcoinAmount: 3, annualExpenses: 187380, totalDebt: 6297487, netWorth: 21448799, ltvRatio: 26 });
+    expect(Math.max(...projections.map(p => p.ltvRatio))).toBe(50);
+  });
+
+  it('monthly time step', () => {
+    const { optimalExpenses, projections } = runScenario(scenario({ timeResolution: 'monthly' }));
+    expect(optimalExpenses).toBe(146191);
+    expect(summarize(projections[19])).toEqual({ year: 20, bitcoinAmount: 3, annualExpenses: 256347, totalDebt: 8913235, netWorth: 18833051, ltvRatio: 34 });
+  });
+
+  it('yearly compounding interest', () => {
+    const { optimalExpenses, projections } = runScenario(scenario({ interestMethod: 'compoundYearly' }));
+    expect(optimalExpenses).toBe(106274);
+    expect(summarize(projections[19])).toEqual({ year: 20, bitcoinAmount: 3, annualExpenses: 186352, totalDebt: 11533027, netWorth: 16213259, ltvRatio: 48 });
+  });
+
+  it('two lenders with a 50/50 split', () => {
+    const { optimalExpenses, projections } = runScenario(scenario({
+      loanAllocation: 'split',
+      loanTranches: [
+        { lender: 'A', interestRate: 9, originationFee: 1, maxLTV: 30, share: 50 },
+        { lender: 'B', interestRate: 12, originationFee: 0, maxLTV: 60, share: 50 }
+      ]
+    }));
+    expect(optimalExpenses).toBe(109644);
+    expect(summarize(projections[0])).toEqual({ year: 1, bitcoinAmount: 3, annualExpenses: 109644, totalDebt: 110192, netWorth: 369808, ltvRatio: 37 });
+    expect(summarize(projections[19])).toEqual({ year: 20, bitcoinAmount: 3, annualExpenses: 192261, totalDebt: 5608739, netWorth: 22137547, ltvRatio: 23 });
+  });
+
+  it('selling with capital gains tax', () => {
+    const { projections } = runScenario(scenario({
+      withdrawalStrategy: 'sell',
+      taxEnabled: true,
+      useOptimalExpenses: false,
+      annualExpenses: 80000
+    }));
+    expect(summarize(projections[0])).toEqual({ year: 1, bitcoinAmount: 2.184958, annualExpenses: 80000, totalDebt: 0, netWorth: 349593, ltvRatio: 0 });
+    expect(summarize(projections[19])).toEqual({ year: 20, bitcoinAmount: 0.110751, annualExpenses: 140280, totalDebt: 0, netWorth: 1024311, ltvRatio: 0 });
+    expect(Math.round(projections[19].totalTaxPaid)).toBe(141066);
+  });
+
+  it('historical backtest from 2017', () => {
+    const { optimalExpenses, projections } = runScenario(scenario({ simulationMode: 'backtest', backtestStartYear: 2017, years: 8 }));
+    expect(optimalExpenses).toBe(151465);
+    expect(projections).toHaveLength(8);
+    expect(summarize(projections[7])).toEqual({ year: 8, bitcoinAmount: 3, annualExpenses: 186283, totalDebt: 1977614, netWorth: 27103265, ltvRatio: 15 });
+  });
+
+  it('dollar loans revalued for a euro spender', () => {
+    const base = runScenario(scenario({ currency: 'EUR', useOptimalExpenses: false, annualExpenses: 80000 })).projections;
+    const drifting = runScenario(scenario({ currency: 'EUR', loanCurrency: 'USD', fxDrift: 2, useOptimalExpenses: false, annualExpenses: 80000 })).projections;
+    expect(drifting[0]).toMatchObject({ fxRevaluation: 0, totalDebt: base[0].totalDebt });
+    expect(drifting[1].fxRevaluation).toBe(Math.round(base[0].totalDebt * 0.02));
+    expect(drifting[19].totalDebt).toBeGreaterThan(base[19].totalDebt);
+    expect(base.every(row => row.fxRevaluation === 0)).toBe(true);
+  });
+
+  it('interest paid in cash is borrowed like spending when there is no income', () => {
+    const fixed = { useOptimalExpenses: false, annualExpenses: 80000 };
+    const simple = runScenario(scenario(fixed)).projections;
+    const { projections } = runScenario(scenario({ ...fixed, interestMethod: 'payInCash' }));
+    expect(projections[1].newInterest).toBeGreaterThan(0);
+    expect(projections[1].amountBorrowed).toBeCloseTo(projections[1].annualExpenses + projections[1].newInterest, 0);
+    expect(projections[19].netWorth).toBeLessThan(simple[19].netWorth);
+  });
+
+  it('estate outcome with the default step-up', () => {
+    const { projections } = runScenario(scenario());
+    const finalRow = projections[projections.length - 1];
+    expect(Math.round(finalRow.estateValue)).toBe(21448799);
+    expect(Number(finalRow.estateBitcoin.toFixed(4))).toBe(2.3191);
+  });
+});
+
+describe('findOptimalAnnualExpenses', () => {
+  it('keeps peak LTV at or under the maximum', () => {
+    const inputs = scenario({ maxLTV: 35 });
+    const growthRates = generateScenarioGrowthRates(inputs);
+    const base = { ...inputs, growthRates, years: growthRates.length };
+    const annualExpenses = findOptimalAnnualExpenses(base);
+    const peak = Math.max(...calculateProjections({ ...base, annualExpenses }).map(p => p.ltvRatio));
+    const over = Math.max(...calculateProjections({ ...base, annualExpenses: annualExpenses + 1000 }).map(p => p.ltvRatio));
+    expect(peak).toBeLessThanOrEqual(35);
+    expect(over).toBeGreaterThan(35);
+  });
+
+  it('scales a phased schedule that spends nothing at first from its first spending year', () => {
+    const inputs = scenario({
+      expensePhases: [
+        { name: 'Working', startYear: 1, amount: 0, inflationRate: 3 },
+        { name: 'Retired', startYear: 4, amount: 100000, inflationRate: 3 }
+      ]
+    });
+    const growthRates = generateScenarioGrowthRates(inputs);
+    const base = { ...inputs, growthRates, years: growthRates.length };
+    const annualExpenses = findOptimalAnnualExpenses(base);
+    const projections = calculateProjections({ ...base, annualExpenses });
+    expect(projections[2].annualExpenses).toBe(0);
+    expect(projections[3].annualExpenses).toBeCloseTo(annualExpenses, 6);
+    expect(Math.max(...projections.map(p => p.ltvRatio))).toBe(50);
+  });
+
+  it('finds nothing to spend when no spending phase spends anything', () => {
+    const inputs = scenario({ expensePhases: [{ name: 'Frugal', startYear: 1, amount: 0, inflationRate: 0 }] });
+    const growthRates = generateScenarioGrowthRates(inputs);
+    expect(findOptimalAnnualExpenses({ ...inputs, growthRates, years: growthRates.length })).toBe(0);
+  });
+});
+
+describe('runMonteCarloSimulation', () => {
+  it('is reproducible for a given seed', () => {
+    const inputs = scenario({ marginCallsEnabled: true });
+    const growthRates = generateScenarioGrowthRates(inputs);
+    const base = { ...inputs, growthRates, years: growthRates.length, annualExpenses: 106860 };
+    const first = runMonteCarloSimulation(base, { runs: 200, volatility: 60, seed: 42 });
+    const second = runMonteCarloSimulation(base, { runs: 200, volatility: 60, seed: 42 });
+    expect(first.successRate).toBe(0.025);
+    expect(first.liquidationRate).toBe(0.955);
+    expect(second.bands).toEqual(first.bands);
+  });
+});
+
+describe('runCalculation', () => {
+  it('matches runScenario and adds the strategy comparison', () => {
+    const inputs = scenario();
+    const calculation = runCalculation(inputs);
+    expect(calculation.optimalExpenses).toBe(106860);
+    expect(calculation.results).toEqual(runScenario(inputs).projections);
+    expect(calculation.strategyComparison.map(c => c.strategy)).toEqual(['borrow', 'sell', 'hybrid']);
+    expect(calculation).toMatchObject({ monthlyResults: null, monteCarlo: null, backtests: null });
+  });
+
+  it('runs only the simulations the inputs ask for', () => {
+    const calculation = runCalculation(scenario({ timeResolution: 'monthly', simulationMode: 'monteCarlo', monteCarloRuns: 50, years: 60 }));
+    expect(calculation.results).toHaveLength(60);
+    expect(calculation.monthlyResults).toHaveLength(720);
+    expect(calculation.monteCarlo.runs).toBe(50);
+    expect(calculation.monteCarlo.bands).toHaveLength(60);
+    expect(calculation.backtests).toBeNull();
+  });
+
+  it('uses custom expenses when the optimal search is off', () => {
+    const calculation = runCalculation(scenario({ useOptimalExpenses: false, annualExpenses: 80000 }));
+    expect(calculation.optimalExpenses).toBeNull();
+    expect(calculation.annualExpenses).toBe(80000);
+    expect(calculation.results[0].annualExpenses).toBe(80000);
+  });
+});
+
+describe('solveForInput', () => {
+  it('finds the minimum BTC to spend $100,000 a year under 50% LTV', () => {
+    const result = solveForInput(scenario(), {
+      variable: 'bitcoinAmount',
+      metric: 'peakLTV',
+      target: 50,
+      annualExpenses: 100000,
+      min: 0.01,
+      max: 1000
+    });
+    expect(result).toMatchObject({ status: 'converged', kind: 'minimum', value: 2.8068 });
+  });
+
+  it('reports when no value in the range meets the target', () => {
+    const result = solveForInput(scenario(), {
+      variable: 'bitcoinAmount',
+      metric: 'peakLTV',
+      target: 50,
+      annualExpenses: 100000,
+      min: 0.01,
+      max: 0.02
+    });
+    expect(result.status).toBe('noSolution');
+    expect(result.value).toBeNull();
+  });
+});
+
+describe('runTornadoAnalysis', () => {
+  it('moves only the inputs the scenario reads and lists the ones at zero', () => {
+    const inputs = scenario({ growthModel: 'constant', inflationRate: 0, years: 10 });
+    const { bars, zeroVariables } = runTornadoAnalysis(inputs, { change: 10, annualExpenses: 80000 });
+    expect(bars.map(bar => bar.variable)).toEqual(['bitcoinAmount', 'bitcoinPrice', 'interestRate', 'maxLTV']);
+    expect(zeroVariables).toEqual(['inflationRate']);
+    expect(bars.every(bar => bar.low.optimalExpenses !== bar.high.optimalExpenses)).toBe(true);
+  });
+});
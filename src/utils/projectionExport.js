@@ -0,0 +1,316 @@
+// Column headers for the fields calculateProjections emits. Fields missing from this
+// list are still exported, under their raw key.
+const PROJECTION_COLUMN_LABELS = {
+  year: 'Year',
+  growthRate: 'Growth Rate (%)',
+  bitcoinPriceStart: 'BTC Price Start',
+  bitcoinPriceEnd: 'BTC Price End',
+  bitcoinAmount: 'BTC Held',
+  portfolioValue: 'Portfolio Value',
+  interestRate: 'Interest Rate (%)',
+  totalBorrowed: 'Total Borrowed',
+  totalInterest: 'Total Interest',
+  totalRepaid: 'Total Repaid',
+  principalRepaid: 'Principal Repaid',
+  totalDebt: 'Total Debt',
+  netWorth: 'Net Worth',
+  ltvRatio: 'LTV (%)',
+  peakLTVMonth: 'Peak LTV Month',
+  ltvAfterLiquidation: 'LTV After Liquidation (%)',
+  liquidationType: 'Liquidation Event',
+  btcSold: 'BTC Sold',
+  totalBtcSold: 'Total BTC Sold',
+  debtRepaid: 'Debt Repaid',
+  totalFees: 'Total Origination Fees',
+  newInterest: 'Interest This Year',
+  interestPaidInCash: 'Interest Paid in Cash',
+  originationFees: 'Origination Fees This Year',
+  annualExpenses: 'Expenses',
+  expensePhase: 'Spending Phase',
+  cashIncome: 'Income',
+  otherSpending: 'One-Off Expenses',
+  dcaPurchases: 'DCA Purchases',
+  btcBought: 'BTC Bought',
+  totalBtcBought: 'Total BTC Bought',
+  debtPaidFromSurplus: 'Debt Repaid from Surplus',
+  amountBorrowed: 'Borrowed This Year',
+  btcSoldForExpenses: 'BTC Sold for Expenses',
+  totalBtcSoldForExpenses: 'Total BTC Sold for Expenses',
+  saleProceeds: 'BTC Sale Proceeds',
+  realizedGains: 'Realized Gains',
+  taxPaid: 'Capital Gains Tax',
+  totalTaxPaid: 'Total Capital Gains Tax',
+  netWorthAfterTax: 'Net Worth After Tax',
+  estateBtcSold: 'Estate BTC Sold',
+  estateTax: 'Estate Tax on Sale',
+  estateBitcoin: 'BTC to Heirs',
+  estateDebt: 'Debt to Heirs',
+  estateValue: 'Left to Heirs'
+};
+
+const TRANCHE_COLUMN_LABELS = {
+  interestRate: 'APR (%)',
+  principal: 'Principal',
+  unpaidInterest: 'Unpaid Interest',
+  interest: 'Interest',
+  borrowed: 'Borrowed',
+  fee: 'Origination Fee',
+  debt: 'Debt'
+};
+
+/**
+ * Expands the per-lender breakdown in each row's `tranches` into one column per lender and field
+ */
+const getTrancheColumns = (projections) => {
+  const tranches = projections[0]?.tranches || [];
+  return tranches.flatMap((tranche, index) => (
+    Object.entries(TRANCHE_COLUMN_LABELS).map(([field, label]) => ({
+      label: `${tranche.lender} ${label}`,
+      value: row => row.tranches[index]?.[field]
+    }))
+  ));
+};
+
+/**
+ * Returns the columns to export: every key that appears in any projection row
+ */
+const getProjectionColumns = (projections) => {
+  const keys = [];
+  projections.forEach(row => {
+    Object.keys(row).forEach(key => {
+      if (!keys.includes(key)) keys.push(key);
+    });
+  });
+  return keys.flatMap(key => (
+    key === 'tranches'
+      ? getTrancheColumns(projections)
+      : [{ label: PROJECTION_COLUMN_LABELS[key] || key, value: row => row[key] }]
+  ));
+};
+
+/**
+ * Flattens the input parameters into [name, value] pairs, stringifying nested values
+ */
+const getParameterRows = ({ inputs, annualExpenses, generatedAt, scenarioQuery }) => {
+  const rows = [['Generated At', generatedAt]];
+  Object.entries(inputs).forEach(([key, value]) => {
+    rows.push([key, value !== null && typeof value === 'object' ? JSON.stringify(value) : value]);
+  });
+  rows.push(['annualExpensesUsed', annualExpenses]);
+  if (scenarioQuery) rows.push(['scenarioQuery', scenarioQuery]);
+  return rows;
+};
+
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Builds a CSV document: a parameters block, a blank line, then one row per projection year
+ */
+export const buildProjectionCsv = (report) => {
+  const columns = getProjectionColumns(report.projections);
+  const lines = [
+    ['Parameter', 'Value'],
+    ...getParameterRows(report),
+    [],
+    columns.map(c => c.label),
+    ...report.projections.map(row => columns.map(c => c.value(row)))
+  ];
+  return lines.map(line => line.map(escapeCsvValue).join(',')).join('\r\n');
+};
+
+/**
+ * Builds a JSON document with the generation timestamp, inputs and projection rows.
+ * Non-finite numbers (an LTV with no collateral left) are written as strings.
+ */
+export const buildProjectionJson = (report) => {
+  return JSON.stringify({
+    generatedAt: report.generatedAt,
+    inputs: report.inputs,
+    annualExpensesUsed: report.annualExpenses,
+    scenarioQuery: report.scenarioQuery,
+    projections: report.projections
+  }, (key, value) => (typeof value === 'number' && !Number.isFinite(value) ? String(value) : value), 2);
+};
+
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const columnName = (index) => {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+};
+
+/**
+ * Renders rows of values as SpreadsheetML worksheet XML, using inline strings so no
+ * shared string table is needed
+ */
+const buildSheetXml = (rows) => {
+  const sheetRows = rows.map((row, r) => {
+    const cells = row.map((value, c) => {
+      const ref = `${columnName(c)}${r + 1}`;
+      if (value === null || value === undefined || value === '') return '';
+      if (typeof value === 'number' && Number.isFinite(value)) {
+        return `<c r="${ref}"><v>${value}</v></c>`;
+      }
+      if (typeof value === 'boolean') {
+        return `<c r="${ref}" t="b"><v>${value ? 1 : 0}</v></c>`;
+      }
+      return `<c r="${ref}" t="inlineStr"><is><t>${escapeXml(value)}</t></is></c>`;
+    }).join('');
+    return `<row r="${r + 1}">${cells}</row>`;
+  }).join('');
+
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    `<sheetData>${sheetRows}</sheetData></worksheet>`;
+};
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+const crc32 = (bytes) => {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+/**
+ * Packs files into an uncompressed (stored) ZIP archive
+ */
+const buildZip = (files) => {
+  const encoder = new TextEncoder();
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  files.forEach(({ name, content }) => {
+    const nameBytes = encoder.encode(name);
+    const data = encoder.encode(content);
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034B50, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(10, 0, true);
+    local.setUint16(12, 33, true); // 1980-01-01
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, nameBytes.length, true);
+    localParts.push(new Uint8Array(local.buffer), nameBytes, data);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014B50, true);
+    central.setUint16(4, 20, true);
+    central.setUint16(6, 20, true);
+    central.setUint16(14, 33, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, nameBytes.length, true);
+    central.setUint32(42, offset, true);
+    centralParts.push(new Uint8Array(central.buffer), nameBytes);
+
+    offset += 30 + nameBytes.length + data.length;
+  });
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054B50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...localParts, ...centralParts, new Uint8Array(end.buffer)], {
+    type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+  });
+};
+
+/**
+ * Builds an XLSX workbook with a Projections sheet and an Inputs sheet
+ */
+export const buildProjectionXlsx = (report) => {
+  const columns = getProjectionColumns(report.projections);
+  const sheets = [
+    {
+      name: 'Projections',
+      rows: [columns.map(c => c.label), ...report.projections.map(row => columns.map(c => c.value(row)))]
+    },
+    {
+      name: 'Inputs',
+      rows: [['Parameter', 'Value'], ...getParameterRows(report)]
+    }
+  ];
+
+  return buildZip([
+    {
+      name: '[Content_Types].xml',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        sheets.map((_, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('') +
+        '</Types>'
+    },
+    {
+      name: '_rels/.rels',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+        '</Relationships>'
+    },
+    {
+      name: 'xl/workbook.xml',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+        '<sheets>' +
+        sheets.map((sheet, i) => `<sheet name="${sheet.name}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('') +
+        '</sheets></workbook>'
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        sheets.map((_, i) => `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('') +
+        '</Relationships>'
+    },
+    ...sheets.map((sheet, i) => ({
+      name: `xl/worksheets/sheet${i + 1}.xml`,
+      content: buildSheetXml(sheet.rows)
+    }))
+  ]);
+};
+
+/**
+ * Triggers a browser download of a Blob or string under the given file name
+ */
+export const downloadFile = (content, fileName, type) => {
+  const blob = content instanceof Blob ? content : new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
@@ -0,0 +1,513 @@
+// Calculator inputs: their defaults, the schema that types and bounds each one, validation,
+// and the scenario query strings used by shared links and saved scenarios.
+import {
+  GROWTH_MODELS,
+  INTEREST_RATE_MODES,
+  INTEREST_METHODS,
+  LOAN_ALLOCATION_RULES,
+  TAX_BRACKETS,
+  WITHDRAWAL_STRATEGIES,
+  END_OF_PLAN_OPTIONS,
+  CASH_FLOW_TYPES,
+  getBacktestStartYears
+} from './projectionEngine.js';
+import { CURRENCIES } from './currency.js';
+
+/**
+ * @typedef {Object} LoanTranche
+ * @property {string} lender
+ * @property {number} interestRate APR in percent
+ * @property {number} originationFee Percent of each draw added to the debt
+ * @property {number} maxLTV Percent
+ * @property {number} share Percent of borrowing under the split allocation rule
+ */
+
+/**
+ * @typedef {Object} CashFlow
+ * @property {string} name
+ * @property {'salary'|'socialSecurity'|'rental'|'dca'|'windfall'|'oneOffExpense'} type
+ * @property {number} amount In today's money
+ * @property {number} startYear
+ * @property {number} endYear
+ * @property {number} inflationRate Percent per year
+ */
+
+/**
+ * @typedef {Object} ExpensePhase
+ * @property {string} name
+ * @property {number} startYear
+ * @property {number} amount In today's money
+ * @property {number} inflationRate Percent per year
+ */
+
+/**
+ * Every calculator input. Rates, LTVs and growth are in percent; money is in `currency`.
+ * INPUT_SCHEMA holds the allowed range of each field.
+ *
+ * @typedef {Object} ScenarioInputs
+ * @property {number} bitcoinAmount
+ * @property {number|null} bitcoinPrice Starting price; null until fetched
+ * @property {number} years
+ * @property {number} interestRate
+ * @property {number} initialGrowthRate
+ * @property {number} terminalGrowthRate
+ * @property {number} inflationRate
+ * @property {number} maxLTV
+ * @property {boolean} useOptimalExpenses Search for the highest spending that stays under maxLTV
+ * @property {number} annualExpenses First-year spending when useOptimalExpenses is off
+ * @property {'deterministic'|'monteCarlo'|'backtest'} simulationMode
+ * @property {number} volatility
+ * @property {number} monteCarloRuns
+ * @property {number} monteCarloSeed
+ * @property {boolean} marginCallsEnabled
+ * @property {number} marginCallLTV
+ * @property {number} liquidationLTV
+ * @property {number} liquidationTargetLTV
+ * @property {number} backtestStartYear
+ * @property {'linearDecay'|'exponentialDecay'|'powerLaw'|'stockToFlow'|'constant'} growthModel
+ * @property {number} transitionYears
+ * @property {number} growthHalfLife
+ * @property {number} powerLawExponent
+ * @property {number} stockToFlowExponent
+ * @property {number} constantGrowthRate
+ * @property {Object<number, number>} growthRateOverrides Growth rate by plan year
+ * @property {LoanTranche[]} loanTranches
+ * @property {'cheapestFirst'|'split'} loanAllocation
+ * @property {'fixed'|'schedule'|'stepChange'|'floating'} interestRateMode
+ * @property {Object<number, number>} interestRateSchedule Interest rate by plan year
+ * @property {number} refinanceYear
+ * @property {number} refinanceRate
+ * @property {number} baseRate
+ * @property {number} baseRateLongRun
+ * @property {number} baseRateReversion
+ * @property {number} baseRateVolatility
+ * @property {number} rateSpread
+ * @property {'simple'|'compoundYearly'|'compoundMonthly'|'payInCash'} interestMethod
+ * @property {'yearly'|'monthly'} timeResolution
+ * @property {number} intraYearVolatility
+ * @property {'borrow'|'sell'|'hybrid'} withdrawalStrategy
+ * @property {'ltvThreshold'|'borrowShare'} hybridRule
+ * @property {number} sellAboveLTV
+ * @property {number} borrowShare
+ * @property {number} costBasis Per BTC
+ * @property {boolean} holdingsLongTerm
+ * @property {boolean} taxEnabled
+ * @property {'single'|'married'} taxFilingStatus
+ * @property {number} stateTaxRate
+ * @property {'repay'|'stepUp'|'refinance'} endOfPlanDebt
+ * @property {ExpensePhase[]} expensePhases
+ * @property {CashFlow[]} cashFlows
+ * @property {'repayDebt'|'buyBitcoin'} surplusAllocation
+ * @property {number} estateRefinanceRate
+ * @property {'USD'|'EUR'|'GBP'|'CHF'} currency Display currency of every amount
+ * @property {'USD'|'EUR'|'GBP'|'CHF'} loanCurrency Currency the loans are taken in
+ * @property {number} fxDrift Percent per year the loan currency gains against `currency`
+ */
+
+/** @type {ScenarioInputs} */
+export const DEFAULT_INPUTS = {
+  bitcoinAmount: 3,
+  bitcoinPrice: null,
+  years: 20,
+  interestRate: 14,
+  initialGrowthRate: 60,
+  terminalGrowthRate: 15,
+  inflationRate: 3,
+  maxLTV: 50,
+  useOptimalExpenses: true,
+  annualExpenses: 150000,
+  simulationMode: 'deterministic',
+  volatility: 60,
+  monteCarloRuns: 1000,
+  monteCarloSeed: 42,
+  marginCallsEnabled: false,
+  marginCallLTV: 70,
+  liquidationLTV: 85,
+  liquidationTargetLTV: 50,
+  backtestStartYear: 2017,
+  growthModel: 'linearDecay',
+  transitionYears: 9,
+  growthHalfLife: 3,
+  powerLawExponent: 5.8,
+  stockToFlowExponent: 3.36,
+  constantGrowthRate: 25,
+  growthRateOverrides: {},
+  loanTranches: [],
+  loanAllocation: 'cheapestFirst',
+  interestRateMode: 'fixed',
+  interestRateSchedule: {},
+  refinanceYear: 5,
+  refinanceRate: 10,
+  baseRate: 4.5,
+  baseRateLongRun: 3.5,
+  baseRateReversion: 20,
+  baseRateVolatility: 1,
+  rateSpread: 7,
+  interestMethod: 'simple',
+  timeResolution: 'yearly',
+  intraYearVolatility: 0,
+  withdrawalStrategy: 'borrow',
+  hybridRule: 'ltvThreshold',
+  sellAboveLTV: 40,
+  borrowShare: 50,
+  costBasis: 30000,
+  holdingsLongTerm: true,
+  taxEnabled: false,
+  taxFilingStatus: 'single',
+  stateTaxRate: 0,
+  endOfPlanDebt: 'stepUp',
+  expensePhases: [],
+  cashFlows: [],
+  surplusAllocation: 'repayDebt',
+  estateRefinanceRate: 10,
+  currency: 'USD',
+  loanCurrency: 'USD',
+  fxDrift: 0
+};
+
+/**
+ * Type and allowed range of every calculator input, used to validate values that
+ * arrive from outside the form such as a shared scenario link or the command line.
+ * `type` is 'number' (with min, max and optionally integer), 'boolean', 'enum' (with
+ * options), 'overrides' (a { year: rate } map) or 'list' (an array of named items whose
+ * `fields` are checked like numbers or enums).
+ */
+export const INPUT_SCHEMA = {
+  bitcoinAmount: { type: 'number', min: 0.00000001, max: 21000000 },
+  bitcoinPrice: { type: 'number', min: 0.01, max: 1000000000 },
+  years: { type: 'number', min: 1, max: 100, integer: true },
+  interestRate: { type: 'number', min: 0, max: 100 },
+  initialGrowthRate: { type: 'number', min: -99, max: 1000 },
+  terminalGrowthRate: { type: 'number', min: -99, max: 1000 },
+  inflationRate: { type: 'number', min: -50, max: 100 },
+  maxLTV: { type: 'number', min: 1, max: 100 },
+  useOptimalExpenses: { type: 'boolean' },
+  annualExpenses: { type: 'number', min: 0, max: 1000000000000 },
+  simulationMode: { type: 'enum', options: ['deterministic', 'monteCarlo', 'backtest'] },
+  volatility: { type: 'number', min: 0, max: 300 },
+  monteCarloRuns: { type: 'number', min: 1, max: 20000, integer: true },
+  monteCarloSeed: { type: 'number', min: 0, max: 4294967295, integer: true },
+  marginCallsEnabled: { type: 'boolean' },
+  marginCallLTV: { type: 'number', min: 1, max: 200 },
+  liquidationLTV: { type: 'number', min: 1, max: 200 },
+  liquidationTargetLTV: { type: 'number', min: 0, max: 99 },
+  backtestStartYear: { type: 'enum', options: getBacktestStartYears() },
+  growthModel: { type: 'enum', options: Object.keys(GROWTH_MODELS) },
+  transitionYears: { type: 'number', min: 1, max: 100, integer: true },
+  growthHalfLife: { type: 'number', min: 0.1, max: 100 },
+  powerLawExponent: { type: 'number', min: 0, max: 20 },
+  stockToFlowExponent: { type: 'number', min: 0, max: 10 },
+  constantGrowthRate: { type: 'number', min: -99, max: 1000 },
+  growthRateOverrides: { type: 'overrides', min: -99, max: 10000 },
+  loanTranches: {
+    type: 'list',
+    maxItems: 5,
+    itemLabel: 'loan',
+    nameField: 'lender',
+    nameLabel: 'lender name',
+    fields: {
+      interestRate: { min: 0, max: 100 },
+      originationFee: { min: 0, max: 50 },
+      maxLTV: { min: 1, max: 100 },
+      share: { min: 0, max: 100 }
+    }
+  },
+  loanAllocation: { type: 'enum', options: Object.keys(LOAN_ALLOCATION_RULES) },
+  interestRateMode: { type: 'enum', options: Object.keys(INTEREST_RATE_MODES) },
+  interestRateSchedule: { type: 'overrides', min: 0, max: 100 },
+  refinanceYear: { type: 'number', min: 1, max: 100, integer: true },
+  refinanceRate: { type: 'number', min: 0, max: 100 },
+  baseRate: { type: 'number', min: 0, max: 50 },
+  baseRateLongRun: { type: 'number', min: 0, max: 50 },
+  baseRateReversion: { type: 'number', min: 0, max: 100 },
+  baseRateVolatility: { type: 'number', min: 0, max: 20 },
+  rateSpread: { type: 'number', min: 0, max: 50 },
+  interestMethod: { type: 'enum', options: Object.keys(INTEREST_METHODS) },
+  timeResolution: { type: 'enum', options: ['yearly', 'monthly'] },
+  intraYearVolatility: { type: 'number', min: 0, max: 300 },
+  withdrawalStrategy: { type: 'enum', options: Object.keys(WITHDRAWAL_STRATEGIES) },
+  hybridRule: { type: 'enum', options: ['ltvThreshold', 'borrowShare'] },
+  sellAboveLTV: { type: 'number', min: 0, max: 100 },
+  borrowShare: { type: 'number', min: 0, max: 100 },
+  costBasis: { type: 'number', min: 0, max: 1000000000 },
+  holdingsLongTerm: { type: 'boolean' },
+  taxEnabled: { type: 'boolean' },
+  taxFilingStatus: { type: 'enum', options: Object.keys(TAX_BRACKETS) },
+  stateTaxRate: { type: 'number', min: 0, max: 50 },
+  endOfPlanDebt: { type: 'enum', options: Object.keys(END_OF_PLAN_OPTIONS) },
+  cashFlows: {
+    type: 'list',
+    maxItems: 10,
+    itemLabel: 'cash flow',
+    nameField: 'name',
+    nameLabel: 'name',
+    fields: {
+      type: { options: Object.keys(CASH_FLOW_TYPES) },
+      amount: { min: 0, max: 1000000000000 },
+      startYear: { min: 1, max: 100, integer: true },
+      endYear: { min: 1, max: 100, integer: true },
+      inflationRate: { min: -50, max: 100 }
+    }
+  },
+  surplusAllocation: { type: 'enum', options: ['repayDebt', 'buyBitcoin'] },
+  expensePhases: {
+    type: 'list',
+    maxItems: 8,
+    itemLabel: 'expense phase',
+    nameField: 'name',
+    nameLabel: 'name',
+    fields: {
+      startYear: { min: 1, max: 100, integer: true },
+      amount: { min: 0, max: 1000000000000 },
+      inflationRate: { min: -50, max: 100 }
+    }
+  },
+  estateRefinanceRate: { type: 'number', min: 0, max: 100 },
+  currency: { type: 'enum', options: Object.keys(CURRENCIES) },
+  loanCurrency: { type: 'enum', options: Object.keys(CURRENCIES) },
+  fxDrift: { type: 'number', min: -50, max: 50 }
+};
+
+// Up to 8 decimals so limits like the 1-satoshi minimum aren't rounded to 0
+const formatLimit = (limit) => limit.toLocaleString('en-US', { maximumFractionDigits: 8 });
+
+const checkNumber = (value, schema) => {
+  if (typeof value !== 'number' || !Number.isFinite(value)) throw new Error('is not a number');
+  if (schema.integer && !Number.isInteger(value)) throw new Error('must be a whole number');
+  if (value < schema.min || value > schema.max) {
+    throw new Error(`must be between ${formatLimit(schema.min)} and ${formatLimit(schema.max)}`);
+  }
+  return value;
+};
+
+/**
+ * Checks an already-typed value against its schema entry, returning the value (list items
+ * are trimmed to their schema fields) or throwing an Error that explains why it was rejected
+ */
+const validateInputValue = (value, schema) => {
+  switch (schema.type) {
+    case 'boolean':
+      if (typeof value !== 'boolean') throw new Error('must be true or false');
+      return value;
+    case 'enum':
+      if (!schema.options.includes(value)) throw new Error(`must be one of ${schema.options.join(', ')}`);
+      return value;
+    case 'overrides':
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        throw new Error('must map plan years to rates');
+      }
+      Object.entries(value).forEach(([year, rate]) => {
+        if (!Number.isInteger(Number(year)) || Number(year) < 1 || typeof rate !== 'number' || !Number.isFinite(rate) || rate < schema.min || rate > schema.max) {
+          throw new Error(`"${year}:${rate}" is not a valid year:rate override`);
+        }
+      });
+      return value;
+    case 'list':
+      if (!Array.isArray(value) || value.length > schema.maxItems) {
+        throw new Error(`must be a list of at most ${schema.maxItems} ${schema.itemLabel}s`);
+      }
+      return value.map((item, index) => {
+        if (!item || typeof item[schema.nameField] !== 'string') {
+          throw new Error(`${schema.itemLabel} ${index + 1} is missing a ${schema.nameLabel}`);
+        }
+        const parsed = { [schema.nameField]: item[schema.nameField].slice(0, 40) };
+        Object.entries(schema.fields).forEach(([field, { min, max, integer, options }]) => {
+          const fieldValue = item[field];
+          if (options) {
+            if (!options.includes(fieldValue)) {
+              throw new Error(`${schema.itemLabel} ${index + 1} ${field} must be one of ${options.join(', ')}`);
+            }
+          } else if (typeof fieldValue !== 'number' || !Number.isFinite(fieldValue) || fieldValue < min || fieldValue > max || (integer && !Number.isInteger(fieldValue))) {
+            throw new Error(`${schema.itemLabel} ${index + 1} ${field} must be ${integer ? 'a whole number ' : ''}between ${min} and ${max}`);
+          }
+          parsed[field] = fieldValue;
+        });
+        return parsed;
+      });
+    default:
+      return checkNumber(value, schema);
+  }
+};
+
+/**
+ * Explains why a value doesn't fit its schema entry (e.g. 'must be between 1 and 100'),
+ * or returns null when it does. Also works for the `fields` of a list input.
+ */
+export const getValueError = (value, schema) => {
+  try {
+    validateInputValue(value, schema);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+};
+
+/**
+ * Parses a raw query-string value against its schema entry, returning the value or
+ * throwing an Error that explains why it was rejected
+ */
+export const parseScenarioValue = (raw, schema) => {
+  switch (schema.type) {
+    case 'boolean':
+      if (raw === '1' || raw === 'true') return true;
+      if (raw === '0' || raw === 'false') return false;
+      throw new Error('must be true or false');
+    case 'enum': {
+      const option = schema.options.find(o => String(o) === raw);
+      if (option === undefined) throw new Error(`must be one of ${schema.options.join(', ')}`);
+      return option;
+    }
+    case 'overrides': {
+      const overrides = {};
+      raw.split(',').filter(Boolean).forEach(pair => {
+        const [year, rate] = pair.split(':').map(Number);
+        if (!Number.isInteger(year) || year < 1 || !Number.isFinite(rate) || rate < schema.min || rate > schema.max) {
+          throw new Error(`"${pair}" is not a valid year:rate override`);
+        }
+        overrides[year] = rate;
+      });
+      return overrides;
+    }
+    case 'list': {
+      let items;
+      try {
+        items = JSON.parse(raw);
+      } catch {
+        throw new Error(`is not a valid list of ${schema.itemLabel}s`);
+      }
+      return validateInputValue(items, schema);
+    }
+    default:
+      if (raw.trim() === '') throw new Error('is not a number');
+      return checkNumber(Number(raw), schema);
+  }
+};
+
+/**
+ * Reads a scenario from a URL query string. Unknown keys are ignored; malformed or
+ * out-of-range values fall back to their defaults and are reported in `errors`.
+ */
+export const parseScenarioQuery = (search) => {
+  const params = new URLSearchParams(search);
+  const inputs = { ...DEFAULT_INPUTS };
+  const errors = [];
+
+  Object.entries(INPUT_SCHEMA).forEach(([key, schema]) => {
+    if (!params.has(key)) return;
+    try {
+      inputs[key] = parseScenarioValue(params.get(key), schema);
+    } catch (error) {
+      errors.push(`${key} ${error.message}`);
+    }
+  });
+
+  return { inputs, errors };
+};
+
+/**
+ * Encodes every calculator input as a URL query string
+ */
+export const serializeScenarioQuery = (inputs) => {
+  const params = new URLSearchParams();
+  Object.entries(INPUT_SCHEMA).forEach(([key, schema]) => {
+    const value = inputs[key];
+    if (value === null || value === undefined) return;
+    if (schema.type === 'boolean') {
+      params.set(key, value ? '1' : '0');
+    } else if (schema.type === 'overrides') {
+      params.set(key, Object.entries(value).map(([year, rate]) => `${year}:${rate}`).join(','));
+    } else if (schema.type === 'list') {
+      if (value.length > 0) params.set(key, JSON.stringify(value));
+    } else {
+      params.set(key, String(value));
+    }
+  });
+  return params.toString();
+};
+
+/**
+ * Checks a complete set of inputs, such as the calculator form's state, without throwing.
+ * Returns every out-of-range or mistyped input as { field, message }, or once those are
+ * fixed, any margin-call thresholds that contradict each other. A bitcoinPrice of null means the price is still being fetched and is not reported.
+ *
+ * @param {ScenarioInputs} inputs
+ * @returns {{ field: string, message: string }[]}
+ */
+export const getInputIssues = (inputs) => {
+  const issues = Object.entries(INPUT_SCHEMA)
+    .filter(([field]) => !(field === 'bitcoinPrice' && inputs[field] === null))
+    .map(([field, schema]) => ({ field, message: getValueError(inputs[field], schema) }))
+    .filter(issue => issue.message !== null);
+  return issues.length > 0 ? issues : getCrossFieldIssues(inputs);
+};
+
+/**
+ * Rules that involve more than one input. They are only checked once every input is valid
+ * on its own; each returns the issue message for `field`, or null.
+ */
+const CROSS_FIELD_RULES = [
+  {
+    field: 'marginCallLTV',
+    check: ({ marginCallsEnabled, marginCallLTV, liquidationLTV }) => (
+      marginCallsEnabled && marginCallLTV > liquidationLTV ? 'must not be above liquidationLTV' : null
+    )
+  },
+  {
+    field: 'liquidationTargetLTV',
+    check: ({ marginCallsEnabled, liquidationTargetLTV, marginCallLTV }) => (
+      marginCallsEnabled && liquidationTargetLTV >= marginCallLTV ? 'must be below marginCallLTV' : null
+    )
+  }
+];
+
+const getCrossFieldIssues = (inputs) => (
+  CROSS_FIELD_RULES
+    .map(({ field, check }) => ({ field, message: check(inputs) }))
+    .filter(issue => issue.message !== null)
+);
+
+/**
+ * Error thrown by validateInputs. `issues` lists every rejected input as { field, message },
+ * and the error message puts one issue on each line.
+ */
+export class InputValidationError extends Error {
+  constructor(issues) {
+    super(`Invalid calculator inputs:\n${issues.map(({ field, message }) => `  ${field} ${message}`).join('\n')}`);
+    this.name = 'InputValidationError';
+    this.issues = issues;
+  }
+}
+
+/**
+ * Checks calculator inputs passed in code against INPUT_SCHEMA and fills in defaults for
+ * anything left out. Unknown keys and a missing bitcoinPrice are rejected too. Returns the
+ * complete inputs, or throws an InputValidationError listing every problem at once.
+ *
+ * @param {Partial<ScenarioInputs>} inputs
+ * @returns {ScenarioInputs}
+ */
+export const validateInputs = (inputs) => {
+  const validated = { ...DEFAULT_INPUTS };
+  const issues = [];
+
+  Object.entries(inputs).forEach(([field, value]) => {
+    const schema = INPUT_SCHEMA[field];
+    if (!schema) {
+      issues.push({ field, message: 'is not a calculator input' });
+      return;
+    }
+    if (value === undefined || (field === 'bitcoinPrice' && value === null)) return;
+    try {
+      validated[field] = validateInputValue(value, schema);
+    } catch (error) {
+      issues.push({ field, message: error.message });
+    }
+  });
+
+  if (validated.bitcoinPrice === null && !issues.some(issue => issue.field === 'bitcoinPrice')) {
+    issues.push({ field: 'bitcoinPrice', message: 'is required' });
+  }
+  if (issues.length === 0) issues.push(...getCrossFieldIssues(validated));
+  if (issues.length > 0) throw new InputValidationError(issues);
+  return validated;
+};
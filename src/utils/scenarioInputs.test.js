@@ -0,0 +1,138 @@
+import { describe, expect, it } from 'vitest';
+import {
+  DEFAULT_INPUTS,
+  INPUT_SCHEMA,
+  InputValidationError,
+  getInputIssues,
+  getValueError,
+  parseScenarioQuery,
+  serializeScenarioQuery,
+  validateInputs
+} from './scenarioInputs.js';
+
+const issuesFor = (inputs) => {
+  try {
+    validateInputs(inputs);
+  } catch (error) {
+    expect(error).toBeInstanceOf(InputValidationError);
+    return error.issues;
+  }
+  throw new Error('expected validation to fail');
+};
+
+describe('validateInputs', () => {
+  it('fills in defaults for inputs that are left out', () => {
+    expect(validateInputs({ bitcoinPrice: 50000, bitcoinAmount: 1.5 })).toEqual({
+      ...DEFAULT_INPUTS,
+      bitcoinPrice: 50000,
+      bitcoinAmount: 1.5
+    });
+  });
+
+  it('requires a bitcoin price', () => {
+    expect(issuesFor({ bitcoinAmount: 2 })).toEqual([{ field: 'bitcoinPrice', message: 'is required' }]);
+  });
+
+  it('reports every problem at once', () => {
+    expect(issuesFor({
+      bitcoinPrice: 100000,
+      bitcoinAmount: 0,
+      years: 2.5,
+      interestRate: '14',
+      withdrawalStrategy: 'yolo',
+      taxEnabled: 'yes',
+      colour: 'orange'
+    })).toEqual([
+      { field: 'bitcoinAmount', message: 'must be between 0.00000001 and 21,000,000' },
+      { field: 'years', message: 'must be a whole number' },
+      { field: 'interestRate', message: 'is not a number' },
+      { field: 'withdrawalStrategy', message: 'must be one of borrow, sell, hybrid' },
+      { field: 'taxEnabled', message: 'must be true or false' },
+      { field: 'colour', message: 'is not a calculator input' }
+    ]);
+  });
+
+  it('puts one issue per line in the error message', () => {
+    expect(() => validateInputs({ bitcoinPrice: -1 })).toThrow(
+      'Invalid calculator inputs:\n  bitcoinPrice must be between 0.01 and 1,000,000,000'
+    );
+  });
+
+  it('allows negative growth rates for bear-market scenarios', () => {
+    const inputs = validateInputs({ bitcoinPrice: 100000, terminalGrowthRate: -20, growthRateOverrides: { 3: -75 } });
+    expect(inputs.terminalGrowthRate).toBe(-20);
+    expect(inputs.growthRateOverrides).toEqual({ 3: -75 });
+  });
+
+  it('rejects a liquidation target at or above the margin call', () => {
+    expect(issuesFor({ bitcoinPrice: 100000, marginCallsEnabled: true, liquidationTargetLTV: 70 })).toEqual([
+      { field: 'liquidationTargetLTV', message: 'must be below marginCallLTV' }
+    ]);
+  });
+
+  it('checks each item of a list input', () => {
+    expect(issuesFor({
+      bitcoinPrice: 100000,
+      cashFlows: [{ name: 'Job', type: 'salary', amount: 50000, startYear: 1, endYear: 0, inflationRate: 3 }]
+    })).toEqual([{ field: 'cashFlows', message: 'cash flow 1 endYear must be a whole number between 1 and 100' }]);
+  });
+});
+
+describe('getInputIssues', () => {
+  it('accepts the defaults while the price is still loading', () => {
+    expect(getInputIssues(DEFAULT_INPUTS)).toEqual([]);
+  });
+
+  it('reports the values that would break the projection', () => {
+    expect(getInputIssues({ ...DEFAULT_INPUTS, bitcoinPrice: 100000, bitcoinAmount: 0, years: 500, maxLTV: NaN })).toEqual([
+      { field: 'bitcoinAmount', message: 'must be between 0.00000001 and 21,000,000' },
+      { field: 'years', message: 'must be between 1 and 100' },
+      { field: 'maxLTV', message: 'is not a number' }
+    ]);
+  });
+
+  it('checks margin-call thresholds against each other once margin calls are on', () => {
+    const thresholds = { ...DEFAULT_INPUTS, bitcoinPrice: 100000, marginCallLTV: 90, liquidationLTV: 85, liquidationTargetLTV: 95 };
+    expect(getInputIssues(thresholds)).toEqual([]);
+    expect(getInputIssues({ ...thresholds, marginCallsEnabled: true })).toEqual([
+      { field: 'marginCallLTV', message: 'must not be above liquidationLTV' },
+      { field: 'liquidationTargetLTV', message: 'must be below marginCallLTV' }
+    ]);
+  });
+
+  it('reports a per-year interest rate outside 0–100% as typed', () => {
+    expect(getInputIssues({ ...DEFAULT_INPUTS, bitcoinPrice: 100000, interestRateSchedule: { 3: 150 } })).toEqual([
+      { field: 'interestRateSchedule', message: '"3:150" is not a valid year:rate override' }
+    ]);
+  });
+});
+
+describe('getValueError', () => {
+  it('checks a single field, including the fields of list inputs', () => {
+    expect(getValueError(0, INPUT_SCHEMA.years)).toBe('must be between 1 and 100');
+    expect(getValueError(-40, INPUT_SCHEMA.terminalGrowthRate)).toBeNull();
+    expect(getValueError(2.5, INPUT_SCHEMA.cashFlows.fields.startYear)).toBe('must be a whole number');
+    expect(getValueError(-1, INPUT_SCHEMA.expensePhases.fields.amount)).toBe('must be between 0 and 1,000,000,000,000');
+  });
+});
+
+describe('scenario query strings', () => {
+  it('round-trip every input', () => {
+    const inputs = validateInputs({
+      bitcoinPrice: 85000,
+      useOptimalExpenses: false,
+      annualExpenses: 90000,
+      growthRateOverrides: { 4: -60 },
+      expensePhases: [{ name: 'Go-go', startYear: 1, amount: 90000, inflationRate: 3 }]
+    });
+    expect(parseScenarioQuery(serializeScenarioQuery(inputs))).toEqual({ inputs, errors: [] });
+  });
+
+  it('falls back to defaults for malformed values and reports them', () => {
+    const { inputs, errors } = parseScenarioQuery('years=500&bitcoinAmount=abc&maxLTV=40');
+    expect(inputs.years).toBe(DEFAULT_INPUTS.years);
+    expect(inputs.bitcoinAmount).toBe(DEFAULT_INPUTS.bitcoinAmount);
+    expect(inputs.maxLTV).toBe(40);
+    expect(errors).toEqual(['bitcoinAmount is not a number', 'years must be between 1 and 100']);
+  });
+});
@@ -0,0 +1,24 @@
+// Runs the calculator's heavy work off the main thread: the page's own projection and the
+// sensitivity analyses (heatmap grids and tornado charts) and goal seek. Each request carries an id that
+// is echoed back on its progress and result messages, so the page can drop stale replies.
+import { runCalculation, runSensitivityGrid, runTornadoAnalysis, solveForInput } from '../utils/projectionEngine';
+
+const ANALYSES = {
+  projection: runCalculation,
+  grid: runSensitivityGrid,
+  tornado: runTornadoAnalysis,
+  goalSeek: solveForInput
+};
+
+self.onmessage = (event) => {
+  const { id, analysis, inputs, options } = event.data;
+  try {
+    const result = ANALYSES[analysis](inputs, {
+      ...options,
+      onProgress: (done, total) => self.postMessage({ id, type: 'progress', done, total })
+    });
+    self.postMessage({ id, type: 'result', result });
+  } catch (error) {
+    self.postMessage({ id, type: 'error', message: error.message });
+  }
+};